@@ -0,0 +1,72 @@
+/** Firestore storage adapter: stores books under users/{uid}/books for the signed-in user */
+
+import {
+  getCurrentUser,
+  addBook as firebaseAddBook,
+  getBooks as firebaseGetBooks,
+  removeBook as firebaseRemoveBook,
+  getBook as firebaseGetBook,
+  updateBook as firebaseUpdateBook,
+  transactBook as firebaseTransactBook,
+  writeBooks as firebaseWriteBooks,
+  subscribeBooks as firebaseSubscribeBooks,
+  getUserMeta as firebaseGetUserMeta,
+  setUserMeta as firebaseSetUserMeta
+} from '../firebase.js';
+
+// Get current user ID, throw error if not logged in
+function getUserId() {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('User not authenticated. Please log in to access your library.');
+  }
+  return user.uid;
+}
+
+/** UID of the signed-in user, or null */
+export function getSignedInUserId() {
+  return getCurrentUser()?.uid || null;
+}
+
+export const firestoreAdapter = {
+  name: 'cloud',
+
+  async addBook(book, options) {
+    await firebaseAddBook(getUserId(), book, options);
+  },
+  async getBooks() {
+    return firebaseGetBooks(getUserId());
+  },
+  async getBook(id) {
+    return firebaseGetBook(getUserId(), id);
+  },
+  async updateBook(id, updates, options) {
+    await firebaseUpdateBook(getUserId(), id, updates, options);
+  },
+  async transactBook(id, change, options) {
+    return firebaseTransactBook(getUserId(), id, change, options);
+  },
+  async removeBook(id) {
+    await firebaseRemoveBook(getUserId(), id);
+  },
+  async writeBooks(operations, options) {
+    await firebaseWriteBooks(getUserId(), operations, options);
+  },
+  subscribe(onChanges, onError) {
+    return firebaseSubscribeBooks(getUserId(), onChanges, onError);
+  },
+  async getMeta(key) {
+    return firebaseGetUserMeta(getUserId(), key);
+  },
+  async setMeta(key, value, options) {
+    await firebaseSetUserMeta(getUserId(), key, value, options);
+  },
+  async clear() {
+    const userId = getUserId();
+    const books = await firebaseGetBooks(userId);
+    // Delete all books one by one
+    for (const book of books) {
+      await firebaseRemoveBook(userId, book.id || book.isbn);
+    }
+  }
+};
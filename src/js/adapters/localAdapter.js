@@ -0,0 +1,193 @@
+/**
+ * IndexedDB storage adapter.
+ * Keeps a library entirely on this device; has no dependency on Firebase so it
+ * can back "local-only" mode and run in tests.
+ */
+
+import { openDatabase, promisifyRequest, transactionDone, deleteDatabase } from '../idb.js';
+
+const DB_VERSION = 2;
+const BOOKS_STORE = 'books';
+// Library-wide settings keyed by name (v2)
+const META_STORE = 'meta';
+
+function upgradeLibraryDB(db) {
+  if (!db.objectStoreNames.contains(BOOKS_STORE)) {
+    db.createObjectStore(BOOKS_STORE, { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains(META_STORE)) {
+    db.createObjectStore(META_STORE, { keyPath: 'key' });
+  }
+}
+
+/**
+ * Create an adapter whose data lives in its own database.
+ * `namespace` separates libraries (e.g. 'local' vs. a signed-in user's uid).
+ */
+export function createLocalAdapter(namespace = 'local') {
+  const dbName = `library-buddy-${namespace}`;
+  let dbPromise = null;
+  const listeners = new Set();
+
+  // Same change shape as the Firestore snapshot listener
+  function notify(changes) {
+    if (!changes.length) return;
+    listeners.forEach(fn => {
+      try { fn(changes); } catch (error) { console.error('[Local] Change listener failed:', error); }
+    });
+  }
+
+  function getDB() {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, DB_VERSION, upgradeLibraryDB).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  }
+
+  async function withStore(mode, fn, storeName = BOOKS_STORE) {
+    const db = await getDB();
+    const tx = db.transaction(storeName, mode);
+    const result = await fn(tx.objectStore(storeName));
+    await transactionDone(tx);
+    return result;
+  }
+
+  return {
+    name: 'local',
+    namespace,
+
+    async addBook(book) {
+      const bookId = book.id || book.isbn;
+      if (!bookId) throw new Error('Book must have an id or isbn');
+      const record = { ...book, id: bookId, updatedAt: new Date().toISOString() };
+      const existed = await withStore('readwrite', async (store) => {
+        const existing = await promisifyRequest(store.get(bookId));
+        await promisifyRequest(store.put(record));
+        return Boolean(existing);
+      });
+      console.log('[Local] Book added:', bookId);
+      notify([{ type: existed ? 'modified' : 'added', id: bookId, book: record }]);
+    },
+
+    async getBooks() {
+      const books = await withStore('readonly', (store) => promisifyRequest(store.getAll()));
+      console.log('[Local] Fetched', books.length, 'books');
+      return books;
+    },
+
+    async getBook(bookId) {
+      const book = await withStore('readonly', (store) => promisifyRequest(store.get(bookId)));
+      return book || null;
+    },
+
+    async updateBook(bookId, updates) {
+      // Merge semantics match Firestore's setDoc(..., { merge: true })
+      const { record, existed } = await withStore('readwrite', async (store) => {
+        const existing = await promisifyRequest(store.get(bookId));
+        const merged = {
+          ...(existing || {}),
+          ...updates,
+          id: bookId,
+          updatedAt: new Date().toISOString()
+        };
+        await promisifyRequest(store.put(merged));
+        return { record: merged, existed: Boolean(existing) };
+      });
+      console.log('[Local] Book updated:', bookId);
+      notify([{ type: existed ? 'modified' : 'added', id: bookId, book: record }]);
+    },
+
+    async removeBook(bookId) {
+      await withStore('readwrite', (store) => promisifyRequest(store.delete(bookId)));
+      console.log('[Local] Book removed:', bookId);
+      notify([{ type: 'removed', id: bookId, book: null }]);
+    },
+
+    /** Apply [{ type: 'add'|'update'|'remove', id, data }] in one transaction with a single change notification */
+    async writeBooks(operations) {
+      const updatedAt = new Date().toISOString();
+      const changes = await withStore('readwrite', async (store) => {
+        const applied = [];
+        for (const { type, id, data } of operations) {
+          const existing = await promisifyRequest(store.get(id));
+          if (type === 'remove') {
+            store.delete(id);
+            if (existing) applied.push({ type: 'removed', id, book: null });
+            continue;
+          }
+          const record = type === 'update'
+            ? { ...(existing || {}), ...data, id, updatedAt }
+            : { ...data, id, updatedAt };
+          store.put(record);
+          applied.push({ type: existing ? 'modified' : 'added', id, book: record });
+        }
+        return applied;
+      });
+      console.log('[Local] Batch wrote', operations.length, 'books');
+      notify(changes);
+    },
+
+    async getMeta(key) {
+      const entry = await withStore('readonly', (store) => promisifyRequest(store.get(key)), META_STORE);
+      return entry ? entry.value : null;
+    },
+
+    async setMeta(key, value) {
+      await withStore('readwrite', (store) => promisifyRequest(store.put({ key, value, updatedAt: new Date().toISOString() })), META_STORE);
+      console.log('[Local] Meta saved:', key);
+    },
+
+    async clear() {
+      const books = await this.getBooks();
+      await withStore('readwrite', (store) => promisifyRequest(store.clear()));
+      notify(books.map(book => ({ type: 'removed', id: book.id, book: null })));
+    },
+
+    /** Listen for changes made through this adapter. Returns an unsubscribe function. */
+    subscribe(onChanges) {
+      listeners.add(onChanges);
+      // Match Firestore: the first delivery lists every existing book as 'added'
+      this.getBooks()
+        .then(books => {
+          if (listeners.has(onChanges)) onChanges(books.map(book => ({ type: 'added', id: book.id, book })));
+        })
+        .catch(error => console.error('[Local] Initial snapshot failed:', error));
+      return () => listeners.delete(onChanges);
+    },
+
+    /** Apply changes received from elsewhere (e.g. a server snapshot) without re-stamping them */
+    async applyChanges(changes) {
+      await withStore('readwrite', (store) => {
+        changes.forEach(change => {
+          if (change.type === 'removed') store.delete(change.id);
+          else store.put({ ...change.book, id: change.id });
+        });
+      });
+      notify(changes);
+    },
+
+    /** Replace every stored book in one transaction, keeping fields (incl. updatedAt) as given */
+    async replaceAll(books) {
+      await withStore('readwrite', async (store) => {
+        await promisifyRequest(store.clear());
+        for (const book of books) {
+          const bookId = book.id || book.isbn;
+          if (bookId) store.put({ ...book, id: bookId });
+        }
+      });
+    },
+
+    /** Close and delete the underlying database (used when resetting a device) */
+    async destroy() {
+      if (dbPromise) {
+        const db = await dbPromise;
+        db.close();
+        dbPromise = null;
+      }
+      await deleteDatabase(dbName);
+    }
+  };
+}
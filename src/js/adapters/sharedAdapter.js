@@ -0,0 +1,37 @@
+/**
+ * Read-only storage adapter for a shared library (sharing.js): serves the books an owner
+ * published under shares/{shareId}/books. Visitors aren't signed in, so every write is
+ * refused rather than queued.
+ */
+
+import { getSharedBooks } from '../firebase.js';
+
+function readOnly() {
+  throw new Error('This is a shared library - it can only be browsed.');
+}
+
+export function createSharedAdapter(shareId) {
+  let books = null;
+
+  async function load() {
+    if (!books) books = await getSharedBooks(shareId);
+    return books;
+  }
+
+  return {
+    name: 'shared',
+    shareId,
+
+    async getBooks() {
+      return [...await load()];
+    },
+    async getBook(id) {
+      return (await load()).find(book => book.id === id) || null;
+    },
+    addBook: readOnly,
+    updateBook: readOnly,
+    removeBook: readOnly,
+    writeBooks: readOnly,
+    clear: readOnly
+  };
+}
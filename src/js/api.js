@@ -1,7 +1,12 @@
 /** API helpers with caching via storage */
 import { storage } from './storage.js';
+import { createResolver, DEFAULT_PRECEDENCE } from './resolver.js';
+import { matchSeries, authorForSeries } from './series.js';
+import { authorFields } from './authors.js';
+import { normalizeIsbn, cleanIsbn, toIsbn13, isbn13To10 } from './isbn.js';
 
 const TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const CACHE_VERSION = 'v10'; // Increment this to invalidate old cached data
 
 function now() { return Date.now(); }
 
@@ -17,117 +22,128 @@ function getAlternateCoverSources(isbn) {
   return [
     `https://covers.openlibrary.org/b/isbn/${isbn}-L.jpg`,
     `https://covers.openlibrary.org/b/isbn/${isbn}-M.jpg`,
-    // Try ISBN-10 format as well (some books only have ISBN-10 covers)
-    ...(isbn.length === 13 ? [`https://covers.openlibrary.org/b/isbn/${convertISBN13to10(isbn)}-L.jpg`] : []),
+    // Try ISBN-10 format as well (some books only have ISBN-10 covers; 979 ISBNs have none)
+    ...(isbn13To10(isbn) ? [`https://covers.openlibrary.org/b/isbn/${isbn13To10(isbn)}-L.jpg`] : []),
   ];
 }
 
-// Convert ISBN-13 to ISBN-10 (some books only have ISBN-10 covers)
-function convertISBN13to10(isbn13) {
-  if (!isbn13 || isbn13.length !== 13) return isbn13;
-
-  // Remove the 978 prefix
-  let isbn10 = isbn13.substring(3, 12);
-
-  // Calculate check digit
-  let sum = 0;
-  for (let i = 0; i < 9; i++) {
-    sum += parseInt(isbn10[i]) * (10 - i);
-  }
-  let checkDigit = (11 - (sum % 11)) % 11;
-  isbn10 += checkDigit === 10 ? 'X' : checkDigit.toString();
-
-  return isbn10;
+// Purge entries from older cache versions once per session, before the first lookup
+let cacheReady = null;
+function ensureCacheVersion() {
+  if (!cacheReady) cacheReady = storage.cachePurgeVersion(CACHE_VERSION);
+  return cacheReady;
 }
 
 async function cacheGet(key) {
-  return storage.cacheGet(key);
+  await ensureCacheVersion();
+  // Stale entries are returned too so callers can fall back to them when offline
+  return storage.cacheGet(key, { allowStale: true });
 }
 async function cacheSet(key, value) {
   return storage.cacheSet(key, value, TTL_MS);
 }
 
-function normalizeBookFromIsbnJson(isbn, data, authorName) {
-  const coverUrl = coverFrom(isbn);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-  // Extract series information
-  let series = null;
-  let seriesNumber = null;
+// 429 and 5xx are worth retrying; other statuses (e.g. 404) are final
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
 
-  const title = data?.title || '';
+/**
+ * Request queue: caps concurrent fetches and retries rate-limited/failed
+ * requests with exponential backoff (honouring Retry-After when sent).
+ */
+export function createRequestQueue({ concurrency = 4, retries = 4, baseDelayMs = 500, maxDelayMs = 15000 } = {}) {
+  const options = { concurrency, retries, baseDelayMs, maxDelayMs };
+  const waiting = [];
+  let active = 0;
+
+  function pump() {
+    while (active < options.concurrency && waiting.length) {
+      const { task, resolve, reject } = waiting.shift();
+      active++;
+      task().then(resolve, reject).finally(() => {
+        active--;
+        pump();
+      });
+    }
+  }
+
+  function schedule(task) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      pump();
+    });
+  }
 
-  // Special handling for popular series - check FIRST to override Open Library data
-  // Empyrean series (Fourth Wing, Iron Flame, Onyx Storm)
-  if (title.toLowerCase().includes('fourth wing') ||
-      title.toLowerCase().includes('iron flame') ||
-      title.toLowerCase().includes('onyx storm')) {
-    series = 'The Empyrean';
-    if (/fourth wing/i.test(title)) seriesNumber = 1;
-    else if (/iron flame/i.test(title)) seriesNumber = 2;
-    else if (/onyx storm/i.test(title)) seriesNumber = 3;
+  function backoffDelay(attempt, response) {
+    const retryAfter = Number(response?.headers?.get?.('Retry-After'));
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, options.maxDelayMs);
+    // Exponential with a little jitter so parallel retries don't line up
+    const delay = options.baseDelayMs * 2 ** attempt;
+    return Math.min(delay + Math.random() * options.baseDelayMs, options.maxDelayMs);
   }
 
-  // Harry Potter
-  else if (title.toLowerCase().includes('harry potter')) {
-    series = 'Harry Potter';
-    const hpPatterns = [
-      /philosopher'?s stone/i,
-      /sorcerer'?s stone/i,
-      /chamber of secrets/i,
-      /prisoner of azkaban/i,
-      /goblet of fire/i,
-      /order of the phoenix/i,
-      /half-blood prince/i,
-      /deathly hallows/i
-    ];
-    for (let i = 0; i < hpPatterns.length; i++) {
-      if (hpPatterns[i].test(title)) {
-        seriesNumber = i === 0 ? 1 : (i === 1 ? 1 : i);
-        break;
+  async function fetchWithRetry(url, init) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, init);
+      } catch (error) {
+        // Network failure - retry unless we're clearly offline
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        if (offline || attempt >= options.retries) throw error;
+        await sleep(backoffDelay(attempt));
+        continue;
       }
+      if (!isRetryableStatus(response.status) || attempt >= options.retries) return response;
+      console.warn(`[API] ${response.status} from ${url}, retrying (attempt ${attempt + 1}/${options.retries})`);
+      await sleep(backoffDelay(attempt, response));
     }
   }
 
-  // A Court of Thorns and Roses
-  else if (title.toLowerCase().includes('court of')) {
-    series = 'A Court of Thorns and Roses';
-    if (/court of thorns and roses/i.test(title) && !/mist and fury|wings and ruin|frost and starlight|silver flames/i.test(title)) seriesNumber = 1;
-    else if (/mist and fury/i.test(title)) seriesNumber = 2;
-    else if (/wings and ruin/i.test(title)) seriesNumber = 3;
-    else if (/frost and starlight/i.test(title)) seriesNumber = 4;
-    else if (/silver flames/i.test(title)) seriesNumber = 5;
-  }
+  return {
+    /** Queue a fetch; resolves with the final Response (after retries) */
+    fetch(url, init) {
+      return schedule(() => fetchWithRetry(url, init));
+    },
+    configure(next = {}) {
+      Object.assign(options, next);
+      pump();
+    },
+    get pending() {
+      return waiting.length + active;
+    }
+  };
+}
 
-  // The Crowns of Nyaxia series (Carissa Broadbent)
-  else if (title.toLowerCase().includes('serpent and the wings') ||
-           title.toLowerCase().includes('ashes and the star') ||
-           title.toLowerCase().includes('crowns of nyaxia')) {
-    series = 'The Crowns of Nyaxia';
-    if (/serpent and the wings/i.test(title)) seriesNumber = 1;
-    else if (/ashes and the star/i.test(title)) seriesNumber = 2;
-  }
+// All Open Library traffic goes through one queue so bursts don't get us rate-limited
+const openLibraryQueue = createRequestQueue();
+const googleBooksQueue = createRequestQueue({ concurrency: 2 });
 
-  // Harry Potter series (J.K. Rowling)
-  else if (title.toLowerCase().includes('harry potter')) {
-    series = 'Harry Potter';
-    if (/philosopher'?s stone|sorcerer'?s stone/i.test(title)) seriesNumber = 1;
-    else if (/chamber of secrets/i.test(title)) seriesNumber = 2;
-    else if (/prisoner of azkaban/i.test(title)) seriesNumber = 3;
-    else if (/goblet of fire/i.test(title)) seriesNumber = 4;
-    else if (/order of the phoenix/i.test(title)) seriesNumber = 5;
-    else if (/half-blood prince/i.test(title)) seriesNumber = 6;
-    else if (/deathly hallows/i.test(title)) seriesNumber = 7;
-  }
+/** Tune the Open Library queue (concurrency, retries, baseDelayMs, maxDelayMs) */
+export function configureRequestQueue(options) {
+  openLibraryQueue.configure(options);
+}
+
+function normalizeBookFromIsbnJson(isbn, data, authorName) {
+  const coverUrl = coverFrom(isbn);
+
+  // Extract series information
+  let series = null;
+  let seriesNumber = null;
+
+  const title = data?.title || '';
 
-  // It Ends with Us series (Colleen Hoover)
-  else if (title.toLowerCase().includes('it ends with us') ||
-           title.toLowerCase().includes('it starts with us')) {
-    series = 'It Ends with Us';
-    if (/it ends with us/i.test(title)) seriesNumber = 1;
-    else if (/it starts with us/i.test(title)) seriesNumber = 2;
+  // Known series from the catalog (and the user's own rules) win over Open Library data
+  const catalogMatch = matchSeries(title);
+  if (catalogMatch) {
+    series = catalogMatch.series;
+    seriesNumber = catalogMatch.seriesNumber;
   }
 
-  // Fallback to Open Library series data if no hardcoded match
+  // Fallback to Open Library series data if no catalog match
   if (!series && data?.series && data.series.length > 0) {
     // Extract series name and number from formats like "Harry Potter, #2" or "Series Name"
     const seriesStr = data.series[0];
@@ -164,19 +180,9 @@ function normalizeBookFromIsbnJson(isbn, data, authorName) {
 
   let finalAuthor = authorName || (data?.authors?.[0]?.name || '');
 
-  // Hardcode authors for known series where Open Library might fail
+  // Catalog rules can name the author for series where Open Library might fail
   if (!finalAuthor || finalAuthor === 'TBD') {
-    if (series === 'The Empyrean') {
-      finalAuthor = 'Rebecca Yarros';
-    } else if (series === 'Harry Potter') {
-      finalAuthor = 'J.K. Rowling';
-    } else if (series === 'The Crowns of Nyaxia') {
-      finalAuthor = 'Carissa Broadbent';
-    } else if (series === 'A Court of Thorns and Roses') {
-      finalAuthor = 'Sarah J. Maas';
-    } else if (series === 'It Ends with Us') {
-      finalAuthor = 'Colleen Hoover';
-    }
+    finalAuthor = authorForSeries(series) || finalAuthor;
   }
 
   return {
@@ -192,30 +198,48 @@ function normalizeBookFromIsbnJson(isbn, data, authorName) {
 }
 
 async function fetchAuthorName(key) {
+  const cKey = `author:${key}`;
+  const cached = await cacheGet(cKey);
+  if (cached && (now() - cached.ts) < TTL_MS) return cached.value;
   try {
     console.log('[API] Fetching author from:', key);
-    const r = await fetch(`https://openlibrary.org${key}.json`);
+    const r = await openLibraryQueue.fetch(`https://openlibrary.org${key}.json`);
     if (!r.ok) {
       console.warn('[API] Author fetch failed with status:', r.status);
-      return '';
+      return cached?.value || '';
     }
     const j = await r.json();
     console.log('[API] Author data:', j);
-    return j.name || '';
+    const name = j.name || '';
+    if (name) await cacheSet(cKey, name);
+    return name;
   } catch (e) {
     console.error('[API] Author fetch error:', e);
-    return '';
+    return cached?.value || '';
   }
 }
 
+// Lookups currently in progress, so the same ISBN scanned twice shares one request
+const inFlightIsbns = new Map();
+
 /**
  * Find book by ISBN using Open Library
  */
 export async function findBookByISBN(isbn) {
-  // Normalize ISBN by removing hyphens and spaces
-  const normalizedIsbn = isbn.replace(/[-\s]/g, '');
+  const parsed = normalizeIsbn(isbn);
+  if (!parsed.ok) throw new Error(parsed.reason);
+  const normalizedIsbn = parsed.isbn13;
 
-  const CACHE_VERSION = 'v6'; // Increment this to invalidate old cached data
+  if (inFlightIsbns.has(normalizedIsbn)) {
+    console.log('[API] Joining in-flight lookup for:', normalizedIsbn);
+    return inFlightIsbns.get(normalizedIsbn);
+  }
+  const lookup = lookupIsbn(normalizedIsbn).finally(() => inFlightIsbns.delete(normalizedIsbn));
+  inFlightIsbns.set(normalizedIsbn, lookup);
+  return lookup;
+}
+
+async function lookupIsbn(normalizedIsbn) {
   const cKey = `isbn:${normalizedIsbn}:${CACHE_VERSION}`;
   const cached = await cacheGet(cKey);
   if (cached && (now() - cached.ts) < TTL_MS) {
@@ -223,31 +247,178 @@ export async function findBookByISBN(isbn) {
     return cached.value;
   }
   console.log('[API] Fetching fresh book data for:', normalizedIsbn);
-  const r = await fetch(`https://openlibrary.org/isbn/${normalizedIsbn}.json`);
-  if (!r.ok) throw new Error('ISBN not found');
-  const data = await r.json();
-  let authorName = '';
-  if (data?.authors?.[0]?.key) {
-    authorName = await fetchAuthorName(data.authors[0].key);
+  let resolved;
+  try {
+    resolved = await metadataResolver.resolve(normalizedIsbn);
+  } catch (error) {
+    // Offline: an expired cache entry is better than nothing
+    if (cached) {
+      console.log('[API] Network unavailable, using stale cached data for:', normalizedIsbn);
+      return cached.value;
+    }
+    throw error;
   }
-  const book = normalizeBookFromIsbnJson(normalizedIsbn, data, authorName);
+  if (!resolved) throw new Error('ISBN not found');
+  const book = bookFromResolved(normalizedIsbn, resolved);
   await cacheSet(cKey, book);
   return book;
 }
 
+// Build a library book from merged provider fields
+function bookFromResolved(isbn, { fields, sources }) {
+  const title = fields.title || 'Untitled';
+  let series = fields.series || null;
+  let seriesNumber = fields.seriesNumber ?? null;
+  const fieldSources = { ...sources };
+  if (!series) {
+    const detected = detectSeriesFromTitle(title);
+    series = detected.series;
+    seriesNumber = detected.seriesNumber;
+    if (series) fieldSources.series = fieldSources.seriesNumber = 'title';
+  }
+
+  return {
+    id: isbn,
+    title,
+    ...authorFields(fields.authors?.length ? fields.authors : authorForSeries(series) || ''),
+    isbn,
+    coverUrl: fields.coverUrl || coverFrom(isbn),
+    series,
+    seriesNumber,
+    genre: fields.subjects?.[0] || null,
+    pageCount: fields.pageCount ?? null,
+    publisher: fields.publisher || null,
+    publishedDate: fields.publishedDate || null,
+    subjects: fields.subjects || [],
+    workKey: fields.workKey || null,
+    format: fields.format || null,
+    sources: fieldSources
+  };
+}
+
+/** Open Library provider (edition JSON + author lookup) */
+export const openLibraryProvider = {
+  name: 'openlibrary',
+  async lookup(isbn) {
+    const r = await openLibraryQueue.fetch(`https://openlibrary.org/isbn/${isbn}.json`);
+    if (r.status === 404) return null;
+    if (!r.ok) throw new Error(`Open Library lookup failed (HTTP ${r.status})`);
+    const data = await r.json();
+    const authorNames = (await Promise.all((data?.authors || []).map(author =>
+      author?.key ? fetchAuthorName(author.key) : (author?.name || '')
+    ))).filter(Boolean);
+    const book = normalizeBookFromIsbnJson(isbn, data, authorNames[0] || '');
+    const hasCover = Array.isArray(data?.covers) && data.covers.some(id => id > 0);
+    return {
+      title: data?.title || null,
+      authors: authorNames.length ? authorNames : (book.author ? [book.author] : []),
+      coverUrl: hasCover ? book.coverUrl : null,
+      pageCount: data?.number_of_pages || null,
+      publisher: data?.publishers?.[0] || null,
+      publishedDate: data?.publish_date || null,
+      subjects: data?.subjects || [],
+      series: book.series,
+      seriesNumber: book.seriesNumber,
+      workKey: data?.works?.[0]?.key || null,
+      format: data?.physical_format || null
+    };
+  }
+};
+
+/** Google Books provider (volumes search by ISBN) */
+export const googleBooksProvider = {
+  name: 'googlebooks',
+  async lookup(isbn) {
+    const r = await googleBooksQueue.fetch(`https://www.googleapis.com/books/v1/volumes?q=isbn:${encodeURIComponent(isbn)}&maxResults=1`);
+    if (!r.ok) throw new Error(`Google Books lookup failed (HTTP ${r.status})`);
+    const data = await r.json();
+    const info = data?.items?.[0]?.volumeInfo;
+    if (!info) return null;
+    const detected = detectSeriesFromTitle(info.title || '');
+    return {
+      title: info.title || null,
+      authors: Array.isArray(info.authors) ? info.authors : [],
+      coverUrl: (info.imageLinks?.thumbnail || info.imageLinks?.smallThumbnail || '').replace('http://', 'https://') || null,
+      pageCount: info.pageCount || null,
+      publisher: info.publisher || null,
+      publishedDate: info.publishedDate || null,
+      subjects: Array.isArray(info.categories) ? info.categories : [],
+      series: detected.series,
+      seriesNumber: detected.seriesNumber
+    };
+  }
+};
+
+let metadataResolver = createResolver({ providers: [openLibraryProvider, googleBooksProvider] });
+
+/**
+ * Swap the metadata providers used by findBookByISBN (e.g. fixture providers in tests).
+ * Pass no arguments to restore Open Library + Google Books.
+ */
+export function setMetadataProviders(providers = [openLibraryProvider, googleBooksProvider], precedence = DEFAULT_PRECEDENCE) {
+  metadataResolver = createResolver({ providers, precedence });
+}
+
+/**
+ * Look up many ISBNs through the request queue.
+ * `onProgress({ isbn, status: 'done'|'failed', book, error, completed, total })` fires per item.
+ * Resolves with { results: [{ isbn, book }], failures: [{ isbn, error }] } in input order;
+ * duplicate ISBNs are looked up once. `concurrency` caps how many of this batch's lookups run
+ * at once; the shared Open Library queue keeps its own limit for everything else.
+ */
+export async function lookupIsbnBatch(isbns, { onProgress = () => {}, concurrency } = {}) {
+  const unique = Array.from(new Set(isbns.map(isbn => toIsbn13(isbn) || cleanIsbn(isbn)).filter(Boolean)));
+  const total = unique.length;
+  const results = [];
+  const failures = [];
+  let completed = 0;
+
+  async function lookup(isbn, index) {
+    try {
+      const book = await findBookByISBN(isbn);
+      results[index] = { isbn, book };
+      completed++;
+      onProgress({ isbn, status: 'done', book, completed, total });
+    } catch (error) {
+      failures[index] = { isbn, error };
+      completed++;
+      console.warn('[API] Batch lookup failed for:', isbn, error);
+      onProgress({ isbn, status: 'failed', error, completed, total });
+    }
+  }
+
+  // A fixed number of workers pull the next ISBN until none are left
+  let next = 0;
+  const workers = Math.min(concurrency || total, total);
+  await Promise.all(Array.from({ length: workers }, async () => {
+    while (next < total) {
+      const index = next++;
+      await lookup(unique[index], index);
+    }
+  }));
+
+  return { results: results.filter(Boolean), failures: failures.filter(Boolean) };
+}
+
 /** Search by text via Open Library */
 export async function searchBookByText(title = '', author = '') {
   const q = encodeURIComponent([title, author].filter(Boolean).join(' '));
   const cKey = `search:${q}`;
   const cached = await cacheGet(cKey);
   if (cached && (now() - cached.ts) < TTL_MS) return cached.value;
-  const r = await fetch(`https://openlibrary.org/search.json?q=${q}&limit=10`);
+  let r;
+  try {
+    r = await openLibraryQueue.fetch(`https://openlibrary.org/search.json?q=${q}&limit=10`);
+  } catch (error) {
+    if (cached) return cached.value;
+    throw error;
+  }
   if (!r.ok) throw new Error('Search failed');
   const j = await r.json();
   const out = (j.docs || []).slice(0, 10).map(d => ({
     id: d.isbn?.[0] || d.key,
     title: d.title,
-    author: (d.author_name && d.author_name[0]) || '',
+    ...authorFields(d.author_name || []),
     isbn: d.isbn?.[0] || '',
     coverUrl: coverFrom(d.isbn?.[0])
   }));
@@ -274,69 +445,10 @@ export function getCoverAlternatives(isbn) {
 
 /** Detect and extract series info from a book title (for migration/fixing existing books) */
 export function detectSeriesFromTitle(title) {
-  const titleLower = (title || '').toLowerCase();
-
-  // Harry Potter detection
-  if (titleLower.includes('harry potter')) {
-    const hpPatterns = [
-      { pattern: /philosopher'?s stone/i, number: 1 },
-      { pattern: /sorcerer'?s stone/i, number: 1 },
-      { pattern: /chamber of secrets/i, number: 2 },
-      { pattern: /prisoner of azkaban/i, number: 3 },
-      { pattern: /goblet of fire/i, number: 4 },
-      { pattern: /order of the phoenix/i, number: 5 },
-      { pattern: /half-blood prince/i, number: 6 },
-      { pattern: /deathly hallows/i, number: 7 }
-    ];
-
-    for (const { pattern, number } of hpPatterns) {
-      if (pattern.test(title)) {
-        return { series: 'Harry Potter', seriesNumber: number };
-      }
-    }
-
-    return { series: 'Harry Potter', seriesNumber: null };
-  }
-
-  // Empyrean series
-  if (titleLower.includes('fourth wing') || titleLower.includes('iron flame') || titleLower.includes('onyx storm')) {
-    let seriesNumber = null;
-    if (/fourth wing/i.test(title)) seriesNumber = 1;
-    else if (/iron flame/i.test(title)) seriesNumber = 2;
-    else if (/onyx storm/i.test(title)) seriesNumber = 3;
-    return { series: 'The Empyrean', seriesNumber };
-  }
-
-  // A Court of Thorns and Roses
-  if (titleLower.includes('court of')) {
-    let seriesNumber = null;
-    if (/court of thorns and roses/i.test(title) && !/mist and fury|wings and ruin|frost and starlight|silver flames/i.test(title)) seriesNumber = 1;
-    else if (/mist and fury/i.test(title)) seriesNumber = 2;
-    else if (/wings and ruin/i.test(title)) seriesNumber = 3;
-    else if (/frost and starlight/i.test(title)) seriesNumber = 4;
-    else if (/silver flames/i.test(title)) seriesNumber = 5;
-    return { series: 'A Court of Thorns and Roses', seriesNumber };
-  }
-
-  // The Crowns of Nyaxia series
-  if (titleLower.includes('serpent and the wings') ||
-      titleLower.includes('ashes and the star') ||
-      titleLower.includes('crowns of nyaxia')) {
-    let seriesNumber = null;
-    if (/serpent and the wings/i.test(title)) seriesNumber = 1;
-    else if (/ashes and the star/i.test(title)) seriesNumber = 2;
-    return { series: 'The Crowns of Nyaxia', seriesNumber };
-  }
-
-  // It Ends with Us series
-  if (titleLower.includes('it ends with us') || titleLower.includes('it starts with us')) {
-    let seriesNumber = null;
-    if (/it ends with us/i.test(title)) seriesNumber = 1;
-    else if (/it starts with us/i.test(title)) seriesNumber = 2;
-    return { series: 'It Ends with Us', seriesNumber };
-  }
-
-  return { series: null, seriesNumber: null };
+  const match = matchSeries(title);
+  return match
+    ? { series: match.series, seriesNumber: match.seriesNumber }
+    : { series: null, seriesNumber: null };
 }
 
 /** Normalize series name for sorting/grouping */
@@ -380,8 +492,8 @@ export function isEditionSeries(name) {
 export function extractVolumeNumber(title) {
   if (!title) return null;
 
-  // Try "(Series, 1)" pattern
-  const seriesPattern = /\(([^,]+),\s*(\d+(?:\.\d+)?)\)/;
+  // Try "(Series, 1)" pattern (Goodreads writes "(Series, #1)")
+  const seriesPattern = /\(([^,]+),\s*#?(\d+(?:\.\d+)?)\)/;
   const seriesMatch = title.match(seriesPattern);
   if (seriesMatch) return parseFloat(seriesMatch[2]);
 
@@ -418,7 +530,7 @@ export function primarySeries(seriesArray) {
 export async function searchGoogleBooks(query) {
   try {
     const q = encodeURIComponent(query || '');
-    const response = await fetch(`https://www.googleapis.com/books/v1/volumes?q=${q}&maxResults=8`);
+    const response = await googleBooksQueue.fetch(`https://www.googleapis.com/books/v1/volumes?q=${q}&maxResults=8`);
     if (!response.ok) throw new Error('Google Books search failed');
 
     const data = await response.json();
@@ -2,12 +2,29 @@
 // Note: heavy libs (Quagga, Tesseract, MediaPipe, idb) loaded dynamically in respective modules
 
 import { initCamera, stopCamera, getFrameImageData, getVideoEl } from './camera.js';
-import { initBarcodeScanner, stopBarcodeScanner, onIsbnDetected, ocrFromFrame } from './scanner.js';
+import { initBarcodeScanner, stopBarcodeScanner, onIsbnDetected, onInvalidBarcode, onBookQrDetected, ocrFromFrame } from './scanner.js';
+import { normalizeIsbn } from './isbn.js';
 import { initHands, onCursorMove, onGrab, onOpenHand, onWave, onSwipeUp, destroyHands, setBrowseMode } from './hand.js';
-import { renderBook, openBookModal, closeBookModal, initUI, hydrateBooks, highlightAtCursor, getCurrentBookId, setSortMode, getSortMode, nextPage, prevPage, resetColorTracking, getBookColor, openEditSeriesDialog, openReenrichDialog } from './ui.js';
-import { findBookByISBN, searchBookByText, updateBookCover, detectSeriesFromTitle } from './api.js';
-import { storage, events } from './storage.js';
-import { loginWithGoogle, logout, onAuthChange, getCurrentUser } from './firebase.js';
+import { openBookModal, closeBookModal, initUI, hydrateBooks, highlightAtCursor, getCurrentBookId, setSortMode, getSortMode, nextPage, prevPage, resetColorTracking, getBookColor, openEditSeriesDialog, openEditBookDialog, openReenrichDialog, openSeriesRulesDialog, chooseDuplicateAction, openDuplicatesDialog, openCsvImportDialog, openImportPreviewDialog, openRestoreDialog, getShelfSections, openPrintDialog, openBookQrDialog, highlightSearchMatches, showSearchResults, renderShelfTabs, openSmartShelvesDialog, openLoansDialog, openBorrowersDialog, openBorrowerProfile, confirmInline, openShareDialog, openInboxDialog, openBorrowRequestDialog } from './ui.js';
+import { findBookByISBN, lookupIsbnBatch, searchBookByText, updateBookCover, detectSeriesFromTitle } from './api.js';
+import { setCustomSeriesRules } from './series.js';
+import { authorFields, authorMatches, authorSortKey } from './authors.js';
+import { findMatches, mergeBooks, copyId, findDuplicateGroups } from './duplicates.js';
+import { booksToCsv, parseCsv } from './csv.js';
+import { detectImportSource, IMPORT_SOURCES } from './importers.js';
+import { createExportEnvelope, parseLibraryFile, diffImport, diffToOperations } from './libraryFile.js';
+import { createBackup, isBackup, validateBackup, planRestore, readPreferences } from './backup.js';
+import { isSameWork } from './works.js';
+import { buildPrintDocument, PRINT_LAYOUTS } from './printCatalog.js';
+import { bookQrCodes, parseBookLink } from './qr.js';
+import { createSearchIndex, searchIndex, isEmptyQuery } from './search.js';
+import { readSmartShelves, validateSmartShelf, createSmartShelf } from './smartShelves.js';
+import { readBorrowers, validateBorrower, createBorrower, updateBorrower, resolveBorrower, isBorrowersLoan, borrowerHistory, seedBorrowers } from './borrowers.js';
+import { defaultDueDate, isOverdue, listActiveLoans, describeDue, loanReminder, today, DEFAULT_LOAN_DAYS, AVAILABILITY, copyAvailability, lendingBlock, withLoanIds, findLoanIndex, createLoanId, createHold, isSamePerson, moveHold, removeHold, nextHold } from './loans.js';
+import { createShareId, shareLink, parseShareLink, diffSharedBooks, validateBorrowRequest, createBorrowRequest, REQUEST_LIMITS } from './sharing.js';
+import { storage, events, getStorageMode, setStorageMode, isLocalMode, setStorageAdapter, STORAGE_MODES } from './storage.js';
+import { createSharedAdapter } from './adapters/sharedAdapter.js';
+import { loginWithGoogle, logout, onAuthChange, getCurrentUser, getShare, setShare, getSharedBooks, writeSharedBooks, addBorrowRequest, subscribeBorrowRequests, removeBorrowRequest } from './firebase.js';
 
 const qs = (sel, root = document) => root.querySelector(sel);
 
@@ -70,17 +87,31 @@ function setupControls() {
   const toggleCursorBtn = document.getElementById('toggle-cursor-btn');
   const toggleVoiceBtn = document.getElementById('toggle-voice-btn');
   const exportBtn = document.querySelector('[data-action="export"]');
+  const exportCsvBtn = document.querySelector('[data-action="export-csv"]');
+  const backupBtn = document.querySelector('[data-action="backup"]');
+  const printCatalogBtn = document.querySelector('[data-action="print-catalog"]');
   const importBtn = document.querySelector('[data-action="import"]');
   const importInput = document.getElementById('import-file');
+  const seriesRulesBtn = document.querySelector('[data-action="series-rules"]');
+  const findDuplicatesBtn = document.querySelector('[data-action="find-duplicates"]');
+  const loansBtn = document.querySelector('[data-action="loans"]');
+  const borrowersBtn = document.querySelector('[data-action="borrowers"]');
+  const shareBtn = document.querySelector('[data-action="share"]');
 
   // Auth buttons
   const loginBtn = document.getElementById('login-btn');
   const logoutBtn = document.getElementById('logout-btn');
   const modalLoginBtn = document.getElementById('modal-login-btn');
+  const modalLocalBtn = document.getElementById('modal-local-btn');
+  const storageModeMenu = document.getElementById('storage-mode-menu');
 
   loginBtn?.addEventListener('click', handleLogin);
   logoutBtn?.addEventListener('click', handleLogout);
   modalLoginBtn?.addEventListener('click', handleLogin);
+  modalLocalBtn?.addEventListener('click', () => handleStorageModeChange(STORAGE_MODES.local));
+
+  if (storageModeMenu) storageModeMenu.value = getStorageMode();
+  storageModeMenu?.addEventListener('change', (e) => handleStorageModeChange(e.target.value));
 
   // Initialize button states based on saved preferences
   const cursorEnabled = localStorage.getItem('handCursorEnabled') === 'on';
@@ -96,6 +127,7 @@ function setupControls() {
   const modal = document.getElementById('book-modal');
   const closeModalBtn = document.getElementById('close-modal');
   const deleteBtn = document.getElementById('delete-book');
+  const editBookBtn = document.getElementById('edit-book-btn');
   const editSeriesBtn = document.getElementById('edit-series-btn');
   const reenrichBtn = document.getElementById('reenrich-btn');
   const sortFilter = document.getElementById('sort-filter');
@@ -110,6 +142,7 @@ function setupControls() {
   toggleVoiceBtn?.addEventListener('click', toggleVoiceCommands);
   closeModalBtn?.addEventListener('click', () => modal.close());
   deleteBtn?.addEventListener('click', handleDeleteBook);
+  editBookBtn?.addEventListener('click', openEditBookDialog);
   editSeriesBtn?.addEventListener('click', openEditSeriesDialog);
   reenrichBtn?.addEventListener('click', openReenrichDialog);
 
@@ -123,8 +156,12 @@ function setupControls() {
   const addBorrowerBtn = document.getElementById('add-borrower-btn');
 
   viewCardBtn?.addEventListener('click', openLibraryCard);
+  document.getElementById('book-qr-btn')?.addEventListener('click', () => openBookQrDialog({
+    onPrint: (book) => printBooks([{ label: null, books: [book] }], { layout: 'qr', title: book.title })
+  }));
   closeCardBtn?.addEventListener('click', closeLibraryCard);
   addBorrowerBtn?.addEventListener('click', addBorrower);
+  document.getElementById('add-hold-btn')?.addEventListener('click', placeHoldFromCard);
 
   // Voice Search button
   const voiceSearchBtn = document.getElementById('voice-search-btn');
@@ -158,18 +195,80 @@ function setupControls() {
     }
   });
 
-  clearSearchBtn?.addEventListener('click', async () => {
+  // Results update while typing; the index is in memory so there's no storage round-trip
+  let searchTimeout;
+  searchInput?.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => setSearch(searchInput.value), 120);
+  });
+  searchInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      searchInput.value = '';
+      setSearch('');
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      document.querySelector('#search-results li')?.focus();
+    }
+  });
+  searchInput?.addEventListener('focus', () => {
+    if (activeSearch) setSearch(searchInput.value);
+  });
+  searchInput?.addEventListener('blur', () => {
+    // Keep the list while moving into it with the keyboard
+    setTimeout(() => {
+      if (!document.getElementById('search-results')?.contains(document.activeElement)) showSearchResults([]);
+    }, 0);
+  });
+
+  clearSearchBtn?.addEventListener('click', () => {
     if (searchInput) searchInput.value = '';
-    clearSearchBtn.classList.add('hidden');
-    const books = await storage.getBooks();
-    hydrateBooks(books);
+    setSearch('');
   });
 
   // Export / Import handlers (if buttons exist)
   if (exportBtn) exportBtn.addEventListener('click', handleExport);
+  exportCsvBtn?.addEventListener('click', handleExportCsv);
+  backupBtn?.addEventListener('click', handleBackup);
+  printCatalogBtn?.addEventListener('click', () => {
+    settingsMenu?.classList.add('hidden');
+    handlePrintCatalog();
+  });
+
+  // Book links (e.g. scanned from a printed QR sticker) open that book
+  window.addEventListener('hashchange', openLinkedBook);
   if (importBtn) importBtn.addEventListener('click', () => importInput?.click());
   if (importInput) importInput.addEventListener('change', handleImportFile);
 
+  findDuplicatesBtn?.addEventListener('click', () => {
+    settingsMenu?.classList.add('hidden');
+    handleFindDuplicates();
+  });
+
+  loansBtn?.addEventListener('click', () => {
+    settingsMenu?.classList.add('hidden');
+    handleOpenLoans();
+  });
+
+  borrowersBtn?.addEventListener('click', () => {
+    settingsMenu?.classList.add('hidden');
+    handleOpenBorrowers();
+  });
+
+  shareBtn?.addEventListener('click', () => {
+    settingsMenu?.classList.add('hidden');
+    handleShareLibrary();
+  });
+  document.getElementById('inbox-btn')?.addEventListener('click', handleOpenInbox);
+  document.getElementById('request-borrow-btn')?.addEventListener('click', handleRequestBorrow);
+
+  seriesRulesBtn?.addEventListener('click', () => {
+    settingsMenu?.classList.add('hidden');
+    openSeriesRulesDialog({
+      // Re-check existing books against the new rules
+      onChange: () => migrateExistingBooks()
+    });
+  });
+
   // Load saved sort preference
   const savedSort = localStorage.getItem('librarySortMode') || 'series';
   setSortMode(savedSort);
@@ -185,8 +284,7 @@ function setupControls() {
     const newMode = e.target.value;
     console.log('[App] Changing sort mode to:', newMode);
     setSortMode(newMode);
-    const books = await storage.getBooks();
-    hydrateBooks(books);
+    renderLibrary();
   });
 
   // Handle theme change from settings menu
@@ -201,21 +299,21 @@ function setupControls() {
     // Regenerate colors for all books with new theme palette
     const books = await storage.getBooks();
     for (const book of books) {
+      if (book.customSpineColor) continue;
       // Generate new color from new theme
       book.spineColor = getBookColor(book.id || book.isbn, book.title, book.series);
       await storage.addBook(book);
     }
 
     // Re-render with new colors
-    const updatedBooks = await storage.getBooks();
-    hydrateBooks(updatedBooks);
+    renderLibrary({ books: await storage.getBooks() });
   });
 
   // Handle hamburger menu toggle
   menuBtn?.addEventListener('click', () => {
-    // Only allow menu to open if user is authenticated
+    // Only allow menu to open if user is authenticated or using a local library
     const currentUser = getCurrentUser();
-    if (currentUser) {
+    if (currentUser || isLocalMode()) {
       settingsMenu?.classList.remove('hidden');
     }
   });
@@ -267,6 +365,17 @@ async function openLibraryCard() {
   titleEl.textContent = book.title || 'Untitled';
   authorEl.textContent = book.author || 'Unknown Author';
 
+  // Suggest people from the borrower directory while typing a name
+  const options = document.getElementById('borrower-options');
+  if (options) {
+    options.innerHTML = '';
+    borrowerDirectory.forEach(borrower => {
+      const option = document.createElement('option');
+      option.value = borrower.name;
+      options.appendChild(option);
+    });
+  }
+
   // Render borrower list
   renderBorrowerList(book);
 
@@ -279,38 +388,275 @@ async function openLibraryCard() {
   }
 }
 
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
 function renderBorrowerList(book) {
+  renderCopyStatus(book);
   const borrowerList = document.getElementById('borrower-list');
-  const borrowers = book.borrowers || [];
+  const borrowers = withLoanIds(book.borrowers);
 
   if (borrowers.length === 0) {
     borrowerList.innerHTML = '<p class="empty-card-message">No borrowing history</p>';
     return;
   }
 
+  const now = today();
   borrowerList.innerHTML = borrowers.map((borrower, index) => {
     const isReturned = borrower.returnDate;
-    const statusClass = isReturned ? 'returned' : 'active';
+    const overdue = isOverdue(borrower, now);
+    const statusClass = isReturned ? 'returned' : overdue ? 'active overdue' : 'active';
     const dateDisplay = isReturned
       ? `${borrower.date} - ${borrower.returnDate}`
-      : borrower.date;
+      : borrower.dueDate ? `${borrower.date} · due ${borrower.dueDate}` : borrower.date;
 
     return `
       <div class="borrower-entry ${statusClass}">
-        <span class="borrower-name">${borrower.name}</span>
-        <span class="borrower-date">${dateDisplay}</span>
-        ${!isReturned ? `<button class="return-borrower-btn" data-index="${index}">Return</button>` : '<span class="returned-badge">Returned</span>'}
+        <button class="borrower-name" data-index="${index}" title="Open borrower profile">${escapeHtml(borrower.name)}</button>
+        <span class="borrower-date">${escapeHtml(dateDisplay)}${overdue ? ' <strong class="overdue-badge">Overdue</strong>' : ''}</span>
+        ${!isReturned ? `<button class="return-borrower-btn" data-loan-id="${escapeHtml(borrower.id)}">Return</button>` : '<span class="returned-badge">Returned</span>'}
+        ${borrower.notes ? `<span class="borrower-notes">${escapeHtml(borrower.notes)}</span>` : ''}
       </div>
     `;
   }).join('');
 
+  borrowerList.querySelectorAll('.borrower-name').forEach(btn => {
+    btn.addEventListener('click', () => openProfileForLoan(borrowers[parseInt(btn.getAttribute('data-index'))]));
+  });
+
   // Add event listeners to return buttons
   borrowerList.querySelectorAll('.return-borrower-btn').forEach(btn => {
     btn.addEventListener('click', async () => {
-      const index = parseInt(btn.getAttribute('data-index'));
-      await returnBorrower(index);
+      await returnBorrower(btn.getAttribute('data-loan-id'));
+    });
+  });
+}
+
+// Copy availability and the people waiting for it, above the loan history
+function renderCopyStatus(book) {
+  const select = document.getElementById('copy-availability');
+  if (select) {
+    const status = copyAvailability(book);
+    select.innerHTML = Object.entries(AVAILABILITY)
+      // 'On loan' is only shown (never picked) - it comes from the loans themselves
+      .filter(([value]) => value !== 'on-loan' || status === 'on-loan')
+      .map(([value, label]) => `<option value="${value}"${value === status ? ' selected' : ''}>${label}</option>`)
+      .join('');
+    select.disabled = status === 'on-loan';
+    select.onchange = () => setCopyAvailability(book.id || book.isbn, select.value);
+  }
+
+  renderHoldQueue(book);
+}
+
+// Waitlist on the library card: first in line at the top, with a Lend button once the copy is free
+function renderHoldQueue(book) {
+  const queue = document.getElementById('hold-queue');
+  if (!queue) return;
+  const holds = book.holds || [];
+  const bookId = book.id || book.isbn;
+  const canLend = copyAvailability(book) === 'available';
+  queue.classList.toggle('hidden', holds.length === 0);
+
+  queue.innerHTML = holds.length ? '<h3 class="hold-queue-title">Waiting list</h3>' : '';
+  const list = document.createElement('ol');
+  holds.forEach((hold, index) => {
+    const item = document.createElement('li');
+    item.className = 'hold-entry';
+    item.innerHTML = `
+      <span class="hold-name">${escapeHtml(hold.name)}</span>
+      <span class="hold-date">since ${escapeHtml(hold.requestedAt)}</span>
+      ${index === 0 && canLend ? '<button class="hold-lend-btn" data-action="lend">Lend</button>' : ''}
+      <button class="hold-move-btn" data-action="up" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+      <button class="hold-move-btn" data-action="down" title="Move down"${index === holds.length - 1 ? ' disabled' : ''}>↓</button>
+      <button class="hold-cancel-btn" data-action="cancel" title="Cancel hold">✕</button>
+    `;
+    item.querySelectorAll('button').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const action = btn.getAttribute('data-action');
+        if (action === 'lend') await lendToHold(bookId, hold.id);
+        else if (action === 'cancel') await updateHolds(bookId, holds => removeHold(holds, hold.id));
+        else await updateHolds(bookId, holds => moveHold(holds, hold.id, action === 'up' ? -1 : 1));
+      });
+    });
+    list.appendChild(item);
+  });
+  queue.appendChild(list);
+}
+
+/**
+ * Thrown from a storage.transactBook change when the saved copy rules the change out (another
+ * device lent or returned it meanwhile). `book` is that saved copy; `block` is lendingBlock
+ * output when it's a loan that was refused.
+ */
+class BookChangeRejected extends Error {
+  constructor(message, book, block = null) {
+    super(message);
+    this.name = 'BookChangeRejected';
+    this.book = book;
+    this.block = block;
+  }
+}
+
+/**
+ * Change a book's waitlist. `change(holds)` runs against the saved list, so holds placed or
+ * moved elsewhere meanwhile aren't lost, and only `holds` is written. Returns the book.
+ */
+async function updateHolds(bookId, change) {
+  const book = await storage.transactBook(bookId, (saved) => ({ holds: change(saved.holds || []) }));
+  console.log('[App] Holds updated:', book.title, book.holds.map(hold => hold.name));
+  if (getCurrentBookId() === bookId) renderBorrowerList(book);
+  return book;
+}
+
+/**
+ * Lend a copy: record the loan (with a fresh id) and take the borrower off its waitlist.
+ * lendingBlock is checked again on the saved copy (on the server when online), so two devices
+ * can't lend the same copy; a BookChangeRejected carrying the block is thrown then. Returns the
+ * updated book.
+ */
+async function lendCopy(bookId, borrower, { date = today(), dueDate = defaultDueDate(date), notes = '' } = {}) {
+  const loan = { id: createLoanId(), name: borrower.name, borrowerId: borrower.id, date, dueDate };
+  if (notes) loan.notes = notes;
+  const book = await storage.transactBook(bookId, (saved) => {
+    const block = lendingBlock(saved);
+    if (block) throw new BookChangeRejected(block.message, saved, block);
+    return {
+      borrowers: [...withLoanIds(saved.borrowers), loan],
+      holds: (saved.holds || []).filter(hold => !isSamePerson(hold, borrower))
+    };
+  });
+  console.log('[App] Lent:', book.title, 'to', borrower.name, loan.id);
+  return book;
+}
+
+// One-click lend to someone on the waitlist (today, default loan period)
+async function lendToHold(bookId, holdId) {
+  const book = (await storage.getBooks()).find(b => (b.id || b.isbn) === bookId);
+  const hold = book?.holds?.find(h => h.id === holdId);
+  if (!hold) return null;
+  const block = lendingBlock(book);
+  if (block) {
+    await showNotification(block.message, '🚫');
+    return null;
+  }
+  const borrower = borrowerDirectory.find(b => b.id === hold.borrowerId) || { id: hold.borrowerId, name: hold.name };
+  try {
+    const lent = await lendCopy(bookId, borrower);
+    if (getCurrentBookId() === bookId) renderBorrowerList(lent);
+    return lent;
+  } catch (error) {
+    if (!(error instanceof BookChangeRejected)) throw error;
+    await showNotification(error.message, '🚫');
+    return null;
+  }
+}
+
+// Where inline dialogs go so they show above whichever modal is open
+function dialogContainer() {
+  const card = document.getElementById('library-card-modal');
+  return card?.open ? card : document.body;
+}
+
+/** After a return: if someone is waiting, offer to lend it straight to them */
+async function surfaceNextHold(book) {
+  const hold = nextHold(book);
+  if (!hold || lendingBlock(book)) return;
+  const others = book.holds.length - 1;
+  const lend = await confirmInline({
+    heading: 'Next in line',
+    message: `${hold.name} has been waiting for "${book.title}" since ${hold.requestedAt}${others ? ` (${others} more after them)` : ''}. Lend it to ${hold.name} now?`,
+    confirmLabel: `Lend to ${hold.name}`,
+    cancelLabel: 'Not Now',
+    container: dialogContainer()
+  });
+  if (lend) await lendToHold(book.id || book.isbn, hold.id);
+}
+
+// "Place Hold" on the library card: the name field's person joins the waitlist
+async function placeHoldFromCard() {
+  const bookId = getCurrentBookId();
+  const nameInput = document.getElementById('borrower-name');
+  const name = nameInput?.value.trim();
+  if (!bookId || !name) {
+    await showNotification('Please enter who the hold is for', 'ℹ️');
+    return;
+  }
+  const borrower = await resolveLoanBorrower(name);
+  if (!borrower) return;
+  const result = await placeHold(bookId, borrower);
+  if (result === 'added') nameInput.value = '';
+}
+
+/**
+ * Put someone on a book's waitlist. Returns 'added', 'already' (they're waiting),
+ * 'available' (nobody to wait for - lend it instead) or null when the book is gone.
+ */
+async function placeHold(bookId, borrower) {
+  const book = (await storage.getBooks()).find(b => (b.id || b.isbn) === bookId);
+  if (!book) return null;
+  if ((book.holds || []).some(hold => isSamePerson(hold, borrower))) {
+    await showNotification(`${borrower.name} is already waiting for "${book.title}"`, 'ℹ️');
+    return 'already';
+  }
+  if (!lendingBlock(book) && !book.holds?.length) {
+    await showNotification(`"${book.title}" is on the shelf right now - lend it to ${borrower.name} instead`, '📚');
+    return 'available';
+  }
+  const hold = createHold({ name: borrower.name, borrowerId: borrower.id });
+  // Checked again on the saved list in case they were added from another device
+  await updateHolds(bookId, holds => (holds.some(h => isSamePerson(h, borrower)) ? holds : [...holds, hold]));
+  return 'added';
+}
+
+async function setCopyAvailability(bookId, availability) {
+  let book;
+  try {
+    book = await storage.transactBook(bookId, (saved) => {
+      if (copyAvailability(saved) === 'on-loan') {
+        throw new BookChangeRejected('Return the current loan before changing this copy\'s status', saved);
+      }
+      // null rather than a missing field so only this field is written
+      return { availability: availability === 'available' ? null : availability };
     });
+  } catch (error) {
+    if (!(error instanceof BookChangeRejected)) throw error;
+    await showNotification(error.message, 'ℹ️');
+    renderBorrowerList(error.book);
+    return;
+  }
+  console.log('[App] Copy status:', book.title, '→', availability);
+  renderBorrowerList(book);
+}
+
+// Another copy of the same work that could be lent instead
+function availableOtherCopy(book) {
+  const id = book.id || book.isbn;
+  return libraryBooks.find(other => (other.id || other.isbn) !== id && isSameWork(other, book) && copyAvailability(other) === 'available') || null;
+}
+
+/**
+ * Explain why a copy can't be lent and, where it makes sense, offer to put the borrower on
+ * its hold list. Returns true when a hold was added.
+ */
+async function handleBlockedLoan(book, block, borrower) {
+  const other = availableOtherCopy(book);
+  const message = other
+    ? `${block.message} Another copy${other.format ? ` (${other.format})` : ''} is available.`
+    : block.message;
+  if (!block.canHold) {
+    await showNotification(message, '🚫');
+    return false;
+  }
+  const wantsHold = await confirmInline({
+    heading: 'Not available',
+    message: `${message} Add ${borrower.name} to the waiting list so they're next in line?`,
+    confirmLabel: 'Place Hold',
+    container: dialogContainer()
   });
+  if (!wantsHold) return false;
+  return (await placeHold(book.id || book.isbn, borrower)) === 'added';
 }
 
 async function addBorrower() {
@@ -319,9 +665,12 @@ async function addBorrower() {
 
   const nameInput = document.getElementById('borrower-name');
   const dateInput = document.getElementById('borrow-date');
+  const dueInput = document.getElementById('due-date');
+  const notesInput = document.getElementById('loan-notes');
 
   const name = nameInput.value.trim();
   const date = dateInput.value;
+  const notes = notesInput?.value.trim() || '';
 
   if (!name) {
     await showNotification('Please enter a borrower name', 'ℹ️');
@@ -333,40 +682,401 @@ async function addBorrower() {
     return;
   }
 
+  // Without a due date the loan runs for the default period
+  const dueDate = dueInput?.value || defaultDueDate(date);
+  if (dueDate < date) {
+    await showNotification('The due date must be on or after the borrow date', 'ℹ️');
+    return;
+  }
+
+  const borrower = await resolveLoanBorrower(name);
+  if (!borrower) return;
+
   const books = await storage.getBooks();
   const book = books.find(b => (b.id || b.isbn) === bookId);
   if (!book) return;
 
-  if (!book.borrowers) {
-    book.borrowers = [];
+  // One copy, one borrower
+  const block = lendingBlock(book);
+  if (block) {
+    if (await handleBlockedLoan(book, block, borrower)) nameInput.value = '';
+    return;
   }
 
-  book.borrowers.push({ name, date });
-  await storage.addBook(book);
+  // Someone else is first in line: check before jumping the queue
+  const first = nextHold(book);
+  if (first && !isSamePerson(first, borrower)) {
+    const lendAnyway = await confirmInline({
+      heading: 'Someone is waiting',
+      message: `${first.name} is first in line for "${book.title}" (since ${first.requestedAt}). Lend it to ${borrower.name} anyway?`,
+      confirmLabel: `Lend to ${borrower.name}`,
+      container: dialogContainer()
+    });
+    if (!lendAnyway) return;
+  }
+
+  let lent;
+  try {
+    lent = await lendCopy(bookId, borrower, { date, dueDate, notes });
+  } catch (error) {
+    if (!(error instanceof BookChangeRejected)) throw error;
+    // Lent from another device since the card was opened
+    renderBorrowerList(error.book);
+    if (await handleBlockedLoan(error.book, error.block, borrower)) nameInput.value = '';
+    return;
+  }
 
   // Clear inputs
   nameInput.value = '';
   dateInput.value = '';
+  if (dueInput) dueInput.value = '';
+  if (notesInput) notesInput.value = '';
 
   // Re-render list
-  renderBorrowerList(book);
+  renderBorrowerList(lent);
 }
 
-async function returnBorrower(index, returnDate = null) {
+async function returnBorrower(loanId, returnDate = null) {
   const bookId = getCurrentBookId();
   if (!bookId) return;
 
-  const books = await storage.getBooks();
-  const book = books.find(b => (b.id || b.isbn) === bookId);
-  if (!book || !book.borrowers) return;
-
-  // Set return date instead of removing the entry
-  const today = returnDate || new Date().toISOString().split('T')[0];
-  book.borrowers[index].returnDate = today;
-  await storage.addBook(book);
+  const book = await returnLoan(bookId, loanId, returnDate);
+  if (!book) return;
 
   // Re-render list
   renderBorrowerList(book);
+  await surfaceNextHold(book);
+}
+
+/**
+ * Record a loan as returned (today by default), found by its id so a list that changed in
+ * the meantime can't mark the wrong entry. Returns the updated book, or null when the loan
+ * is gone or already back.
+ */
+async function returnLoan(bookId, loanId, returnDate = null) {
+  let book;
+  try {
+    book = await storage.transactBook(bookId, (saved) => {
+      const borrowers = withLoanIds(saved.borrowers);
+      const loan = borrowers[findLoanIndex(saved, loanId)];
+      if (!loan || loan.returnDate) throw new BookChangeRejected('That loan was already returned.', loan ? saved : null);
+      // Set return date instead of removing the entry
+      const returned = { ...loan, returnDate: returnDate || new Date().toISOString().split('T')[0] };
+      return { borrowers: borrowers.map(entry => (entry.id === loanId ? returned : entry)) };
+    });
+  } catch (error) {
+    if (!(error instanceof BookChangeRejected)) throw error;
+    console.warn('[App] Loan to return not found or already returned:', loanId);
+    await showNotification(error.message, 'ℹ️');
+    return error.book;
+  }
+  console.log('[App] Loan returned:', book.title, loanId);
+  return book;
+}
+
+// Loans dashboard: everything that's out, soonest due first
+function handleOpenLoans() {
+  openLoansDialog({
+    getLoans: async () => listActiveLoans(await storage.getBooks()),
+    describeDue,
+    onOpen: async (entry) => {
+      if (await openBookById(entry.book.id || entry.book.isbn)) await openLibraryCard();
+    },
+    onReturn: async (entry) => {
+      const book = await returnLoan(entry.book.id || entry.book.isbn, entry.loan.id);
+      if (book) await surfaceNextHold(book);
+    }
+  });
+}
+
+// Overdue and due-soon loans, mentioned once when the library first loads
+let loanRemindersShown = false;
+
+async function showLoanReminders(books) {
+  if (loanRemindersShown) return;
+  loanRemindersShown = true;
+  const reminder = loanReminder(books);
+  if (!reminder) return;
+  console.log('[App] Loan reminder:', reminder.overdue, 'overdue,', reminder.dueSoon, 'due soon');
+  await showNotification(`${reminder.message} Open Loans from the menu to see everything that's out.`, '⏰');
+}
+
+// People books get lent to (meta 'borrowers')
+let borrowerDirectory = [];
+
+async function loadBorrowers(books) {
+  const saved = await storage.getMeta('borrowers');
+  borrowerDirectory = readBorrowers(saved);
+  if (saved == null && books.some(book => book.borrowers?.length)) {
+    // First run with a directory: start it from the names already on library cards
+    try {
+      await saveBorrowers(seedBorrowers(books));
+    } catch (error) {
+      console.warn('[App] Could not save the borrower directory:', error);
+    }
+  }
+}
+
+async function saveBorrowers(list) {
+  await storage.setMeta('borrowers', list);
+  borrowerDirectory = list;
+  console.log('[App] Saved', list.length, 'borrowers');
+  return list;
+}
+
+/**
+ * The directory entry a typed or spoken name means. Someone new is added to the directory;
+ * a name that fits several people is rejected with a notification (returns null).
+ */
+async function resolveLoanBorrower(name) {
+  const { borrower, candidates } = resolveBorrower(name, borrowerDirectory);
+  if (borrower) return borrower;
+  if (candidates.length > 1) {
+    const names = candidates.slice(0, 3).map(candidate => candidate.name);
+    await showNotification(`"${name}" could be ${names.join(' or ')}. Please use more of the name.`, '👥');
+    return null;
+  }
+  const created = createBorrower({ name }, borrowerDirectory);
+  try {
+    await saveBorrowers([...borrowerDirectory, created]);
+    console.log('[App] New borrower added to the directory:', created.name);
+  } catch (error) {
+    // The loan can still be recorded by name
+    console.warn('[App] Could not add borrower to the directory:', error);
+  }
+  return created;
+}
+
+function handleOpenBorrowers() {
+  openBorrowersDialog({
+    borrowers: borrowerDirectory,
+    countCurrent: (borrower) => borrowerHistory(borrower, libraryBooks).current.length,
+    onAdd: async (fields) => {
+      const borrower = createBorrower(fields, borrowerDirectory);
+      const errors = validateBorrower(borrower);
+      const { exact } = resolveBorrower(borrower.name, borrowerDirectory);
+      if (exact) errors.push(`${borrower.name} is already in the directory`);
+      if (errors.length) throw new Error(errors.join(' · '));
+      return saveBorrowers([...borrowerDirectory, borrower]);
+    },
+    onOpenProfile: openBorrowerProfileFor,
+    onDelete: (borrower) => saveBorrowers(borrowerDirectory.filter(b => b.id !== borrower.id))
+  });
+}
+
+async function openBorrowerProfileFor(borrower) {
+  openBorrowerProfile({
+    borrower,
+    history: borrowerHistory(borrower, await storage.getBooks()),
+    onSave: async (fields) => {
+      const updated = updateBorrower(borrower, fields);
+      const errors = validateBorrower(updated);
+      if (errors.length) throw new Error(errors.join(' · '));
+      await saveBorrowers(borrowerDirectory.map(b => (b.id === borrower.id ? updated : b)));
+      borrower = updated;
+      return updated;
+    },
+    onOpenBook: async (entry) => {
+      if (await openBookById(entry.book.id || entry.book.isbn)) await openLibraryCard();
+    }
+  });
+}
+
+// Library card name -> that person's profile
+async function openProfileForLoan(loan) {
+  if (!loan) return;
+  const borrower = borrowerDirectory.find(b => b.id === loan.borrowerId)
+    || borrowerDirectory.find(b => isBorrowersLoan(loan, b));
+  if (!borrower) {
+    await showNotification(`${loan.name} is not in the borrower directory.`, 'ℹ️');
+    return;
+  }
+  closeLibraryCard();
+  closeBookModal();
+  await openBorrowerProfileFor(borrower);
+}
+
+// Share link (sharing.js): meta 'sharing' = { shareId, enabled }. While it's on, a trimmed
+// copy of every book is kept in step with the library for visitors to browse.
+let sharing = null;
+let publishedBooks = new Map();
+let publishTimer = null;
+let borrowRequests = [];
+let unsubscribeRequests = null;
+// Batches bursts of edits (imports, merges) into one publish
+const PUBLISH_DELAY_MS = 2000;
+
+async function loadSharing(books) {
+  stopRequestInbox();
+  sharing = null;
+  publishedBooks = new Map();
+  if (isLocalMode()) return;
+  sharing = await storage.getMeta('sharing');
+  if (!sharing?.shareId) return;
+  startRequestInbox(sharing.shareId);
+  if (!sharing.enabled) return;
+  try {
+    publishedBooks = new Map((await getSharedBooks(sharing.shareId)).map(book => [book.id, book]));
+    await publishSharedBooks(books);
+  } catch (error) {
+    console.error('[App] Could not refresh the shared library:', error);
+  }
+}
+
+async function publishSharedBooks(books) {
+  if (!sharing?.enabled) return;
+  const operations = diffSharedBooks(books, publishedBooks);
+  if (!operations.length) return;
+  await writeSharedBooks(sharing.shareId, operations);
+  operations.forEach(({ type, id, data }) => {
+    if (type === 'remove') publishedBooks.delete(id);
+    else publishedBooks.set(id, data);
+  });
+  console.log('[App] Shared library updated:', operations.length, 'changes');
+}
+
+function scheduleSharePublish(books) {
+  if (!sharing?.enabled) return;
+  clearTimeout(publishTimer);
+  publishTimer = setTimeout(() => {
+    publishSharedBooks(books).catch(error => console.error('[App] Could not update the shared library:', error));
+  }, PUBLISH_DELAY_MS);
+}
+
+// Turning sharing off unpublishes every book; the share id is kept so the old link comes back to life if it's turned on again
+async function setSharingEnabled(enabled) {
+  const user = getCurrentUser();
+  if (isLocalMode() || !user) throw new Error('Sharing needs the cloud library. Sign in with Google first.');
+  const shareId = sharing?.shareId || createShareId();
+  try {
+    if (enabled) {
+      await setShare(shareId, { ownerUid: user.uid, enabled: true });
+      sharing = { shareId, enabled: true };
+      publishedBooks = new Map((await getSharedBooks(shareId)).map(book => [book.id, book]));
+      await publishSharedBooks(await storage.getBooks());
+    } else {
+      clearTimeout(publishTimer);
+      const published = await getSharedBooks(shareId);
+      await writeSharedBooks(shareId, published.map(book => ({ type: 'remove', id: book.id })));
+      await setShare(shareId, { ownerUid: user.uid, enabled: false });
+      sharing = { shareId, enabled: false };
+      publishedBooks = new Map();
+    }
+    await storage.setMeta('sharing', sharing);
+  } catch (error) {
+    console.error('[App] Could not change sharing:', error);
+    throw new Error(`Could not ${enabled ? 'share' : 'stop sharing'} the library: ${error.message}`);
+  }
+  if (!unsubscribeRequests) startRequestInbox(shareId);
+  updateInboxButton();
+  console.log('[App] Sharing', enabled ? 'enabled' : 'disabled', shareId);
+  return { enabled, link: shareLink(shareId) };
+}
+
+async function handleShareLibrary() {
+  if (isLocalMode() || !getCurrentUser()) {
+    await showNotification('Sharing needs the cloud library. Sign in with Google to share your shelves.', '🔐');
+    return;
+  }
+  openShareDialog({
+    enabled: Boolean(sharing?.enabled),
+    link: sharing?.shareId ? shareLink(sharing.shareId) : '',
+    onToggle: setSharingEnabled
+  });
+}
+
+function startRequestInbox(shareId) {
+  stopRequestInbox();
+  unsubscribeRequests = subscribeBorrowRequests(shareId, (requests) => {
+    console.log('[App] Borrow requests waiting:', requests.length);
+    borrowRequests = requests;
+    updateInboxButton();
+  });
+}
+
+function stopRequestInbox() {
+  if (unsubscribeRequests) {
+    unsubscribeRequests();
+    unsubscribeRequests = null;
+  }
+  borrowRequests = [];
+  updateInboxButton();
+}
+
+// 📬 in the header while sharing is on or requests are still waiting
+function updateInboxButton() {
+  const inboxBtn = document.getElementById('inbox-btn');
+  if (!inboxBtn) return;
+  const count = document.getElementById('inbox-count');
+  if (count) count.textContent = borrowRequests.length;
+  inboxBtn.classList.toggle('has-requests', borrowRequests.length > 0);
+  inboxBtn.classList.toggle('hidden', !(sharing?.enabled || borrowRequests.length));
+}
+
+function handleOpenInbox() {
+  openInboxDialog({
+    getRequests: () => borrowRequests,
+    onOpen: openRequestCard,
+    onDismiss: (request) => removeBorrowRequest(sharing.shareId, request.id)
+  });
+}
+
+// Library card for a requested book with the requester's name filled in, ready to lend or hold
+async function openRequestCard(request) {
+  if (!(await openBookById(request.bookId))) {
+    await showNotification(`"${request.bookTitle}" is no longer in your library.`, 'ℹ️');
+    return;
+  }
+  await openLibraryCard();
+  const nameInput = document.getElementById('borrower-name');
+  if (nameInput) nameInput.value = request.name;
+}
+
+// Visitors browsing a share link (#shared=<id>): the published books, read-only
+let visitorShareId = null;
+
+async function startVisitorMode(shareId) {
+  visitorShareId = shareId;
+  document.body.classList.add('visitor-mode');
+  document.title = 'Shared Library · Library Buddy';
+
+  let share = null;
+  try {
+    share = await getShare(shareId);
+  } catch (error) {
+    // The rules hide shares that were turned off
+    console.warn('[App] Share link unavailable:', error);
+  }
+  if (!share?.enabled) {
+    renderLibrary({ books: [] });
+    await showNotification('This share link is no longer active. Ask the owner for a new one.', '🔒');
+    return;
+  }
+
+  setStorageAdapter(createSharedAdapter(shareId));
+  const books = await storage.getBooks();
+  console.log('[App] Browsing shared library:', books.length, 'books');
+  renderLibrary({ books });
+}
+
+async function handleRequestBorrow() {
+  const book = await storage.getBook(getCurrentBookId());
+  if (!visitorShareId || !book) return;
+  openBorrowRequestDialog({
+    book,
+    limits: REQUEST_LIMITS,
+    container: document.getElementById('book-modal'),
+    onSend: async (fields) => {
+      const errors = validateBorrowRequest(fields);
+      if (errors.length) throw new Error(errors.join(' · '));
+      try {
+        await addBorrowRequest(visitorShareId, createBorrowRequest(fields, book));
+      } catch (error) {
+        throw new Error(`Could not send the request: ${error.message}`);
+      }
+      showNotification(`Request sent! The owner will see that you'd like to borrow "${book.title}".`, '📬');
+    }
+  });
 }
 
 function closeLibraryCard() {
@@ -576,7 +1286,7 @@ async function handleVoiceCommand(transcript) {
     const books = await storage.getBooks();
     const foundBook = books.find(book => {
       const titleMatch = book.title?.toLowerCase().includes(bookTitle);
-      const authorMatch = book.author?.toLowerCase().includes(bookTitle);
+      const authorMatch = authorMatches(book, bookTitle);
       return titleMatch || authorMatch;
     });
 
@@ -599,6 +1309,28 @@ async function handleVoiceCommand(transcript) {
     return;
   }
 
+  // Check for hold command (e.g., "alex wants iron flame next")
+  const holdMatch = transcript.match(/^(.+?)\s+wants\s+(.+?)(?:\s+next)?$/);
+  if (holdMatch) {
+    console.log('[Voice] Hold command detected');
+    const bookTitle = holdMatch[2].trim().replace(/^(the|a|an)\s+/i, '');
+    const books = await storage.getBooks();
+    const foundBook = books.find(book => book.title?.toLowerCase().includes(bookTitle));
+    if (!foundBook) {
+      await showNotification(`"${bookTitle}" was not found in your library`, '📚');
+      return;
+    }
+    // Transcripts are lowercase; capitalize in case this is someone new to the directory
+    const borrower = await resolveLoanBorrower(holdMatch[1].trim().replace(/\b\w/g, c => c.toUpperCase()));
+    if (!borrower) return;
+    const result = await placeHold(foundBook.id || foundBook.isbn, borrower);
+    if (result === 'added') {
+      const position = (await storage.getBooks()).find(b => (b.id || b.isbn) === (foundBook.id || foundBook.isbn))?.holds?.length || 1;
+      await showNotification(`${borrower.name} is number ${position} in line for "${foundBook.title}"`, '✅');
+    }
+    return;
+  }
+
   // Check for borrowing command (e.g., "hannah started borrowing fourth wing today")
   if (transcript.includes('started borrowing') || transcript.includes('borrowed') || transcript.includes('is borrowing')) {
     console.log('[Voice] Borrowing command detected');
@@ -657,24 +1389,39 @@ async function handleVoiceCommand(transcript) {
     });
 
     if (foundBook) {
+      // Transcripts are lowercase; capitalize in case this is someone new to the directory
+      const borrower = await resolveLoanBorrower(borrowerName.replace(/\b\w/g, c => c.toUpperCase()));
+      if (!borrower) return;
+      borrowerName = borrower.name;
+
+      const block = lendingBlock(foundBook);
+      if (block) {
+        const other = availableOtherCopy(foundBook);
+        await showNotification(`${block.message}${other ? ' Another copy is available.' : ''} ${borrowerName} was not added.`, '🚫');
+        return;
+      }
+      const first = nextHold(foundBook);
+      if (first && !isSamePerson(first, borrower)) {
+        await showNotification(`${first.name} is first in line for "${foundBook.title}". Use the library card to lend it to ${borrowerName} anyway.`, '👥');
+        return;
+      }
+
       const borrowDate = parseVoiceDate(dateString);
 
       console.log('[Voice] Parsed borrow date:', borrowDate);
       console.log('[Voice] Adding borrower to book:', foundBook.title);
 
-      if (!foundBook.borrowers) {
-        foundBook.borrowers = [];
+      try {
+        await lendCopy(foundBook.id || foundBook.isbn, borrower, { date: borrowDate });
+      } catch (error) {
+        if (!(error instanceof BookChangeRejected)) throw error;
+        await showNotification(`${error.message} ${borrowerName} was not added.`, '🚫');
+        return;
       }
 
-      foundBook.borrowers.push({ name: borrowerName, date: borrowDate });
-
-      console.log('[Voice] Book borrowers after push:', foundBook.borrowers);
-
-      await storage.addBook(foundBook);
-
       console.log('[Voice] Book saved to storage');
 
-      await showNotification(`${borrowerName} started borrowing "${foundBook.title}" on ${borrowDate}`, '✅');
+      await showNotification(`${borrowerName} started borrowing "${foundBook.title}" on ${borrowDate} (due back in ${DEFAULT_LOAN_DAYS} days)`, '✅');
       console.log('[Voice] Borrower added successfully');
     } else {
       await showNotification(`"${bookTitle}" was not found in your library`, '📚');
@@ -743,17 +1490,19 @@ async function handleVoiceCommand(transcript) {
     if (foundBook) {
       const returnDate = parseVoiceDate(dateString);
 
-      // Find the active borrower (no return date)
-      const borrowerIndex = foundBook.borrowers?.findIndex(b =>
-        b.name.toLowerCase() === borrowerName.toLowerCase() && !b.returnDate
-      );
+      // Find the active borrower (no return date), matching the name through the directory
+      const { borrower } = resolveBorrower(borrowerName, borrowerDirectory);
+      if (borrower) borrowerName = borrower.name;
+      const loan = withLoanIds(foundBook.borrowers).find(b => !b.returnDate && (borrower
+        ? isBorrowersLoan(b, borrower)
+        : b.name.toLowerCase() === borrowerName.toLowerCase()));
 
-      if (borrowerIndex !== undefined && borrowerIndex >= 0) {
-        foundBook.borrowers[borrowerIndex].returnDate = returnDate;
-        await storage.addBook(foundBook);
+      if (loan) {
+        const returned = await returnLoan(foundBook.id || foundBook.isbn, loan.id, returnDate);
 
         await showNotification(`${borrowerName} returned "${foundBook.title}" on ${returnDate}`, '✅');
         console.log('[Voice] Return recorded successfully');
+        if (returned) await surfaceNextHold(returned);
       } else {
         await showNotification(`${borrowerName} is not currently borrowing "${foundBook.title}"`, 'ℹ️');
       }
@@ -880,17 +1629,16 @@ async function handleVoiceCommand(transcript) {
     return;
   }
 
-  // Clean up common words
-  bookTitle = bookTitle.replace(/^(the|a|an)\s+/i, '').trim();
+  // Clean up common words ("find books by le guin" searches authors)
+  bookTitle = bookTitle.replace(/^(books?|anything|something)\s+by\s+/i, '').replace(/^(the|a|an)\s+/i, '').trim();
 
   console.log('[Voice] Searching for:', bookTitle, 'Borrowing query:', isBorrowingQuery);
 
-  // Search for the book (case-insensitive)
-  const foundBook = books.find(book => {
-    const titleMatch = book.title?.toLowerCase().includes(bookTitle);
-    const authorMatch = book.author?.toLowerCase().includes(bookTitle);
-    return titleMatch || authorMatch;
-  });
+  // Search for the book (case-insensitive): titles first, then authors in sort-name order
+  const foundBook = books.find(book => book.title?.toLowerCase().includes(bookTitle)) ||
+    books
+      .filter(book => authorMatches(book, bookTitle))
+      .sort((a, b) => authorSortKey(a).localeCompare(authorSortKey(b)) || (a.title || '').localeCompare(b.title || ''))[0];
 
   if (foundBook) {
     console.log('[Voice] Found book:', foundBook.title);
@@ -932,131 +1680,559 @@ function toggleVoiceSearch() {
   }
 }
 
-async function handleExport() {
-  console.log('[App] Exporting library...');
-  const books = await storage.getBooks();
-  const dataStr = JSON.stringify(books, null, 2);
-  const dataBlob = new Blob([dataStr], { type: 'application/json' });
-  const url = URL.createObjectURL(dataBlob);
+function downloadFile(content, type, fileName) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
-  link.download = `library-buddy-export-${Date.now()}.json`;
+  link.download = fileName;
   link.click();
   URL.revokeObjectURL(url);
+}
+
+async function handleExport() {
+  console.log('[App] Exporting library...');
+  const books = await storage.getBooks();
+  downloadFile(JSON.stringify(createExportEnvelope(books), null, 2), 'application/json', `library-buddy-export-${Date.now()}.json`);
   console.log('[App] Exported', books.length, 'books');
 }
 
+async function handleExportCsv() {
+  console.log('[App] Exporting library as CSV...');
+  const books = await storage.getBooks();
+  downloadFile(booksToCsv(books), 'text/csv;charset=utf-8', `library-buddy-export-${Date.now()}.csv`);
+  console.log('[App] Exported', books.length, 'books as CSV');
+}
+
+async function handleBackup() {
+  console.log('[App] Backing up library...');
+  const books = await storage.getBooks();
+  const seriesRules = (await storage.getMeta('seriesRules')) || [];
+  downloadFile(JSON.stringify(createBackup({ books, seriesRules, smartShelves, borrowers: borrowerDirectory }), null, 2), 'application/json', `library-buddy-backup-${Date.now()}.json`);
+  console.log('[App] Backed up', books.length, 'books and', seriesRules.length, 'series rules');
+}
+
+function handlePrintCatalog() {
+  const sections = getShelfSections();
+  const books = sections.flatMap(section => section.books);
+  const sortLabel = document.getElementById('sort-filter')?.selectedOptions[0]?.textContent || getSortMode();
+  openPrintDialog({
+    count: books.length,
+    description: `sorted by ${sortLabel}`,
+    layouts: PRINT_LAYOUTS,
+    onPrint: ({ layout, includeCovers }) => printBooks(sections, { layout, includeCovers, subtitle: `sorted by ${sortLabel}` })
+  });
+}
+
+/**
+ * Open a printable page for shelf sections in a new tab (downloaded when pop-ups are blocked).
+ * Must be called from a click handler. Resolves with a status message.
+ */
+async function printBooks(sections, options) {
+  // Open the tab while still handling the click, or pop-up blockers step in
+  const printWindow = window.open('', '_blank');
+  const books = sections.flatMap(section => section.books);
+  let html;
+  try {
+    const qrCodes = options.layout === 'qr' ? await bookQrCodes(books) : new Map();
+    html = buildPrintDocument({ ...options, sections, qrCodes });
+  } catch (error) {
+    printWindow?.close();
+    throw error;
+  }
+  console.log('[App] Printable', options.layout, 'page for', books.length, 'books');
+  if (printWindow) {
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+    return 'Opened in a new tab - use its Print button.';
+  }
+  downloadFile(html, 'text/html', `library-buddy-${options.layout}-${Date.now()}.html`);
+  return 'Pop-ups are blocked, so the printable page was downloaded instead.';
+}
+
+/**
+ * Add imported books, asking about duplicates (with "do this for all"), then save them in
+ * one batched write. `onBook(book, outcome)` is called after each one. Returns counts per outcome.
+ */
+async function importBooks(books, { onBook = () => {} } = {}) {
+  const library = await storage.getBooks();
+  const counts = { added: 0, copy: 0, merged: 0, skipped: 0 };
+  const operations = [];
+  let rememberedAction = null;
+  for (const book of books) {
+    const outcome = await addBookWithDuplicateCheck(book, {
+      library,
+      operations,
+      decide: async (incoming, matches) => {
+        if (rememberedAction) return rememberedAction;
+        const { action, applyToAll } = await chooseDuplicateAction({ incoming, matches, offerApplyToAll: true });
+        if (applyToAll) rememberedAction = action;
+        return action;
+      }
+    });
+    counts[outcome]++;
+    onBook(book, outcome);
+  }
+  if (operations.length) await storage.writeBooks(operations);
+  console.log('[App] Import complete', counts);
+  return counts;
+}
+
+function formatImportSummary(counts) {
+  return [
+    `${counts.added} added`,
+    counts.copy && `${counts.copy} added as extra copies`,
+    counts.merged && `${counts.merged} merged`,
+    counts.skipped && `${counts.skipped} skipped`
+  ].filter(Boolean).join(', ');
+}
+
 async function handleImportFile(event) {
   const file = event.target.files?.[0];
   if (!file) return;
+  // Allow picking the same file again later
+  event.target.value = '';
 
   console.log('[App] Importing library from file:', file.name);
-  try {
-    const text = await file.text();
-    const books = JSON.parse(text);
-    console.log('[App] Parsed', books.length, 'books from import');
+  if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+    await handleCsvImport(file);
+    return;
+  }
 
-    // Add all books to storage
-    for (const book of books) {
-      await storage.addBook(book);
+  try {
+    const parsed = parseLibraryFile(await file.text());
+    if (isBackup(parsed.envelope)) {
+      await handleRestore(file, parsed);
+      return;
     }
-
-    console.log('[App] Import complete');
-    await showNotification(`Successfully imported ${books.length} books!`, '✅');
+    if (parsed.errors.length) console.warn('[App] Import file is invalid:', parsed.errors);
+    else console.log('[App] Parsed', parsed.books.length, 'books from import (schema', parsed.info.schemaVersion, ')');
+
+    // Nothing is written until the user has seen the dry run
+    const library = parsed.errors.length ? [] : await storage.getBooks();
+    document.getElementById('settings-menu')?.classList.add('hidden');
+    openImportPreviewDialog({
+      fileName: file.name,
+      info: parsed.info,
+      errors: parsed.errors,
+      getDiff: (options) => diffImport(parsed.books, library, options),
+      onConfirm: async (diff) => {
+        // One batched write, so the shelves re-render once instead of per book
+        await storage.writeBooks(diffToOperations(diff));
+        console.log('[App] Import complete', { added: diff.add.length, updated: diff.update.length, skipped: diff.skip.length });
+        return `Import finished: ${diff.add.length} added, ${diff.update.length} updated, ${diff.skip.length} skipped.`;
+      }
+    });
   } catch (error) {
     console.error('[App] Import failed:', error);
     await showNotification('Failed to import library. Please check the file format.', '❌');
   }
 }
 
-async function handleSearch(inputElement) {
-  if (!inputElement) return;
+async function handleRestore(file, parsed) {
+  const errors = parsed.errors.length ? parsed.errors : validateBackup(parsed.envelope);
+  if (errors.length) console.warn('[App] Backup file is invalid:', errors);
+
+  const library = errors.length ? [] : await storage.getBooks();
+  const currentRules = errors.length ? [] : (await storage.getMeta('seriesRules')) || [];
+  const currentShelves = smartShelves;
+  const currentBorrowers = borrowerDirectory;
+  const currentPreferences = readPreferences();
+  document.getElementById('settings-menu')?.classList.add('hidden');
+  openRestoreDialog({
+    fileName: file.name,
+    info: parsed.info,
+    errors,
+    getPlan: (mode) => planRestore(parsed.envelope, { library, currentRules, currentShelves, currentBorrowers, currentPreferences, mode }),
+    onConfirm: async (plan) => {
+      await storage.writeBooks(plan.operations);
+      await storage.setMeta('seriesRules', plan.seriesRules);
+      setCustomSeriesRules(plan.seriesRules);
+      if (plan.smartShelves) await saveSmartShelves(plan.smartShelves);
+      if (plan.borrowers) await saveBorrowers(plan.borrowers);
+      await applyPreferences(plan.preferences);
+      console.log('[App] Restore complete', plan.mode, plan.counts);
+      // Re-check series on the restored books against the restored rules
+      await migrateExistingBooks();
+      const { counts } = plan;
+      return plan.mode === 'replace'
+        ? `Library replaced: ${counts.restored} books restored, ${counts.removed} removed.`
+        : `Backup merged: ${counts.added} added, ${counts.updated} updated, ${counts.skipped} skipped, ${counts.rules} series rules added.`;
+    }
+  });
+}
 
-  const query = inputElement.value.trim();
-  const clearSearchBtn = document.getElementById('clear-search-btn');
+/** Apply restored preferences (localStorage keys) to the running app */
+async function applyPreferences(preferences) {
+  const { librarySortMode, libraryTheme, handCursorEnabled, voiceCommandsEnabled } = preferences;
+  if (librarySortMode) {
+    setSortMode(librarySortMode);
+    const sortFilter = document.getElementById('sort-filter');
+    if (sortFilter) sortFilter.value = librarySortMode;
+  }
+  if (libraryTheme) {
+    applyTheme(libraryTheme);
+    localStorage.setItem('libraryTheme', libraryTheme);
+    const themeFilterMenu = document.getElementById('theme-filter-menu');
+    if (themeFilterMenu) themeFilterMenu.value = libraryTheme;
+  }
+  // The toggles start or stop the camera, so only flip the ones that change
+  if (handCursorEnabled && (handCursorEnabled === 'on') !== (localStorage.getItem('handCursorEnabled') === 'on')) {
+    await toggleHandCursor();
+  }
+  if (voiceCommandsEnabled && (voiceCommandsEnabled === 'on') !== (localStorage.getItem('voiceCommandsEnabled') === 'on')) {
+    await toggleVoiceCommands();
+  }
+  // An 'off' that matches the current (unset) state still gets recorded
+  ['handCursorEnabled', 'voiceCommandsEnabled'].forEach(key => {
+    if (preferences[key] && localStorage.getItem(key) == null) localStorage.setItem(key, preferences[key]);
+  });
+  if (librarySortMode || libraryTheme) renderLibrary({ books: await storage.getBooks() });
+}
 
-  if (!query) {
-    // If search is empty, show all books and hide clear button
-    const books = await storage.getBooks();
-    hydrateBooks(books);
-    clearSearchBtn?.classList.add('hidden');
+async function handleCsvImport(file) {
+  let rows;
+  try {
+    rows = parseCsv(await file.text());
+  } catch (error) {
+    console.error('[App] CSV import failed:', error);
+    await showNotification('Failed to read the CSV file.', '❌');
     return;
   }
+  if (rows.length < 2) {
+    await showNotification('That CSV file has no rows to import (the first row should be column headers).', 'ℹ️');
+    return;
+  }
+  const sourceKey = detectImportSource(rows[0]);
+  console.log('[App] Parsed', rows.length - 1, 'CSV rows', sourceKey ? `(${sourceKey} export)` : '');
+
+  document.getElementById('settings-menu')?.classList.add('hidden');
+  openCsvImportDialog({
+    fileName: file.name,
+    headers: rows[0],
+    rows: rows.slice(1),
+    source: sourceKey ? IMPORT_SOURCES[sourceKey] : null,
+    onImport: importCsvEntries
+  });
+}
 
-  console.log('[App] Searching for:', query);
+// Catalog record for a title/author search, when one is clearly the same work. Its ISBN is
+// whichever edition Open Library listed first (maybe a translation or another binding).
+async function matchByTitle({ title, author }) {
+  const results = await searchBookByText(title, author);
+  return results.find(result => result.isbn && isSameWork({ title, author }, result)) || null;
+}
 
-  try {
-    const books = await storage.getBooks();
-    const queryLower = query.toLowerCase();
-
-    // Case-insensitive search across title, author, and series
-    const matchingBooks = books.filter(book => {
-      const titleMatch = book.title?.toLowerCase().includes(queryLower);
-      const authorMatch = book.author?.toLowerCase().includes(queryLower);
-      const seriesMatch = book.series?.toLowerCase().includes(queryLower);
-      return titleMatch || authorMatch || seriesMatch;
+/**
+ * Import parsed CSV rows. Rows are matched against the catalogs first: by ISBN through the
+ * normal lookup, or by title and author for app exports without one (a title match only
+ * fills in the cover and missing details; the book keeps its generated id and gets no ISBN).
+ * Anything the file supplied (borrowers, tags, shelves, notes...) wins over the catalog
+ * record. Rows with only an ISBN are skipped when the lookup fails; others are added as they
+ * are and reported as unmatched.
+ */
+async function importCsvEntries(entries, { enrich, onProgress }) {
+  const problems = [];
+  const lookedUp = new Map();
+  const lookups = enrich ? entries.filter(e => e.lookupIsbn).map(e => e.lookupIsbn) : [];
+  if (lookups.length) {
+    const { results, failures } = await lookupIsbnBatch(lookups, {
+      onProgress: ({ completed, total }) => onProgress(`Looking up ISBNs... ${completed}/${total}`)
     });
+    results.forEach(({ isbn, book }) => { if (book) lookedUp.set(isbn, book); });
+    failures.forEach(({ isbn, error }) => console.warn('[App] CSV lookup failed for', isbn, error));
+  }
 
-    if (matchingBooks.length > 0) {
-      console.log('[App] Found', matchingBooks.length, 'matching books');
-
-      // Check for exact match or single result
-      const exactMatch = matchingBooks.find(book =>
-        book.title?.toLowerCase() === queryLower ||
-        book.author?.toLowerCase() === queryLower
-      );
-
-      if (exactMatch || matchingBooks.length === 1) {
-        // Open modal directly for exact match or single result
-        const book = exactMatch || matchingBooks[0];
-        console.log('[App] Opening book modal for:', book.title);
-        openBookModal({
-          id: book.id,
-          title: book.title,
-          author: book.author,
-          cover: book.coverUrl,
-          color: book.spineColor
-        });
-        inputElement.value = '';
-        clearSearchBtn?.classList.add('hidden');
+  const searched = new Map();
+  const searches = enrich ? entries.filter(e => e.searchQuery) : [];
+  let searchedCount = 0;
+  await Promise.all(searches.map(async (entry) => {
+    try {
+      const match = await matchByTitle(entry.searchQuery);
+      if (match) searched.set(entry, match);
+    } catch (error) {
+      console.warn('[App] Title match failed for', entry.searchQuery.title, error);
+    }
+    onProgress(`Matching titles... ${++searchedCount}/${searches.length}`);
+  }));
+
+  const books = [];
+  // Title matches aren't problems, but the summary says their details came from some edition
+  let fromEdition = 0;
+  entries.forEach((entry) => {
+    const { line, book, lookupIsbn } = entry;
+    let result = { ...book };
+    if (lookupIsbn && enrich) {
+      const found = lookedUp.get(lookupIsbn);
+      if (found) {
+        result = { ...found, ...book };
+      } else if (!book.title) {
+        problems.push({ line, message: `No book found for ISBN ${lookupIsbn} - row skipped`, error: true });
+        return;
       } else {
-        // Display all matching books
-        hydrateBooks(matchingBooks);
-        // Show the clear button
-        clearSearchBtn?.classList.remove('hidden');
+        problems.push({ line, message: `"${book.title}" not matched (ISBN ${lookupIsbn} wasn't found) - added with the details from the file` });
+      }
+    } else if (entry.searchQuery && enrich) {
+      const match = searched.get(entry);
+      if (match) {
+        // Only the edition's details - its id and ISBN would claim this exact edition
+        const details = { ...match };
+        delete details.id;
+        delete details.isbn;
+        result = { ...details, ...book, coverUrl: book.coverUrl || match.coverUrl };
+        fromEdition++;
+      } else {
+        problems.push({ line, message: `"${book.title}" not matched (no ISBN in the file and no catalog match) - added with the details from the file` });
       }
-    } else {
-      console.log('[App] No books found in library');
-      await showNotification(`No books found matching: "${query}"`, '🔍');
-      // Hide clear button since no results to clear
-      clearSearchBtn?.classList.add('hidden');
     }
-  } catch (error) {
-    console.error('[App] Search failed:', error);
-    await showNotification('Search failed. Please try again.', '❌');
+    if (!result.series && result.title) {
+      const detected = detectSeriesFromTitle(result.title);
+      if (detected.series) {
+        result.series = detected.series;
+        result.seriesNumber = result.seriesNumber ?? detected.seriesNumber;
+      }
+    }
+    if (!result.spineColor) result.spineColor = getBookColor(result.id, result.title, result.series);
+    books.push({ line, book: result });
+  });
+
+  let done = 0;
+  const lineFor = new Map(books.map(({ line, book }) => [book, line]));
+  const counts = await importBooks(books.map(({ book }) => book), {
+    onBook: (book, outcome) => {
+      onProgress(`Importing... ${++done}/${books.length}`);
+      if (outcome === 'skipped') problems.push({ line: lineFor.get(book), message: 'Already in your library - skipped' });
+    }
+  });
+
+  const editionNote = fromEdition
+    ? ` ${fromEdition} matched by title took ${fromEdition === 1 ? 'its' : 'their'} cover and details from a catalog edition - no ISBN was set, as your copies may be different editions.`
+    : '';
+  return { summary: `Import finished: ${formatImportSummary(counts)}.${editionNote}`, problems };
+}
+
+// Live copy of the library (kept current by the subscription) and the search narrowing it
+let libraryBooks = [];
+let activeSearch = '';
+// Saved smart shelves (meta 'smartShelves') and the one whose tab is selected, if any
+let smartShelves = [];
+let activeShelfId = null;
+let searchIndexSource = null;
+let cachedSearchIndex = [];
+
+function getSearchIndex() {
+  // Rebuilt only when the library changed since the last search
+  if (searchIndexSource !== libraryBooks) {
+    cachedSearchIndex = createSearchIndex(libraryBooks);
+    searchIndexSource = libraryBooks;
+  }
+  return cachedSearchIndex;
+}
+
+/**
+ * Put the library on the shelves, narrowed to the selected smart shelf and the active search.
+ * `books` replaces the known library (e.g. from the live subscription); `changes` lets the
+ * shelves patch tiles in place when nothing is being searched. Returns the ranked search
+ * results, or null when there's no search.
+ */
+function renderLibrary({ books = libraryBooks, changes = null } = {}) {
+  libraryBooks = books;
+  renderSmartShelfTabs();
+  const shelf = smartShelves.find(s => s.id === activeShelfId);
+  const query = [shelf?.query, activeSearch].filter(Boolean).join(' ');
+  const status = document.getElementById('search-status');
+  if (isEmptyQuery(query)) {
+    hydrateBooks(books, { changes });
+    if (status) status.textContent = '';
+    return null;
+  }
+  const results = searchIndex(getSearchIndex(), query);
+  hydrateBooks(results.map(result => result.book));
+  highlightSearchMatches(results);
+  if (status) status.textContent = results.length ? `${results.length} match${results.length === 1 ? '' : 'es'}` : 'No matches';
+  return results;
+}
+
+// Tabs with live counts, so a shelf's number moves as soon as a book changes
+function renderSmartShelfTabs() {
+  const index = getSearchIndex();
+  renderShelfTabs({
+    shelves: smartShelves,
+    counts: new Map(smartShelves.map(shelf => [shelf.id, searchIndex(index, shelf.query).length])),
+    total: libraryBooks.length,
+    activeId: activeShelfId,
+    onSelect: (id) => {
+      activeShelfId = id;
+      console.log('[App] Smart shelf selected:', id || 'all books');
+      renderLibrary();
+    },
+    onManage: handleManageSmartShelves
+  });
+}
+
+async function loadSmartShelves() {
+  smartShelves = readSmartShelves(await storage.getMeta('smartShelves'));
+  if (!smartShelves.some(shelf => shelf.id === activeShelfId)) activeShelfId = null;
+}
+
+async function saveSmartShelves(shelves) {
+  await storage.setMeta('smartShelves', shelves);
+  smartShelves = shelves;
+  if (!shelves.some(shelf => shelf.id === activeShelfId)) activeShelfId = null;
+  console.log('[App] Saved', shelves.length, 'smart shelves');
+  renderLibrary();
+}
+
+function handleManageSmartShelves() {
+  openSmartShelvesDialog({
+    shelves: smartShelves,
+    countMatches: (query) => searchIndex(getSearchIndex(), query).length,
+    validate: validateSmartShelf,
+    createShelf: createSmartShelf,
+    onSave: saveSmartShelves
+  });
+}
+
+function setSearch(query) {
+  activeSearch = String(query || '').trim();
+  const results = renderLibrary();
+  document.getElementById('clear-search-btn')?.classList.toggle('hidden', !activeSearch);
+  showSearchResults(results || [], { onPick: openSearchResult });
+  return results;
+}
+
+function openSearchResult(book) {
+  showSearchResults([]);
+  console.log('[App] Opening book modal for:', book.title);
+  openBookModal({
+    id: book.id,
+    title: book.title,
+    author: book.author,
+    cover: book.coverUrl,
+    color: book.spineColor
+  });
+}
+
+// Enter / Search button: open the book straight away when the query clearly names one
+function handleSearch(inputElement) {
+  if (!inputElement) return;
+  const results = setSearch(inputElement.value);
+  if (!results?.length) return;
+
+  const [best] = results;
+  if (best.exact || results.length === 1) {
+    inputElement.value = '';
+    setSearch('');
+    openSearchResult(best.book);
+  }
+}
+
+// ISBNs with a duplicate prompt on screen, so a barcode held in view doesn't stack dialogs
+const promptingFor = new Set();
+
+/**
+ * Add a book, first checking the library for the same ISBN (10 or 13) or the same title
+ * and author. When there's a match the user picks: add another copy, merge, or skip.
+ * `library` (kept up to date with what gets added) avoids re-reading storage in loops;
+ * `decide(incoming, matches)` replaces the prompt; `operations` collects the writes
+ * (storage.writeBooks shape) instead of saving each one. Returns 'added'|'copy'|'merged'|'skipped'.
+ */
+async function addBookWithDuplicateCheck(book, { library = null, decide = null, operations = null } = {}) {
+  // Imports bring their own date; everything else was added today (used by added: searches)
+  if (!book.addedAt) book.addedAt = new Date().toISOString().split('T')[0];
+  const books = library || await storage.getBooks();
+  const matches = findMatches(book, books);
+  const save = async (operation) => {
+    if (operations) operations.push(operation);
+    else if (operation.type === 'add') await storage.addBook(operation.data);
+    else await storage.updateBook(operation.id, operation.data);
+  };
+  if (matches.length === 0) {
+    await save({ type: 'add', id: book.id || book.isbn, data: book });
+    books.push(book);
+    return 'added';
   }
+
+  const promptKey = book.isbn || book.id;
+  if (!decide && promptingFor.has(promptKey)) return 'skipped';
+  let action;
+  try {
+    promptingFor.add(promptKey);
+    action = decide
+      ? await decide(book, matches)
+      : (await chooseDuplicateAction({ incoming: book, matches })).action;
+  } finally {
+    promptingFor.delete(promptKey);
+  }
+
+  const existing = matches[0].book;
+  const existingId = existing.id || existing.isbn;
+  if (action === 'merge') {
+    const merged = mergeBooks(existing, book);
+    await save({ type: 'update', id: existingId, data: merged });
+    Object.assign(existing, merged);
+    console.log('[App] Merged into existing book:', existing.title);
+    return 'merged';
+  }
+  if (action === 'copy') {
+    // Same ISBN needs its own id, otherwise the new copy would overwrite the old one
+    const sameId = matches.some(match => (match.book.id || match.book.isbn) === (book.id || book.isbn));
+    const copy = { ...book, id: sameId ? copyId(book) : (book.id || book.isbn), copyOf: existingId };
+    delete copy.borrowers;
+    await save({ type: 'add', id: copy.id, data: copy });
+    books.push(copy);
+    console.log('[App] Added another copy of:', book.title);
+    return 'copy';
+  }
+  console.log('[App] Skipped duplicate:', book.title);
+  return 'skipped';
+}
+
+async function handleFindDuplicates() {
+  const books = await storage.getBooks();
+  const groups = findDuplicateGroups(books);
+  console.log('[App] Found', groups.length, 'possible duplicate groups');
+  openDuplicatesDialog({
+    groups,
+    onMerge: async (group) => {
+      const [keep, ...others] = group;
+      const merged = others.reduce((acc, book) => mergeBooks(acc, book), keep);
+      delete merged.copyOf;
+      await storage.updateBook(keep.id || keep.isbn, merged);
+      for (const book of others) {
+        await storage.removeBook(book.id || book.isbn);
+      }
+    },
+    onKeep: async (group) => {
+      const [first, ...others] = group;
+      for (const book of others) {
+        await storage.updateBook(book.id || book.isbn, { copyOf: first.id || first.isbn });
+      }
+    }
+  });
 }
 
 async function handleManualIsbn(inputElement) {
   if (!inputElement) return;
 
-  const isbn = inputElement.value.trim();
-  if (!isbn) {
-    await showNotification('Please enter an ISBN', 'ℹ️');
+  const parsed = normalizeIsbn(inputElement.value);
+  if (!parsed.ok) {
+    await showNotification(parsed.reason, 'ℹ️');
     return;
   }
 
-  console.log('[App] Manual ISBN entry:', isbn);
+  console.log('[App] Manual ISBN entry:', parsed.isbn13);
 
   try {
-    const book = await findBookByISBN(isbn);
+    const book = await findBookByISBN(parsed.isbn13);
     if (book) {
       // Generate and save spine color using theme-based color system
       if (!book.spineColor) {
         book.spineColor = getBookColor(book.id || book.isbn, book.title, book.series);
       }
-      await storage.addBook(book);
-      renderBook(book);
+      // The live library subscription puts the new book on the shelf
+      await addBookWithDuplicateCheck(book);
       inputElement.value = '';
       console.log('[App] Book added successfully:', book.title);
     } else {
@@ -1399,14 +2575,32 @@ function setupEvents() {
         if (!book.spineColor) {
           book.spineColor = getBookColor(book.id || book.isbn, book.title, book.series);
         }
-        await storage.addBook(book);
-        renderBook(book);
+        await addBookWithDuplicateCheck(book);
       }
     } catch (e) {
       console.warn('Failed to fetch book by ISBN', e);
+      await showNotification(`Could not add ISBN ${isbn}: ${e.message}`, '📚');
     }
   });
 
+  // QR sticker of a book we already have: open it instead of adding anything
+  onBookQrDetected(async (id) => {
+    console.log('[Scan] Book QR detected', id);
+    const book = (await storage.getBooks()).find(b => (b.id || b.isbn) === id);
+    if (!book) {
+      await showNotification('That QR sticker is for a book that isn\'t in this library.', '🔍');
+      return;
+    }
+    await openBookById(id);
+    // Lent out: go straight to the library card so it can be checked back in
+    if ((book.borrowers || []).some(b => !b.returnDate)) await openLibraryCard();
+  });
+
+  // Barcode seen but it isn't a book ISBN (UPC, product EAN, bad read)
+  onInvalidBarcode(async (code, reason) => {
+    await showNotification(reason, '🔍');
+  });
+
   // Cursor move from hands
   onCursorMove(({ x, y }) => {
     const cursor = document.getElementById('magic-cursor');
@@ -1494,16 +2688,70 @@ function setupEvents() {
     }
   });
 
-  events.on('books:changed', async () => {
-    console.log('[App] books:changed event received');
-    const books = await storage.getBooks();
-    console.log('[App] Rehydrating books, count:', books.length);
-    hydrateBooks(books);
+  // Offline sync: show pending count and replay the outbox when connectivity returns
+  events.on('sync:pending', (count) => updateSyncStatus(count));
+  window.addEventListener('online', () => {
+    console.log('[App] Back online, syncing pending changes');
+    updateSyncStatus();
+    storage.sync();
+  });
+  window.addEventListener('offline', () => {
+    console.log('[App] Connection lost, changes will be queued');
+    updateSyncStatus();
+  });
+
+}
+
+// Live library: shelves are patched from incremental changes instead of re-fetching everything
+let unsubscribeLibrary = null;
+
+function startLibrarySubscription() {
+  stopLibrarySubscription();
+  unsubscribeLibrary = storage.subscribe(({ books, changes }) => {
+    console.log('[App] Library changes received:', changes.length, 'books:', books.length);
+    renderLibrary({ books, changes });
+    scheduleSharePublish(books);
   });
 }
 
+function stopLibrarySubscription() {
+  if (unsubscribeLibrary) {
+    unsubscribeLibrary();
+    unsubscribeLibrary = null;
+  }
+}
+
+/** Open the book modal for a book id; false when the library has no such book */
+async function openBookById(id) {
+  const book = (await storage.getBooks()).find(b => (b.id || b.isbn) === id);
+  if (!book) return false;
+  openBookModal({
+    id: book.id || book.isbn,
+    title: book.title,
+    author: book.author,
+    cover: book.coverUrl,
+    color: book.spineColor
+  });
+  return true;
+}
+
+// Handle a #book=<id> link, then drop the hash so the same link works again
+async function openLinkedBook() {
+  const id = parseBookLink(location.hash);
+  if (!id) return;
+  history.replaceState(null, '', location.pathname + location.search);
+  if (!(await openBookById(id))) {
+    await showNotification('That book is not in this library.', 'ℹ️');
+  }
+}
+
+async function loadSeriesRules() {
+  const rules = await storage.getMeta('seriesRules');
+  setCustomSeriesRules(rules || []);
+}
+
 async function migrateExistingBooks() {
-  console.log('[App] Running book migration to detect series...');
+  console.log('[App] Running book migration (authors, series)...');
   const books = await storage.getBooks();
   console.log('[App] Found', books.length, 'books to check');
   let updated = 0;
@@ -1511,6 +2759,21 @@ async function migrateExistingBooks() {
   for (const book of books) {
     console.log('[App] Checking book:', book.title, 'existing series:', book.series, 'seriesNumber:', book.seriesNumber);
 
+    let changed = false;
+
+    // Older records only have a single `author` string
+    if (!Array.isArray(book.authors) || (book.authors.length && typeof book.authors[0] !== 'object')) {
+      Object.assign(book, authorFields(book.authors?.length ? book.authors : book.author));
+      console.log('[App] Migrated authors for:', book.title, '→', book.authors);
+      changed = true;
+    }
+
+    // Loans recorded before loans had ids
+    if (book.borrowers?.some(loan => !loan.id)) {
+      book.borrowers = withLoanIds(book.borrowers);
+      changed = true;
+    }
+
     // Always check for series info
     const seriesInfo = detectSeriesFromTitle(book.title);
     console.log('[App] Detection result:', seriesInfo);
@@ -1520,6 +2783,10 @@ async function migrateExistingBooks() {
       console.log('[App] Updating series for:', book.title, 'from', book.series, book.seriesNumber, 'to', seriesInfo.series, seriesInfo.seriesNumber);
       book.series = seriesInfo.series;
       book.seriesNumber = seriesInfo.seriesNumber;
+      changed = true;
+    }
+
+    if (changed) {
       await storage.addBook(book);
       updated++;
     }
@@ -1536,8 +2803,7 @@ async function migrateExistingBooks() {
 window.migrateSeries = async function() {
   console.log('[App] Manual migration triggered');
   await migrateExistingBooks();
-  const books = await storage.getBooks();
-  hydrateBooks(books);
+  renderLibrary({ books: await storage.getBooks() });
   console.log('[App] Migration complete, books re-rendered');
 };
 
@@ -1567,6 +2833,12 @@ async function handleLogin() {
   try {
     console.log('[App] Attempting Google login...');
     await loginWithGoogle();
+    // Signing in means the user wants their cloud library
+    if (isLocalMode()) {
+      setStorageMode(STORAGE_MODES.cloud);
+      const storageModeMenu = document.getElementById('storage-mode-menu');
+      if (storageModeMenu) storageModeMenu.value = STORAGE_MODES.cloud;
+    }
     await showNotification('Successfully signed in!', '✅');
   } catch (error) {
     console.error('[App] Login error:', error);
@@ -1585,6 +2857,79 @@ async function handleLogout() {
   }
 }
 
+// Switch between the cloud (Firestore) and device-only (IndexedDB) library
+async function handleStorageModeChange(mode) {
+  console.log('[App] Switching storage mode to:', mode);
+  setStorageMode(mode);
+
+  const storageModeMenu = document.getElementById('storage-mode-menu');
+  if (storageModeMenu) storageModeMenu.value = getStorageMode();
+
+  const signinModal = document.getElementById('signin-modal');
+  if (isLocalMode()) {
+    if (signinModal && signinModal.open) signinModal.close();
+    await loadLibrary();
+    return;
+  }
+
+  if (getCurrentUser()) {
+    await loadLibrary();
+  } else {
+    // Cloud mode needs an account
+    stopLibrarySubscription();
+    renderLibrary({ books: [] });
+    document.getElementById('settings-menu')?.classList.add('hidden');
+    if (signinModal && !signinModal.open) signinModal.showModal();
+  }
+}
+
+// Show how many offline changes are waiting to reach the cloud
+async function updateSyncStatus(count = null) {
+  const statusEl = document.getElementById('sync-status');
+  if (!statusEl) return;
+
+  const pending = count ?? await storage.getPendingCount();
+  const offline = navigator.onLine === false;
+
+  statusEl.classList.toggle('offline', offline);
+  if (pending > 0) {
+    statusEl.textContent = `⏳ ${pending} change${pending === 1 ? '' : 's'} pending sync`;
+    statusEl.title = offline ? 'Offline - changes will sync when the connection returns' : 'Syncing changes...';
+    statusEl.classList.remove('hidden');
+  } else if (offline && !isLocalMode()) {
+    statusEl.textContent = '📴 Offline';
+    statusEl.title = 'Changes are saved on this device and will sync later';
+    statusEl.classList.remove('hidden');
+  } else {
+    statusEl.classList.add('hidden');
+  }
+}
+
+async function loadLibrary() {
+  // Custom series rules are stored with the library and must be in place before detection
+  await loadSeriesRules();
+  await loadSmartShelves();
+
+  // Run migration to fix existing books without series info
+  await migrateExistingBooks();
+
+  // Ensure all books have spine colors
+  await ensureBookColors();
+
+  const books = await storage.getBooks();
+  console.log('[App] Found', books.length, 'books in storage');
+  await loadBorrowers(books);
+  renderLibrary({ books });
+  await loadSharing(books);
+  startLibrarySubscription();
+  await openLinkedBook();
+  await showLoanReminders(books);
+
+  // Push anything queued while we were offline in a previous session
+  await updateSyncStatus();
+  storage.sync();
+}
+
 function updateAuthUI(user) {
   const loginBtn = document.getElementById('login-btn');
   const userInfo = document.getElementById('user-info');
@@ -1614,8 +2959,8 @@ function updateAuthUI(user) {
       settingsMenu.classList.add('hidden');
     }
 
-    // Show sign-in modal
-    if (signinModal && !signinModal.open) {
+    // Show sign-in modal (a device-only library doesn't need an account)
+    if (signinModal && !signinModal.open && !isLocalMode()) {
       signinModal.showModal();
     }
   }
@@ -1627,12 +2972,26 @@ async function boot() {
   setupControls();
   setupEvents();
 
+  // Add resize listener for bookshelf theme responsiveness
+  let resizeTimeout;
+  window.addEventListener('resize', () => {
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(() => renderLibrary(), 300); // Debounce resize
+  });
+
+  // Friends opening a share link browse without an account or any of the owner's tools
+  const sharedId = parseShareLink(location.hash);
+  if (sharedId) {
+    await startVisitorMode(sharedId);
+    return;
+  }
+
   // Show sign-in modal immediately if not authenticated
   const signinModal = document.getElementById('signin-modal');
   const settingsMenu = document.getElementById('settings-menu');
   const currentUser = getCurrentUser();
 
-  if (!currentUser) {
+  if (!currentUser && !isLocalMode()) {
     // Close menu and show sign-in modal
     if (settingsMenu) {
       settingsMenu.classList.add('hidden');
@@ -1646,36 +3005,24 @@ async function boot() {
   onAuthChange(async (user) => {
     updateAuthUI(user);
 
-    if (user) {
+    if (isLocalMode()) {
+      // Device-only library doesn't depend on the signed-in account
+      console.log('[App] Loading local library');
+      await loadLibrary();
+    } else if (user) {
       // User is logged in - load their library
       console.log('[App] Loading library for user:', user.email);
-
-      // Run migration to fix existing books without series info
-      const migrated = await migrateExistingBooks();
-
-      // Ensure all books have spine colors
-      await ensureBookColors();
-
-      const books = await storage.getBooks();
-      console.log('[App] Found', books.length, 'books in storage');
-      hydrateBooks(books);
+      await loadLibrary();
     } else {
       // User is logged out - clear the library view
       console.log('[App] User logged out - clearing library view');
-      hydrateBooks([]);
+      stopLibrarySubscription();
+      stopRequestInbox();
+      sharing = null;
+      renderLibrary({ books: [] });
     }
   });
 
-  // Add resize listener for bookshelf theme responsiveness
-  let resizeTimeout;
-  window.addEventListener('resize', () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(async () => {
-      const books = await storage.getBooks();
-      hydrateBooks(books);
-    }, 300); // Debounce resize
-  });
-
   // Restore hand cursor and voice commands from previous session if they were enabled
   const handCursorWasEnabled = localStorage.getItem('handCursorEnabled') === 'on';
   const voiceWasEnabled = localStorage.getItem('voiceCommandsEnabled') === 'on';
@@ -0,0 +1,114 @@
+/**
+ * Author names: parsing, display formatting and sort keys.
+ * Books store `authors: [{ name, sortName }]`; `author` is kept as the formatted display
+ * string so older code paths and exports keep working.
+ */
+
+// Lowercase words that belong to the surname ("Ursula K. Le Guin" -> "Le Guin")
+const SURNAME_PARTICLES = new Set(['le', 'la', 'de', 'del', 'della', 'di', 'da', 'du', 'des', 'van', 'von', 'der', 'den', 'ter', 'ten', 'st.', 'saint', 'bin', 'ibn', 'al', 'el']);
+// Generational/academic suffixes that stay after the given names when sorting
+const NAME_SUFFIXES = /^(jr\.?|sr\.?|ii|iii|iv|v|phd|ph\.d\.|md|m\.d\.)$/i;
+
+/** Remove role annotations like "(Author)" or "[Illustrator]" and stray whitespace */
+function cleanName(raw) {
+  return String(raw || '')
+    .replace(/\s*[([][^)\]]*[)\]]\s*/g, ' ')
+    .replace(/\s{2,}/g, ' ')
+    .trim()
+    .replace(/[,;]+$/, '');
+}
+
+function isParticle(word) {
+  return SURNAME_PARTICLES.has(word.toLowerCase());
+}
+
+/**
+ * Parse one person's name into { name, sortName }.
+ * Accepts "Given Surname" or inverted "Surname, Given" forms.
+ */
+export function parseAuthorName(raw) {
+  const cleaned = cleanName(raw);
+  if (!cleaned || cleaned === 'TBD' || /^unknown( author)?$/i.test(cleaned)) return null;
+
+  // Already inverted: "Le Guin, Ursula K." / "Tolkien, J.R.R."
+  const inverted = cleaned.match(/^([^,]+),\s*([^,]+)$/);
+  if (inverted && !NAME_SUFFIXES.test(inverted[2].trim())) {
+    const surname = inverted[1].trim();
+    const given = inverted[2].trim();
+    return { name: `${given} ${surname}`, sortName: `${surname}, ${given}` };
+  }
+
+  const words = cleaned.replace(/,/g, '').split(' ');
+  const suffixes = [];
+  while (words.length > 1 && NAME_SUFFIXES.test(words[words.length - 1])) {
+    suffixes.unshift(words.pop());
+  }
+  if (words.length === 1) {
+    return { name: cleaned, sortName: [words[0], ...suffixes].join(' ') };
+  }
+
+  let surnameStart = words.length - 1;
+  while (surnameStart > 1 && isParticle(words[surnameStart - 1])) surnameStart--;
+  const surname = words.slice(surnameStart).join(' ');
+  const given = [...words.slice(0, surnameStart), ...suffixes].join(' ');
+  return { name: cleaned, sortName: `${surname}, ${given}` };
+}
+
+/**
+ * Split a free-text author field into author objects.
+ * Separators: ";", "&", " and ", and commas between full names. A single comma between
+ * a surname and given names ("Le Guin, Ursula K.") is read as one inverted name.
+ */
+export function parseAuthorList(raw) {
+  if (Array.isArray(raw)) return raw.map(parseAuthorName).filter(Boolean);
+
+  const text = cleanName(raw);
+  if (!text) return [];
+
+  const chunks = text.split(/\s*(?:;|&|\band\b)\s*/i).filter(Boolean);
+  const names = [];
+  for (const chunk of chunks) {
+    const parts = chunk.split(/\s*,\s*/).filter(Boolean);
+    const looksInverted = parts.length === 2 &&
+      (!parts[0].includes(' ') || isParticle(parts[0].split(' ')[0]) || NAME_SUFFIXES.test(parts[1]));
+    if (looksInverted) names.push(chunk);
+    else names.push(...parts);
+  }
+  return names.map(parseAuthorName).filter(Boolean);
+}
+
+/** "A", "A & B", "A, B & C" */
+export function formatAuthors(authors = []) {
+  const names = authors.map(author => author.name).filter(Boolean);
+  if (names.length <= 1) return names[0] || '';
+  return `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`;
+}
+
+/** Author objects for a book, falling back to parsing a legacy `author` string */
+export function getBookAuthors(book) {
+  if (Array.isArray(book?.authors) && book.authors.length && typeof book.authors[0] === 'object') {
+    return book.authors;
+  }
+  return parseAuthorList(book?.author);
+}
+
+/** Lowercase sort key for a book's first author; books without one sort last */
+export function authorSortKey(book) {
+  const first = getBookAuthors(book)[0];
+  return first ? first.sortName.toLowerCase() : '\uffff';
+}
+
+/** True when the query matches any author's display or sort name */
+export function authorMatches(book, query) {
+  const q = String(query || '').toLowerCase().trim();
+  if (!q) return false;
+  return getBookAuthors(book).some(author =>
+    author.name.toLowerCase().includes(q) || author.sortName.toLowerCase().includes(q)
+  );
+}
+
+/** Fields to store for the given raw author value(s) */
+export function authorFields(raw) {
+  const authors = parseAuthorList(raw);
+  return { authors, author: formatAuthors(authors) };
+}
@@ -0,0 +1,156 @@
+/**
+ * Full-library backups: books (with borrowing history), custom series rules, smart shelves,
+ * the borrower directory and the preferences kept in this browser's localStorage, in one export file.
+ * A backup is a library export envelope (see libraryFile.js) with `kind: 'backup'`.
+ */
+
+import { createExportEnvelope, diffImport, diffToOperations } from './libraryFile.js';
+import { validateSeriesRule } from './series.js';
+import { validateSmartShelf } from './smartShelves.js';
+import { validateBorrower } from './borrowers.js';
+import { normalizeText } from './search.js';
+
+export const BACKUP_KIND = 'backup';
+
+// Preferences stored per browser, with the values each one accepts
+const PREFERENCES = {
+  librarySortMode: ['series', 'author', 'genre', 'color'],
+  libraryTheme: ['witchy', 'colorful', 'minimal', 'bookshelf'],
+  handCursorEnabled: ['on', 'off'],
+  voiceCommandsEnabled: ['on', 'off']
+};
+
+/** Current preferences from localStorage (unset ones are left out) */
+export function readPreferences() {
+  const preferences = {};
+  Object.keys(PREFERENCES).forEach(key => {
+    try {
+      const value = localStorage.getItem(key);
+      if (value != null) preferences[key] = value;
+    } catch (_) {
+      // localStorage unavailable - back up what we can
+    }
+  });
+  return preferences;
+}
+
+export function createBackup({ books, seriesRules = [], smartShelves = [], borrowers = [] }) {
+  return createExportEnvelope(books, {
+    kind: BACKUP_KIND,
+    preferences: readPreferences(),
+    seriesRules,
+    smartShelves,
+    borrowers
+  });
+}
+
+export function isBackup(envelope) {
+  return envelope?.kind === BACKUP_KIND;
+}
+
+/** Problems with the settings part of a backup (books are checked by parseLibraryFile) */
+export function validateBackup(envelope) {
+  const errors = [];
+  const preferences = envelope.preferences ?? {};
+  if (typeof preferences !== 'object' || Array.isArray(preferences)) {
+    errors.push('Backup "preferences" should be an object');
+  } else {
+    Object.entries(preferences).forEach(([key, value]) => {
+      if (!PREFERENCES[key]) return; // preferences from a newer app version are ignored
+      if (!PREFERENCES[key].includes(value)) {
+        errors.push(`Preference "${key}" has an unknown value "${value}" (expected ${PREFERENCES[key].join(', ')})`);
+      }
+    });
+  }
+
+  const rules = envelope.seriesRules ?? [];
+  if (!Array.isArray(rules)) {
+    errors.push('Backup "seriesRules" should be a list');
+  } else {
+    rules.forEach((rule, i) => {
+      validateSeriesRule(rule).forEach(problem => errors.push(`Series rule ${i + 1}${rule?.name ? ` (${rule.name})` : ''}: ${problem}`));
+    });
+  }
+
+  const shelves = envelope.smartShelves ?? [];
+  if (!Array.isArray(shelves)) {
+    errors.push('Backup "smartShelves" should be a list');
+  } else {
+    shelves.forEach((shelf, i) => {
+      validateSmartShelf(shelf).forEach(problem => errors.push(`Smart shelf ${i + 1}${shelf?.name ? ` (${shelf.name})` : ''}: ${problem}`));
+    });
+  }
+
+  const borrowers = envelope.borrowers ?? [];
+  if (!Array.isArray(borrowers)) {
+    errors.push('Backup "borrowers" should be a list');
+  } else {
+    borrowers.forEach((borrower, i) => {
+      validateBorrower(borrower).forEach(problem => errors.push(`Borrower ${i + 1}${borrower?.name ? ` (${borrower.name})` : ''}: ${problem}`));
+    });
+  }
+  return errors;
+}
+
+/**
+ * What restoring a backup would change.
+ * 'replace': the library, rules and preferences become exactly what's in the backup.
+ * 'merge': books are merged like an import (duplicates folded in), rules the library
+ * doesn't have are added (same for smart shelves and borrowers), and only preferences not
+ * yet set on this device are taken.
+ * Returns { mode, operations, counts, seriesRules, smartShelves, borrowers, preferences } -
+ * `operations` are the storage.writeBooks writes, `seriesRules`/`smartShelves`/`borrowers`
+ * the full lists to save afterwards (smartShelves and borrowers are null when there's
+ * nothing to change, e.g. a backup from before they existed) and `preferences` the
+ * localStorage values to apply.
+ */
+export function planRestore(envelope, { library, currentRules = [], currentShelves = [], currentBorrowers = [], currentPreferences = {}, mode = 'merge' }) {
+  const backupBooks = envelope.books.map(book => ({ ...book, id: book.id || book.isbn }));
+  const backupRules = envelope.seriesRules || [];
+  const backupShelves = Array.isArray(envelope.smartShelves) ? envelope.smartShelves : null;
+  const backupBorrowers = Array.isArray(envelope.borrowers) ? envelope.borrowers : null;
+  const backupPreferences = Object.fromEntries(
+    Object.entries(envelope.preferences || {}).filter(([key]) => PREFERENCES[key])
+  );
+
+  if (mode === 'replace') {
+    const keep = new Set(backupBooks.map(book => book.id));
+    const removed = library.filter(book => !keep.has(book.id || book.isbn));
+    return {
+      mode,
+      operations: [
+        ...removed.map(book => ({ type: 'remove', id: book.id || book.isbn })),
+        ...backupBooks.map(book => {
+          const data = { ...book };
+          delete data.updatedAt;
+          return { type: 'add', id: book.id, data };
+        })
+      ],
+      counts: { restored: backupBooks.length, removed: removed.length, rules: backupRules.length, preferences: Object.keys(backupPreferences).length },
+      seriesRules: backupRules,
+      smartShelves: backupShelves,
+      borrowers: backupBorrowers,
+      preferences: backupPreferences
+    };
+  }
+
+  const diff = diffImport(backupBooks, library, { mergeDuplicates: true });
+  const ruleNames = new Set(currentRules.map(rule => rule.name));
+  const newRules = backupRules.filter(rule => !ruleNames.has(rule.name));
+  const shelfKeys = new Set(currentShelves.flatMap(shelf => [shelf.id, shelf.name]));
+  const newShelves = (backupShelves || []).filter(shelf => !shelfKeys.has(shelf.id) && !shelfKeys.has(shelf.name));
+  const borrowerKeys = new Set(currentBorrowers.flatMap(borrower => [borrower.id, normalizeText(borrower.name)]));
+  const newBorrowers = (backupBorrowers || []).filter(borrower => !borrowerKeys.has(borrower.id) && !borrowerKeys.has(normalizeText(borrower.name)));
+  const newPreferences = Object.fromEntries(
+    Object.entries(backupPreferences).filter(([key]) => currentPreferences[key] == null)
+  );
+  return {
+    mode,
+    operations: diffToOperations(diff),
+    counts: { added: diff.add.length, updated: diff.update.length, skipped: diff.skip.length, rules: newRules.length, preferences: Object.keys(newPreferences).length },
+    seriesRules: [...currentRules, ...newRules],
+    smartShelves: newShelves.length ? [...currentShelves, ...newShelves] : null,
+    borrowers: newBorrowers.length ? [...currentBorrowers, ...newBorrowers] : null,
+    preferences: newPreferences
+  };
+}
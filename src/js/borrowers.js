@@ -0,0 +1,155 @@
+/**
+ * Borrower directory: the people books get lent to, stored with the library
+ * (meta 'borrowers') as [{ id, name, aliases, email?, phone? }].
+ * Names typed on the library card or heard by voice are resolved against it with the same
+ * typo-tolerant word matching as search, so "sam", "Sam K" and "Sammy" can all land on one
+ * person. Loans made through the directory carry the borrower's `borrowerId` next to the
+ * name; older loans are matched to a borrower by name or alias.
+ */
+
+import { normalizeText, wordScore } from './search.js';
+
+const MAX_NAME_LENGTH = 60;
+// Lowest score a fuzzy match needs to count at all
+const MIN_SCORE = 0.45;
+// How far the best match must be ahead of the next one to be picked without asking
+const CLEAR_LEAD = 0.15;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE = /^\+?[\d\s().-]{5,}$/;
+
+const tokens = (text) => normalizeText(text).split(' ').filter(Boolean);
+
+/** Problems with a borrower entry (empty when it's valid) */
+export function validateBorrower(borrower) {
+  if (!borrower || typeof borrower !== 'object') return ['Borrower must be an object'];
+  const errors = [];
+  const name = typeof borrower.name === 'string' ? borrower.name.trim() : '';
+  if (!name) errors.push('Name is required');
+  else if (name.length > MAX_NAME_LENGTH) errors.push(`Name is too long (max ${MAX_NAME_LENGTH} characters)`);
+  if (borrower.aliases != null && (!Array.isArray(borrower.aliases) || borrower.aliases.some(alias => typeof alias !== 'string'))) {
+    errors.push('Aliases should be a list of names');
+  }
+  if (borrower.email && !EMAIL.test(borrower.email)) errors.push(`"${borrower.email}" is not an email address`);
+  if (borrower.phone && !PHONE.test(borrower.phone)) errors.push(`"${borrower.phone}" is not a phone number`);
+  return errors;
+}
+
+/** Saved directory, with invalid entries dropped */
+export function readBorrowers(saved) {
+  if (!Array.isArray(saved)) return [];
+  return saved.filter(borrower => validateBorrower(borrower).length === 0);
+}
+
+/**
+ * New directory entry with an id that isn't taken yet.
+ * `aliases` may be a list or comma-separated text; empty contact fields are left out.
+ */
+export function createBorrower({ name, aliases = [], email = '', phone = '' }, existing = []) {
+  const base = normalizeText(name).replace(/ /g, '-') || 'borrower';
+  const taken = new Set(existing.map(borrower => borrower.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return updateBorrower({ id }, { name, aliases, email, phone });
+}
+
+/** Copy of a borrower with edited fields, cleaned the same way createBorrower does */
+export function updateBorrower(borrower, { name, aliases, email, phone }) {
+  const list = Array.isArray(aliases) ? aliases : String(aliases || '').split(',');
+  const trimmedName = String(name ?? borrower.name ?? '').trim();
+  const next = {
+    id: borrower.id,
+    name: trimmedName,
+    aliases: [...new Set(list.map(alias => alias.trim()).filter(alias => alias && normalizeText(alias) !== normalizeText(trimmedName)))]
+  };
+  const contact = { email: email ?? borrower.email, phone: phone ?? borrower.phone };
+  Object.entries(contact).forEach(([key, value]) => {
+    const text = String(value || '').trim();
+    if (text) next[key] = text;
+  });
+  return next;
+}
+
+// How well a typed name matches one of a borrower's names: every typed word has to match
+// one of its words; extra words the borrower has cost a little ("Sam" vs "Sam Kim")
+function nameScore(typed, candidate) {
+  const wanted = tokens(typed);
+  const have = tokens(candidate);
+  if (!wanted.length || !have.length) return 0;
+  let total = 0;
+  for (const word of wanted) {
+    const best = Math.max(...have.map(token => wordScore(word, token)));
+    if (!best) return 0;
+    total += best;
+  }
+  const unmatched = Math.max(0, have.length - wanted.length);
+  return total / wanted.length - 0.05 * unmatched;
+}
+
+/**
+ * Resolve a typed or spoken name against the directory.
+ * Returns { borrower, exact, candidates }: `borrower` is the person meant (null when
+ * nobody matches or several people match about equally well - then `candidates` lists
+ * them, best first); `exact` is true when the name or an alias matched word for word.
+ */
+export function resolveBorrower(name, directory) {
+  const typed = normalizeText(name);
+  if (!typed) return { borrower: null, exact: false, candidates: [] };
+
+  const exact = directory.find(borrower => [borrower.name, ...(borrower.aliases || [])].some(n => normalizeText(n) === typed));
+  if (exact) return { borrower: exact, exact: true, candidates: [exact] };
+
+  const scored = directory
+    .map(borrower => ({
+      borrower,
+      score: Math.max(...[borrower.name, ...(borrower.aliases || [])].map(n => nameScore(typed, n)))
+    }))
+    .filter(entry => entry.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+
+  const candidates = scored.map(entry => entry.borrower);
+  const clear = scored.length === 1 || (scored.length > 1 && scored[0].score - scored[1].score >= CLEAR_LEAD);
+  return { borrower: clear ? scored[0].borrower : null, exact: false, candidates };
+}
+
+/** Whether a loan belongs to this borrower (by id, or by name/alias for older loans) */
+export function isBorrowersLoan(loan, borrower) {
+  if (loan.borrowerId) return loan.borrowerId === borrower.id;
+  const name = normalizeText(loan.name);
+  return [borrower.name, ...(borrower.aliases || [])].some(n => normalizeText(n) === name);
+}
+
+/**
+ * A borrower's loans across the library: { current, past }, each [{ book, loan, index }]
+ * with the most recent loans first.
+ */
+export function borrowerHistory(borrower, books) {
+  const current = [];
+  const past = [];
+  books.forEach(book => {
+    (book.borrowers || []).forEach((loan, index) => {
+      if (!isBorrowersLoan(loan, borrower)) return;
+      (loan.returnDate ? past : current).push({ book, loan, index });
+    });
+  });
+  const newestFirst = (a, b) => String(b.loan.returnDate || b.loan.date || '').localeCompare(String(a.loan.returnDate || a.loan.date || ''));
+  return { current: current.sort(newestFirst), past: past.sort(newestFirst) };
+}
+
+/**
+ * Directory built from the names already on library cards, for a library that never saved
+ * one. Names that differ only in case or punctuation become one person.
+ */
+export function seedBorrowers(books) {
+  const directory = [];
+  const seen = new Set();
+  books.forEach(book => {
+    (book.borrowers || []).forEach(loan => {
+      const key = normalizeText(loan.name);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      directory.push(createBorrower({ name: loan.name.trim() }, directory));
+    });
+  });
+  return directory;
+}
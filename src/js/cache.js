@@ -0,0 +1,112 @@
+/**
+ * Persistent lookup cache in IndexedDB.
+ * Entries are { key, value, ts, ttl, lastAccess }; the store is capped at MAX_ENTRIES and
+ * evicts least-recently-used entries first.
+ */
+
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+
+const CACHE_DB = 'library-buddy-cache';
+const CACHE_DB_VERSION = 1;
+const ENTRIES_STORE = 'entries';
+const VERSION_KEY = '__cacheVersion';
+export const MAX_ENTRIES = 2000;
+
+let dbPromise = null;
+
+function getDB() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(CACHE_DB, CACHE_DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+        const store = db.createObjectStore(ENTRIES_STORE, { keyPath: 'key' });
+        store.createIndex('lastAccess', 'lastAccess');
+      }
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/** Read an entry (expired entries included - callers decide whether stale data is usable) */
+export async function persistentGet(key) {
+  const db = await getDB();
+  const tx = db.transaction(ENTRIES_STORE, 'readwrite');
+  const store = tx.objectStore(ENTRIES_STORE);
+  const entry = await promisifyRequest(store.get(key));
+  if (entry) {
+    // Touch for LRU ordering
+    entry.lastAccess = Date.now();
+    store.put(entry);
+  }
+  await transactionDone(tx);
+  return entry || null;
+}
+
+export async function persistentSet(key, value, ttl) {
+  const db = await getDB();
+  const now = Date.now();
+  const tx = db.transaction(ENTRIES_STORE, 'readwrite');
+  tx.objectStore(ENTRIES_STORE).put({ key, value, ts: now, ttl, lastAccess: now });
+  await transactionDone(tx);
+  await evictOverflow();
+}
+
+// Drop least-recently-used entries until we're back under the size limit
+async function evictOverflow(limit = MAX_ENTRIES) {
+  const db = await getDB();
+  const tx = db.transaction(ENTRIES_STORE, 'readwrite');
+  const store = tx.objectStore(ENTRIES_STORE);
+  const total = await promisifyRequest(store.count());
+  let toRemove = total - limit;
+  if (toRemove > 0) {
+    console.log('[Cache] Evicting', toRemove, 'least recently used entries');
+    await new Promise((resolve, reject) => {
+      const req = store.index('lastAccess').openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || toRemove <= 0) { resolve(); return; }
+        if (cursor.value.key !== VERSION_KEY) {
+          cursor.delete();
+          toRemove--;
+        }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+  await transactionDone(tx);
+}
+
+/** Delete every entry whose key matches the predicate. Returns the number removed. */
+export async function purgeWhere(predicate) {
+  const db = await getDB();
+  const tx = db.transaction(ENTRIES_STORE, 'readwrite');
+  const store = tx.objectStore(ENTRIES_STORE);
+  const keys = await promisifyRequest(store.getAllKeys());
+  const doomed = keys.filter(key => key !== VERSION_KEY && predicate(key));
+  doomed.forEach(key => store.delete(key));
+  await transactionDone(tx);
+  return doomed.length;
+}
+
+/**
+ * Purge entries written under an older cache version.
+ * Versioned keys end in `:<version>` (e.g. `isbn:<isbn>:v6`); unversioned keys such as
+ * `search:<q>` are dropped too since they were built by the older normalization.
+ * Only does work the first time a new version is seen.
+ */
+export async function purgeOtherVersions(version) {
+  const stored = await persistentGet(VERSION_KEY);
+  if (stored?.value === version) return 0;
+
+  const removed = await purgeWhere(key => !key.endsWith(`:${version}`));
+  const db = await getDB();
+  const tx = db.transaction(ENTRIES_STORE, 'readwrite');
+  tx.objectStore(ENTRIES_STORE).put({ key: VERSION_KEY, value: version, ts: Date.now(), ttl: null, lastAccess: Date.now() });
+  await transactionDone(tx);
+
+  console.log('[Cache] Cache version changed to', version, '- purged', removed, 'entries');
+  return removed;
+}
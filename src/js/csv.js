@@ -0,0 +1,413 @@
+/**
+ * CSV import/export for people who keep their lists in spreadsheets.
+ * Export writes every book field as a column, with borrowing history and the waiting list
+ * flattened into one cell each ("Alex (2024-01-05 to 2024-02-01); Sam (since 2024-03-10)").
+ * Left out on purpose, as they only matter inside the app: uploaded covers (too large for a
+ * cell), ids and notes of returned loans, hold ids, borrower directory links (borrowerId)
+ * and the sync stamp (updatedAt). The JSON export keeps everything.
+ * Import maps arbitrary spreadsheet columns onto book fields and reports problems per row.
+ */
+
+import { authorFields } from './authors.js';
+import { normalizeIsbn } from './isbn.js';
+import { createHold } from './loans.js';
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, doubled quotes, line breaks inside quotes, a UTF-8 BOM and
+ * comma, semicolon or tab delimiters (detected from the first line).
+ * Each row also carries `line`, the 1-based line of the file it starts on, since quoted
+ * line breaks and skipped blank lines make row positions differ from line numbers.
+ */
+export function parseCsv(text) {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    row.line = rowLine;
+    rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // Quoted line breaks stay in the cell but still move to the next line of the file
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) endRow();
+
+  // Spreadsheets often leave trailing blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [',', ';', '\t'].map(d => ({ d, n: firstLine.replace(/"[^"]*"/g, '').split(d).length - 1 }));
+  counts.sort((a, b) => b.n - a.n);
+  return counts[0].n > 0 ? counts[0].d : ',';
+}
+
+function quoteCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Serialize rows (arrays of values) as CSV */
+export function toCsv(rows) {
+  return rows.map(row => row.map(quoteCell).join(',')).join('\r\n');
+}
+
+/** "Alex (2024-01-05 to 2024-02-01); Sam (since 2024-03-10)" */
+export function formatBorrowerHistory(borrowers = []) {
+  return borrowers.map(({ name, date, returnDate }) => {
+    if (returnDate) return `${name} (${date || '?'} to ${returnDate})`;
+    return date ? `${name} (since ${date})` : name;
+  }).join('; ');
+}
+
+/**
+ * Parse a flattened borrower history back into borrower records.
+ * Returns { borrowers, problems } where problems are human-readable warnings.
+ */
+export function parseBorrowerHistory(text) {
+  const borrowers = [];
+  const problems = [];
+  String(text || '').split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const match = part.match(/^(.*?)\s*\(([^)]*)\)$/);
+    const name = (match ? match[1] : part).trim();
+    if (!name) {
+      problems.push(`Borrower entry "${part}" has no name`);
+      return;
+    }
+    const entry = { name, date: null };
+    if (match) {
+      const dates = match[2].trim();
+      const since = dates.match(/^since\s+(.+)$/i);
+      const range = dates.match(/^(.+?)\s+to\s+(.+)$/i);
+      const from = since ? since[1] : range ? range[1] : dates;
+      entry.date = toIsoDate(from);
+      if (from && from !== '?' && !entry.date) problems.push(`"${from}" is not a date (borrower ${name})`);
+      if (range) {
+        entry.returnDate = toIsoDate(range[2]);
+        if (!entry.returnDate) problems.push(`"${range[2]}" is not a date (borrower ${name})`);
+      }
+    }
+    if (!entry.date) delete entry.date;
+    if (entry.returnDate === null) delete entry.returnDate;
+    borrowers.push(entry);
+  });
+  return { borrowers, problems };
+}
+
+/** "Jo (since 2024-03-01); Sam (since 2024-03-04)" - first in line first */
+export function formatHolds(holds = []) {
+  return holds.map(({ name, requestedAt }) => (requestedAt ? `${name} (since ${requestedAt})` : name)).join('; ');
+}
+
+/** Parse a flattened waiting list back into holds. Returns { holds, problems } */
+export function parseHolds(text) {
+  const { borrowers, problems } = parseBorrowerHistory(text);
+  return { holds: borrowers.map(({ name, date }) => createHold({ name }, date)), problems };
+}
+
+/** YYYY-MM-DD for a date string (the format the library card's date input uses), or null */
+export function toIsoDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  if (/^\d{4}\/\d{1,2}\/\d{1,2}$/.test(text)) {
+    const [y, m, d] = text.split('/');
+    return `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+  }
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) return null;
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const list = (values) => (values || []).filter(Boolean).join('; ');
+const splitList = (text) => String(text || '').split(/\s*[;|]\s*/).map(v => v.trim()).filter(Boolean);
+
+// Latest loan that hasn't been returned
+function currentLoan(book) {
+  return [...(book.borrowers || [])].reverse().find(b => !b.returnDate) || null;
+}
+
+/** Columns written by the CSV export, in order */
+export const EXPORT_COLUMNS = [
+  { header: 'ID', value: b => b.id || b.isbn },
+  { header: 'ISBN', value: b => b.isbn },
+  { header: 'Title', value: b => b.title },
+  { header: 'Authors', value: b => b.author },
+  { header: 'Series', value: b => b.series },
+  { header: 'Series Number', value: b => b.seriesNumber },
+  { header: 'Genre', value: b => b.genre },
+  { header: 'Tags', value: b => list(b.tags) },
+  { header: 'Notes', value: b => b.notes },
+  { header: 'Format', value: b => b.format },
+  { header: 'Publisher', value: b => b.publisher },
+  { header: 'Published Date', value: b => b.publishedDate },
+  { header: 'Pages', value: b => b.pageCount },
+  { header: 'Subjects', value: b => list(b.subjects) },
+  { header: 'Cover URL', value: b => (String(b.coverUrl || '').startsWith('data:') ? '' : b.coverUrl) },
+  { header: 'Spine Color', value: b => b.spineColor },
+  { header: 'Work Key', value: b => b.workKey },
+  { header: 'Copy Of', value: b => b.copyOf },
+  { header: 'Read Status', value: b => b.readStatus },
+  { header: 'Read Dates', value: b => list(b.readDates) },
+  { header: 'Date Added', value: b => b.addedAt },
+  { header: 'Borrowed By', value: b => currentLoan(b)?.name },
+  { header: 'Borrowed Since', value: b => currentLoan(b)?.date },
+  { header: 'Due Date', value: b => currentLoan(b)?.dueDate },
+  { header: 'Loan ID', value: b => currentLoan(b)?.id },
+  { header: 'Loan Notes', value: b => currentLoan(b)?.notes },
+  { header: 'Borrower History', value: b => formatBorrowerHistory(b.borrowers) },
+  { header: 'Availability', value: b => b.availability },
+  { header: 'Waiting List', value: b => formatHolds(b.holds) }
+];
+
+/** CSV text for a list of books (with a BOM so spreadsheet apps read it as UTF-8) */
+export function booksToCsv(books = []) {
+  const rows = [
+    EXPORT_COLUMNS.map(column => column.header),
+    ...books.map(book => EXPORT_COLUMNS.map(column => column.value(book) ?? ''))
+  ];
+  return `\uFEFF${toCsv(rows)}\r\n`;
+}
+
+/**
+ * Book fields a CSV column can be mapped to. `aliases` are header names recognized
+ * automatically (compared lowercase with punctuation removed).
+ */
+export const IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', aliases: ['title', 'book title', 'name', 'book'] },
+  { key: 'author', label: 'Author(s)', aliases: ['author', 'authors', 'author s', 'writer', 'by'] },
+  { key: 'isbn', label: 'ISBN', aliases: ['isbn', 'isbn13', 'isbn 13', 'isbn10', 'isbn 10', 'ean'] },
+  { key: 'series', label: 'Series', aliases: ['series', 'series name'] },
+  { key: 'seriesNumber', label: 'Series Number', aliases: ['series number', 'number', '#', 'series #', 'series no', 'volume', 'book number'] },
+  { key: 'genre', label: 'Genre', aliases: ['genre', 'category'] },
+  { key: 'tags', label: 'Tags', aliases: ['tags', 'labels', 'shelves'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comments', 'comment'] },
+  { key: 'borrower', label: 'Borrowed By', aliases: ['borrowed by', 'borrower', 'lent to', 'loaned to', 'current borrower'] },
+  { key: 'borrowDate', label: 'Borrowed Since', aliases: ['borrowed since', 'borrow date', 'date borrowed', 'lent on', 'loaned on'] },
+  { key: 'dueDate', label: 'Due Date', aliases: ['due date', 'due', 'due back', 'return by'] },
+  { key: 'loanId', label: 'Loan ID', aliases: ['loan id'] },
+  { key: 'loanNotes', label: 'Loan Notes', aliases: ['loan notes', 'loan note'] },
+  { key: 'borrowers', label: 'Borrower History', aliases: ['borrower history', 'borrowing history', 'loan history', 'borrowers'] },
+  { key: 'availability', label: 'Availability', aliases: ['availability'] },
+  { key: 'holds', label: 'Waiting List', aliases: ['waiting list', 'holds', 'waiting'] },
+  { key: 'format', label: 'Format', aliases: ['format', 'binding'] },
+  { key: 'publisher', label: 'Publisher', aliases: ['publisher'] },
+  { key: 'publishedDate', label: 'Published Date', aliases: ['published date', 'published', 'publication date', 'year published'] },
+  { key: 'pageCount', label: 'Pages', aliases: ['pages', 'page count', 'number of pages'] },
+  { key: 'subjects', label: 'Subjects', aliases: ['subjects'] },
+  { key: 'coverUrl', label: 'Cover URL', aliases: ['cover url', 'cover', 'image', 'image url'] },
+  { key: 'spineColor', label: 'Spine Color', aliases: ['spine color', 'color'] },
+  { key: 'workKey', label: 'Work Key', aliases: ['work key'] },
+  { key: 'copyOf', label: 'Copy Of', aliases: ['copy of'] },
+  { key: 'readStatus', label: 'Read Status', aliases: ['read status', 'status'] },
+  { key: 'readDates', label: 'Read Dates', aliases: ['read dates', 'dates read', 'date read'] },
+  { key: 'addedAt', label: 'Date Added', aliases: ['date added', 'added'] },
+  { key: 'id', label: 'Library Buddy ID', aliases: ['id', 'library buddy id'] }
+];
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9#]+/g, ' ').trim();
+}
+
+/** Best-guess mapping { fieldKey: columnIndex } from a header row */
+export function guessColumnMapping(headers = []) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  const used = new Set();
+  IMPORT_FIELDS.forEach(field => {
+    for (const alias of field.aliases) {
+      const index = normalized.findIndex((h, i) => h === alias && !used.has(i));
+      if (index !== -1) {
+        mapping[field.key] = index;
+        used.add(index);
+        return;
+      }
+    }
+  });
+  return mapping;
+}
+
+function isBlank(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+let generatedIds = 0;
+
+/** Id for an imported book without an ISBN (e.g. a handmade or very old book) */
+export function generateImportId() {
+  generatedIds++;
+  return `csv-${Date.now().toString(36)}-${generatedIds}`;
+}
+
+/**
+ * Turn one data row into a book using a { fieldKey: columnIndex } mapping.
+ * Returns { book, errors, warnings, lookupIsbn } - rows with errors shouldn't be imported;
+ * `lookupIsbn` is set when the row has a valid ISBN but no title, so the details can be
+ * filled in by an ISBN lookup.
+ */
+export function rowToBook(row, mapping) {
+  const get = (key) => (mapping[key] != null ? String(row[mapping[key]] ?? '').trim() : '');
+  const errors = [];
+  const warnings = [];
+  const book = {};
+
+  const rawIsbn = get('isbn');
+  if (rawIsbn) {
+    const parsed = normalizeIsbn(rawIsbn);
+    if (parsed.ok) book.isbn = parsed.isbn13;
+    else (get('title') ? warnings : errors).push(parsed.reason);
+  }
+
+  book.title = get('title');
+  Object.assign(book, authorFields(get('author')));
+  book.series = get('series');
+  book.genre = get('genre');
+  book.notes = get('notes');
+  book.tags = splitList(get('tags'));
+  book.format = get('format');
+  book.publisher = get('publisher');
+  book.publishedDate = get('publishedDate');
+  book.subjects = splitList(get('subjects'));
+  book.coverUrl = get('coverUrl');
+  book.workKey = get('workKey');
+  book.copyOf = get('copyOf');
+  book.readStatus = get('readStatus').toLowerCase().replace(/\s+/g, '-');
+
+  const readDates = splitList(get('readDates'));
+  book.readDates = readDates.map(toIsoDate).filter(Boolean);
+  if (book.readDates.length < readDates.length) warnings.push(`Some read dates aren't dates: "${get('readDates')}"`);
+
+  const addedAt = get('addedAt');
+  if (addedAt) {
+    book.addedAt = toIsoDate(addedAt);
+    if (!book.addedAt) warnings.push(`Date added "${addedAt}" is not a date`);
+  }
+
+  const seriesNumber = get('seriesNumber').replace(/^#/, '');
+  if (seriesNumber) {
+    if (Number.isFinite(Number(seriesNumber))) book.seriesNumber = Number(seriesNumber);
+    else warnings.push(`Series number "${seriesNumber}" is not a number`);
+  }
+
+  const pageCount = get('pageCount');
+  if (pageCount) {
+    if (/^\d+$/.test(pageCount)) book.pageCount = Number(pageCount);
+    else warnings.push(`Pages "${pageCount}" is not a number`);
+  }
+
+  const spineColor = get('spineColor');
+  if (spineColor) {
+    if (/^#[0-9a-f]{6}$/i.test(spineColor)) {
+      book.spineColor = spineColor;
+      book.customSpineColor = true;
+    } else {
+      warnings.push(`Spine color "${spineColor}" is not a hex color like #8b4513`);
+    }
+  }
+
+  const { borrowers, problems } = parseBorrowerHistory(get('borrowers'));
+  warnings.push(...problems);
+  const borrower = get('borrower');
+  if (borrower) {
+    const rawDate = get('borrowDate');
+    const date = toIsoDate(rawDate);
+    if (rawDate && !date) warnings.push(`Borrow date "${rawDate}" is not a date`);
+    const alreadyOut = borrowers.some(b => !b.returnDate && b.name.toLowerCase() === borrower.toLowerCase());
+    if (!alreadyOut) borrowers.push({ name: borrower, date: date || toIsoDate(new Date().toISOString()) });
+  }
+  const rawDue = get('dueDate');
+  if (rawDue) {
+    const dueDate = toIsoDate(rawDue);
+    const loan = [...borrowers].reverse().find(b => !b.returnDate);
+    if (!dueDate) warnings.push(`Due date "${rawDue}" is not a date`);
+    else if (!loan) warnings.push(`Due date "${rawDue}" ignored - the book isn't lent out`);
+    else loan.dueDate = dueDate;
+  }
+  const loanId = get('loanId');
+  const loanNotes = get('loanNotes');
+  if (loanId || loanNotes) {
+    const loan = [...borrowers].reverse().find(b => !b.returnDate);
+    if (loan) {
+      if (loanId) loan.id = loanId;
+      if (loanNotes) loan.notes = loanNotes;
+    } else {
+      warnings.push('Loan ID and notes ignored - the book isn\'t lent out');
+    }
+  }
+  book.borrowers = borrowers;
+
+  const availability = get('availability').toLowerCase();
+  // 'on-loan' comes from the loans themselves, so only the states set by hand are kept
+  if (availability === 'lost' || availability === 'reserved') book.availability = availability;
+  else if (availability && !['available', 'on-loan', 'on loan'].includes(availability)) {
+    warnings.push(`Availability "${get('availability')}" should be available, lost or reserved`);
+  }
+
+  const holds = parseHolds(get('holds'));
+  warnings.push(...holds.problems);
+  book.holds = holds.holds;
+
+  book.id = get('id') || book.isbn || null;
+
+  const lookupIsbn = !book.title && book.isbn ? book.isbn : null;
+  if (!book.title && !book.isbn && !errors.length) errors.push('Needs a title or an ISBN');
+
+  for (const [key, value] of Object.entries(book)) {
+    if (isBlank(value)) delete book[key];
+  }
+  if (!book.id && !errors.length) book.id = generateImportId();
+
+  return { book, errors, warnings, lookupIsbn };
+}
+
+/**
+ * 1-based line a data row starts on: the one parseCsv recorded, else its position after a
+ * header on line 1.
+ */
+export function rowLine(row, index) {
+  return row.line ?? index + 2;
+}
+
+/**
+ * Parse all data rows. Returns [{ line, book, errors, warnings, lookupIsbn }] where `line`
+ * is the line of the file the row starts on (the header is line 1).
+ */
+export function rowsToBooks(rows = [], mapping = {}) {
+  return rows.map((row, index) => ({ line: rowLine(row, index), ...rowToBook(row, mapping) }));
+}
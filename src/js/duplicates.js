@@ -0,0 +1,149 @@
+/**
+ * Duplicate detection and merging.
+ * A book is a likely duplicate of another when their ISBNs are equivalent (ISBN-10 vs
+ * ISBN-13 of the same number) or when they look like the same work by title and author.
+ */
+
+import { isSameWork, authorKey } from './works.js';
+import { formatAuthors, getBookAuthors } from './authors.js';
+import { toIsbn13 } from './isbn.js';
+
+/** Comparable ISBN for a book (from `isbn`, falling back to an ISBN-shaped id) */
+export function bookIsbn13(book) {
+  return toIsbn13(book?.isbn) || toIsbn13(book?.id) || '';
+}
+
+/**
+ * Existing books that match a candidate.
+ * Returns [{ book, reason: 'isbn'|'title' }] with ISBN matches first.
+ */
+export function findMatches(candidate, books = []) {
+  const candidateIsbn = bookIsbn13(candidate);
+  const candidateId = candidate.id || candidate.isbn;
+  const matches = [];
+  for (const book of books) {
+    const isbn = bookIsbn13(book);
+    if (candidateIsbn && isbn === candidateIsbn) {
+      matches.push({ book, reason: 'isbn' });
+    } else if ((book.id || book.isbn) === candidateId) {
+      matches.push({ book, reason: 'isbn' });
+    } else if (isSameWork(candidate, book)) {
+      matches.push({ book, reason: 'title' });
+    }
+  }
+  return matches.sort((a, b) => (a.reason === 'isbn' ? 0 : 1) - (b.reason === 'isbn' ? 0 : 1));
+}
+
+function isEmpty(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function borrowerKey(borrower) {
+  return `${(borrower.name || '').toLowerCase()}|${borrower.date || ''}`;
+}
+
+/**
+ * Combine two records of the same book. The existing record wins for anything the user
+ * already set (series edits, spine color, notes); gaps are filled from the incoming one.
+ * Borrowing history, waitlists, tags and authors are unioned so nothing is lost.
+ */
+export function mergeBooks(existing, incoming) {
+  const merged = { ...existing };
+  for (const [field, value] of Object.entries(incoming)) {
+    if (field === 'id' || field === 'updatedAt') continue;
+    if (isEmpty(merged[field]) && !isEmpty(value)) merged[field] = value;
+  }
+
+  const borrowers = new Map();
+  [...(existing.borrowers || []), ...(incoming.borrowers || [])].forEach(borrower => {
+    const key = borrowerKey(borrower);
+    // Keep the entry that records a return, if either does
+    if (!borrowers.has(key) || (!borrowers.get(key).returnDate && borrower.returnDate)) borrowers.set(key, borrower);
+  });
+  if (borrowers.size) {
+    merged.borrowers = Array.from(borrowers.values()).sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  }
+
+  // Waitlists are combined in order, each person once
+  const holds = [];
+  [...(existing.holds || []), ...(incoming.holds || [])].forEach(hold => {
+    if (!holds.some(h => h.id === hold.id || (h.borrowerId ? h.borrowerId === hold.borrowerId : h.name === hold.name))) holds.push(hold);
+  });
+  if (holds.length) merged.holds = holds;
+
+  const tags = [...new Set([...(existing.tags || []), ...(incoming.tags || [])])];
+  if (tags.length) merged.tags = tags;
+
+  if (existing.notes && incoming.notes && existing.notes !== incoming.notes) {
+    merged.notes = `${existing.notes}\n\n${incoming.notes}`;
+  }
+
+  const authors = [...getBookAuthors(existing)];
+  getBookAuthors(incoming).forEach(author => {
+    if (!authors.some(a => a.sortName.toLowerCase() === author.sortName.toLowerCase())) authors.push(author);
+  });
+  if (authors.length) {
+    merged.authors = authors;
+    merged.author = formatAuthors(authors);
+  }
+
+  return merged;
+}
+
+/** Id for an additional copy of a book that's already in the library */
+export function copyId(book) {
+  return `${book.isbn || book.id}-copy-${Date.now().toString(36)}`;
+}
+
+// Books marked with `copyOf` were kept as separate copies on purpose and aren't reported again
+function unresolved(books) {
+  return books.filter(book => !book.copyOf).length > 1;
+}
+
+/**
+ * Scan a library for likely duplicates.
+ * Returns [{ reason: 'isbn'|'title', books }] - each group has at least two books.
+ */
+export function findDuplicateGroups(books = []) {
+  const groups = [];
+  const grouped = new Set();
+
+  // Same ISBN stored under different ids (e.g. imported with another id, or ISBN-10 vs 13)
+  const byIsbn = new Map();
+  books.forEach(book => {
+    const isbn = bookIsbn13(book);
+    if (!isbn) return;
+    if (!byIsbn.has(isbn)) byIsbn.set(isbn, []);
+    byIsbn.get(isbn).push(book);
+  });
+  byIsbn.forEach(sameIsbn => {
+    if (!unresolved(sameIsbn)) return;
+    groups.push({ reason: 'isbn', books: sameIsbn });
+    sameIsbn.forEach(book => grouped.add(book));
+  });
+
+  // Different editions that look like the same work (only books by the same author are compared)
+  const byAuthor = new Map();
+  books.forEach(book => {
+    const key = authorKey(book);
+    if (grouped.has(book) || !key) return;
+    if (!byAuthor.has(key)) byAuthor.set(key, []);
+    byAuthor.get(key).push(book);
+  });
+  byAuthor.forEach(candidates => {
+    const seen = new Set();
+    candidates.forEach((book, i) => {
+      if (seen.has(book)) return;
+      const similar = [book];
+      for (let j = i + 1; j < candidates.length; j++) {
+        if (!seen.has(candidates[j]) && isSameWork(book, candidates[j])) similar.push(candidates[j]);
+      }
+      if (similar.length > 1) {
+        similar.forEach(b => seen.add(b));
+        if (unresolved(similar)) groups.push({ reason: 'title', books: similar });
+      }
+    });
+  });
+
+  return groups;
+}
@@ -1,7 +1,7 @@
 // Firebase configuration and initialization
 import { initializeApp } from 'firebase/app';
 import { getAuth, GoogleAuthProvider, signInWithPopup, signOut, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, doc, setDoc, getDoc, getDocs, deleteDoc, query, where } from 'firebase/firestore';
+import { getFirestore, collection, doc, setDoc, getDoc, getDocs, addDoc, deleteDoc, query, where, onSnapshot, writeBatch, runTransaction } from 'firebase/firestore';
 
 // Firebase configuration
 const firebaseConfig = {
@@ -51,12 +51,13 @@ export function getCurrentUser() {
 }
 
 // Firestore database functions
-export async function addBook(userId, book) {
+// `updatedAt` can be supplied when replaying an offline write so it keeps its original edit time
+export async function addBook(userId, book, { updatedAt = new Date().toISOString() } = {}) {
   try {
     const bookId = book.id || book.isbn;
     await setDoc(doc(db, 'users', userId, 'books', bookId), {
       ...book,
-      updatedAt: new Date().toISOString()
+      updatedAt
     });
     console.log('[Firebase] Book added:', bookId);
   } catch (error) {
@@ -81,6 +82,27 @@ export async function getBooks(userId) {
   }
 }
 
+/**
+ * Listen for live changes to a user's books.
+ * `onChanges` receives [{ type: 'added'|'modified'|'removed', id, book }]; the first call
+ * contains every existing book as 'added'. Returns an unsubscribe function.
+ */
+export function subscribeBooks(userId, onChanges, onError = () => {}) {
+  const booksRef = collection(db, 'users', userId, 'books');
+  return onSnapshot(booksRef, (snapshot) => {
+    const changes = snapshot.docChanges().map(change => ({
+      type: change.type,
+      id: change.doc.id,
+      book: change.doc.data()
+    }));
+    console.log('[Firebase] Snapshot changes:', changes.length);
+    onChanges(changes);
+  }, (error) => {
+    console.error('[Firebase] Snapshot listener error:', error);
+    onError(error);
+  });
+}
+
 export async function removeBook(userId, bookId) {
   try {
     await deleteDoc(doc(db, 'users', userId, 'books', bookId));
@@ -104,12 +126,12 @@ export async function getBook(userId, bookId) {
   }
 }
 
-export async function updateBook(userId, bookId, updates) {
+export async function updateBook(userId, bookId, updates, { updatedAt = new Date().toISOString() } = {}) {
   try {
     const bookRef = doc(db, 'users', userId, 'books', bookId);
     await setDoc(bookRef, {
       ...updates,
-      updatedAt: new Date().toISOString()
+      updatedAt
     }, { merge: true });
     console.log('[Firebase] Book updated:', bookId);
   } catch (error) {
@@ -118,4 +140,167 @@ export async function updateBook(userId, bookId, updates) {
   }
 }
 
+/**
+ * Read-check-write one book atomically. `change(book)` gets the server's current copy and
+ * returns the fields to write, or throws to abort; Firestore re-runs it if the book changed
+ * in the meantime. Resolves with the updated book.
+ */
+export async function transactBook(userId, bookId, change, { updatedAt = new Date().toISOString() } = {}) {
+  try {
+    const bookRef = doc(db, 'users', userId, 'books', bookId);
+    const book = await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(bookRef);
+      if (!snapshot.exists()) throw new Error('This book is no longer in the library');
+      const updates = change(snapshot.data());
+      transaction.set(bookRef, { ...updates, updatedAt }, { merge: true });
+      return { ...snapshot.data(), ...updates, updatedAt };
+    });
+    console.log('[Firebase] Book updated in transaction:', bookId);
+    return book;
+  } catch (error) {
+    // Rethrown as is, so callers still see the error `change` threw (e.g. a refused loan)
+    console.error('[Firebase] Error updating book in transaction:', error);
+    throw error;
+  }
+}
+
+// Firestore allows at most 500 writes in one batch
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Apply many book writes with batched commits: [{ type: 'add'|'update'|'remove', id, data }].
+ * Each batch of up to 500 writes is all-or-nothing; larger imports commit batch by batch.
+ */
+export async function writeBooks(userId, operations, { updatedAt = new Date().toISOString() } = {}) {
+  try {
+    for (let start = 0; start < operations.length; start += MAX_BATCH_WRITES) {
+      const batch = writeBatch(db);
+      operations.slice(start, start + MAX_BATCH_WRITES).forEach(({ type, id, data }) => {
+        const bookRef = doc(db, 'users', userId, 'books', id);
+        if (type === 'add') batch.set(bookRef, { ...data, updatedAt });
+        else if (type === 'update') batch.set(bookRef, { ...data, updatedAt }, { merge: true });
+        else if (type === 'remove') batch.delete(bookRef);
+      });
+      await batch.commit();
+    }
+    console.log('[Firebase] Batch wrote', operations.length, 'books');
+  } catch (error) {
+    console.error('[Firebase] Error writing books:', error);
+    throw error;
+  }
+}
+
+// Library-wide settings (e.g. custom series rules) live in users/{uid}/meta/{key}
+export async function getUserMeta(userId, key) {
+  try {
+    const metaDoc = await getDoc(doc(db, 'users', userId, 'meta', key));
+    return metaDoc.exists() ? metaDoc.data().value : null;
+  } catch (error) {
+    console.error('[Firebase] Error fetching meta:', key, error);
+    throw error;
+  }
+}
+
+export async function setUserMeta(userId, key, value, { updatedAt = new Date().toISOString() } = {}) {
+  try {
+    await setDoc(doc(db, 'users', userId, 'meta', key), { value, updatedAt });
+    console.log('[Firebase] Meta saved:', key);
+  } catch (error) {
+    console.error('[Firebase] Error saving meta:', key, error);
+    throw error;
+  }
+}
+
+// Share links (sharing.js): shares/{shareId} = { ownerUid, enabled, updatedAt } with the
+// published books in shares/{shareId}/books and visitors' borrow requests in
+// shares/{shareId}/requests. Visitors aren't signed in; firestore.rules decides what they see.
+export async function getShare(shareId) {
+  try {
+    const shareDoc = await getDoc(doc(db, 'shares', shareId));
+    return shareDoc.exists() ? shareDoc.data() : null;
+  } catch (error) {
+    console.error('[Firebase] Error fetching share:', shareId, error);
+    throw error;
+  }
+}
+
+export async function setShare(shareId, data, { updatedAt = new Date().toISOString() } = {}) {
+  try {
+    await setDoc(doc(db, 'shares', shareId), { ...data, updatedAt });
+    console.log('[Firebase] Share saved:', shareId);
+  } catch (error) {
+    console.error('[Firebase] Error saving share:', shareId, error);
+    throw error;
+  }
+}
+
+/** Apply published-book writes: [{ type: 'add'|'remove', id, data }], batched like writeBooks */
+export async function writeSharedBooks(shareId, operations) {
+  try {
+    for (let start = 0; start < operations.length; start += MAX_BATCH_WRITES) {
+      const batch = writeBatch(db);
+      operations.slice(start, start + MAX_BATCH_WRITES).forEach(({ type, id, data }) => {
+        const bookRef = doc(db, 'shares', shareId, 'books', id);
+        if (type === 'add') batch.set(bookRef, data);
+        else if (type === 'remove') batch.delete(bookRef);
+      });
+      await batch.commit();
+    }
+    console.log('[Firebase] Published', operations.length, 'shared book changes');
+  } catch (error) {
+    console.error('[Firebase] Error publishing shared books:', error);
+    throw error;
+  }
+}
+
+export async function getSharedBooks(shareId) {
+  try {
+    const snapshot = await getDocs(collection(db, 'shares', shareId, 'books'));
+    const books = [];
+    snapshot.forEach(bookDoc => books.push(bookDoc.data()));
+    console.log('[Firebase] Fetched', books.length, 'shared books');
+    return books;
+  } catch (error) {
+    console.error('[Firebase] Error fetching shared books:', error);
+    throw error;
+  }
+}
+
+export async function addBorrowRequest(shareId, request) {
+  try {
+    const ref = await addDoc(collection(db, 'shares', shareId, 'requests'), request);
+    console.log('[Firebase] Borrow request sent:', ref.id);
+    return ref.id;
+  } catch (error) {
+    console.error('[Firebase] Error sending borrow request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Listen for borrow requests on a share (owner only).
+ * `onChange` receives every open request as [{ id, ...request }], oldest first.
+ */
+export function subscribeBorrowRequests(shareId, onChange, onError = () => {}) {
+  return onSnapshot(collection(db, 'shares', shareId, 'requests'), (snapshot) => {
+    const requests = snapshot.docs
+      .map(requestDoc => ({ id: requestDoc.id, ...requestDoc.data() }))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    onChange(requests);
+  }, (error) => {
+    console.error('[Firebase] Borrow request listener error:', error);
+    onError(error);
+  });
+}
+
+export async function removeBorrowRequest(shareId, requestId) {
+  try {
+    await deleteDoc(doc(db, 'shares', shareId, 'requests', requestId));
+    console.log('[Firebase] Borrow request removed:', requestId);
+  } catch (error) {
+    console.error('[Firebase] Error removing borrow request:', error);
+    throw error;
+  }
+}
+
 export { auth, db };
@@ -0,0 +1,42 @@
+/** Minimal promise helpers around the native IndexedDB API */
+
+// Wrap an IDBRequest in a promise
+export function promisifyRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Resolve once a transaction has committed
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open (and upgrade if needed) a database.
+ * `upgrade(db, oldVersion, tx)` runs inside the versionchange transaction.
+ */
+export function openDatabase(name, version, upgrade) {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this environment'));
+  }
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, version);
+    req.onupgradeneeded = (event) => {
+      upgrade?.(req.result, event.oldVersion, req.transaction);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => console.warn('[IDB] Open blocked for database:', name);
+  });
+}
+
+export async function deleteDatabase(name) {
+  if (typeof indexedDB === 'undefined') return;
+  await promisifyRequest(indexedDB.deleteDatabase(name));
+}
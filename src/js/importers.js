@@ -0,0 +1,175 @@
+/**
+ * Importers for library exports from other book apps (Goodreads, StoryGraph).
+ * Each one knows its app's CSV column layout and turns rows into the same
+ * { line, book, errors, warnings, lookupIsbn, searchQuery, wantToRead } entries the
+ * generic CSV import uses, so both share the preview, matching and row report.
+ */
+
+import { extractVolumeNumber } from './api.js';
+import { authorFields } from './authors.js';
+import { normalizeIsbn } from './isbn.js';
+import { toIsoDate, generateImportId, rowLine } from './csv.js';
+
+/**
+ * Strip spreadsheet formula wrappers from an exported ISBN.
+ * Goodreads writes ISBNs as ="0679783261" (and ="" when there is none) so Excel keeps
+ * leading zeros.
+ */
+export function cleanSpreadsheetIsbn(value) {
+  return String(value ?? '').trim().replace(/^="?/, '').replace(/"$/, '').trim();
+}
+
+/**
+ * Split a series suffix off a title: "Iron Flame (The Empyrean, #2)" ->
+ * { title: 'Iron Flame', series: 'The Empyrean', seriesNumber: 2 }.
+ * Titles without a suffix come back unchanged with a null series.
+ */
+export function parseSeriesFromTitle(rawTitle) {
+  const title = String(rawTitle || '').trim();
+  const suffix = title.match(/\s*\(([^()]*#\s*\d[^()]*)\)\s*$/);
+  if (!suffix) return { title, series: null, seriesNumber: null };
+  const series = suffix[1].replace(/,?\s*#.*$/, '').trim();
+  return {
+    title: title.slice(0, suffix.index).trim(),
+    series: series || null,
+    seriesNumber: extractVolumeNumber(`(${suffix[1]})`)
+  };
+}
+
+// Both apps write dates as YYYY/MM/DD; StoryGraph lists reads as "start-finish, start-finish"
+function parseDates(text) {
+  return String(text || '')
+    .split(/\s*,\s*/)
+    .map(part => part.match(/(\d{4}[/-]\d{1,2}[/-]\d{1,2})\s*$/)?.[1] || part)
+    .map(toIsoDate)
+    .filter(Boolean);
+}
+
+const splitShelves = (text) => String(text || '').split(/\s*,\s*/).map(s => s.trim()).filter(Boolean);
+
+// Shelf/status names -> the readStatus values Library Buddy stores
+const READ_STATUSES = {
+  'read': 'read',
+  'currently-reading': 'currently-reading',
+  'to-read': 'to-read',
+  'did-not-finish': 'did-not-finish',
+  'dnf': 'did-not-finish'
+};
+
+/**
+ * Build an import entry from the fields an app export provides.
+ * Rows with an ISBN are matched by ISBN; rows without one are matched by title and author.
+ */
+function toEntry(line, fields) {
+  const errors = [];
+  const warnings = [];
+  const { title, series, seriesNumber } = parseSeriesFromTitle(fields.title);
+  const book = { title, ...authorFields(fields.authors) };
+
+  for (const raw of fields.isbns) {
+    const cleaned = cleanSpreadsheetIsbn(raw);
+    if (!cleaned) continue;
+    const parsed = normalizeIsbn(cleaned);
+    if (parsed.ok) {
+      book.isbn = parsed.isbn13;
+      break;
+    }
+    // StoryGraph puts its own ids in ISBN/UID for books without an ISBN
+    if (/^[\dXx\s-]{8,}$/.test(cleaned)) warnings.push(parsed.reason);
+  }
+
+  if (series) {
+    book.series = series;
+    if (seriesNumber != null) book.seriesNumber = seriesNumber;
+  }
+
+  const status = READ_STATUSES[String(fields.status || '').toLowerCase()];
+  if (status) book.readStatus = status;
+  if (fields.readDates.length) book.readDates = [...new Set(fields.readDates)].sort();
+
+  // Status shelves become readStatus; everything else is kept as tags
+  const tags = fields.shelves.filter(shelf => !READ_STATUSES[shelf.toLowerCase()]);
+  if (tags.length) book.tags = [...new Set(tags)];
+
+  if (fields.format) book.format = fields.format;
+  if (fields.publisher) book.publisher = fields.publisher;
+  if (fields.publishedDate) book.publishedDate = fields.publishedDate;
+  if (/^\d+$/.test(fields.pageCount || '') && Number(fields.pageCount) > 0) book.pageCount = Number(fields.pageCount);
+  if (fields.notes) book.notes = fields.notes;
+  const addedAt = toIsoDate(fields.addedAt);
+  if (addedAt) book.addedAt = addedAt;
+
+  if (!title) errors.push('Missing title');
+  book.id = book.isbn || generateImportId();
+  if (!book.author) delete book.author;
+  if (!book.authors?.length) delete book.authors;
+
+  return {
+    line,
+    book,
+    errors,
+    warnings,
+    lookupIsbn: book.isbn || null,
+    searchQuery: book.isbn || !title ? null : { title, author: book.authors?.[0]?.name || '' },
+    wantToRead: status === 'to-read'
+  };
+}
+
+function columnReader(headers) {
+  const index = new Map(headers.map((h, i) => [String(h).trim().toLowerCase(), i]));
+  return (row, name) => {
+    const i = index.get(name.toLowerCase());
+    return i == null ? '' : String(row[i] ?? '').trim();
+  };
+}
+
+/** Goodreads "Export Library" CSV */
+function goodreadsEntries(rows, headers) {
+  const get = columnReader(headers);
+  return rows.map((row, i) => toEntry(rowLine(row, i), {
+    title: get(row, 'Title'),
+    authors: [get(row, 'Author'), ...splitShelves(get(row, 'Additional Authors'))].filter(Boolean),
+    isbns: [get(row, 'ISBN13'), get(row, 'ISBN')],
+    status: get(row, 'Exclusive Shelf'),
+    shelves: splitShelves(get(row, 'Bookshelves')),
+    readDates: parseDates(get(row, 'Date Read')),
+    format: get(row, 'Binding'),
+    publisher: get(row, 'Publisher'),
+    publishedDate: get(row, 'Original Publication Year') || get(row, 'Year Published'),
+    pageCount: get(row, 'Number of Pages'),
+    notes: get(row, 'Private Notes'),
+    addedAt: get(row, 'Date Added')
+  }));
+}
+
+/** StoryGraph "Export StoryGraph Library" CSV */
+function storygraphEntries(rows, headers) {
+  const get = columnReader(headers);
+  return rows.map((row, i) => toEntry(rowLine(row, i), {
+    title: get(row, 'Title'),
+    authors: get(row, 'Authors'),
+    isbns: [get(row, 'ISBN/UID')],
+    status: get(row, 'Read Status'),
+    shelves: splitShelves(get(row, 'Tags')),
+    readDates: parseDates(get(row, 'Dates Read') || get(row, 'Last Date Read')),
+    format: get(row, 'Format'),
+    publisher: '',
+    publishedDate: '',
+    pageCount: '',
+    notes: '',
+    addedAt: get(row, 'Date Added')
+  }));
+}
+
+export const IMPORT_SOURCES = {
+  goodreads: { label: 'Goodreads', toEntries: goodreadsEntries },
+  storygraph: { label: 'StoryGraph', toEntries: storygraphEntries }
+};
+
+/** Which app produced a CSV, judged by its header row ('goodreads'|'storygraph'|null) */
+export function detectImportSource(headers = []) {
+  const names = new Set(headers.map(h => String(h).trim().toLowerCase()));
+  if (names.has('book id') && names.has('exclusive shelf')) return 'goodreads';
+  if (names.has('isbn/uid') && names.has('read status')) return 'storygraph';
+  return null;
+}
@@ -0,0 +1,136 @@
+/**
+ * ISBN validation and normalization.
+ * Handles ISBN-10 and ISBN-13 (checksums, hyphens, 10 <-> 13 conversion), barcodes with
+ * EAN-5/EAN-2 price add-ons, and tells book barcodes apart from other EAN/UPC product codes.
+ */
+
+// EAN-13 prefixes reserved for books ("Bookland"); 979-0 is ISMN (printed music)
+const BOOKLAND_PREFIXES = ['978', '979'];
+const ISMN_PREFIX = '9790';
+
+/** Strip "ISBN" labels, hyphens and spaces; uppercase a trailing x */
+export function cleanIsbn(input) {
+  return String(input ?? '')
+    .trim()
+    .replace(/^isbn(-1[03])?:?\s*/i, '')
+    .replace(/[\s‐-―-]/g, '')
+    .toUpperCase();
+}
+
+function isbn10CheckDigit(first9) {
+  const sum = first9.split('').reduce((acc, d, i) => acc + Number(d) * (10 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+function ean13CheckDigit(first12) {
+  const sum = first12.split('').reduce((acc, d, i) => acc + Number(d) * (i % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+export function isValidIsbn10(value) {
+  const s = cleanIsbn(value);
+  return /^\d{9}[\dX]$/.test(s) && isbn10CheckDigit(s.slice(0, 9)) === s[9];
+}
+
+/** Valid EAN-13 checksum with a Bookland (978/979) prefix */
+export function isValidIsbn13(value) {
+  const s = cleanIsbn(value);
+  return /^\d{13}$/.test(s) &&
+    BOOKLAND_PREFIXES.includes(s.slice(0, 3)) &&
+    !s.startsWith(ISMN_PREFIX) &&
+    ean13CheckDigit(s.slice(0, 12)) === s[12];
+}
+
+/** ISBN-10 -> ISBN-13, or null when the input isn't a valid ISBN-10 */
+export function isbn10To13(value) {
+  const s = cleanIsbn(value);
+  if (!isValidIsbn10(s)) return null;
+  const first12 = `978${s.slice(0, 9)}`;
+  return first12 + ean13CheckDigit(first12);
+}
+
+/**
+ * ISBN-13 -> ISBN-10, or null when there is no ISBN-10 form.
+ * Only 978 ISBNs have one; 979 ISBNs were never issued as ISBN-10.
+ */
+export function isbn13To10(value) {
+  const s = cleanIsbn(value);
+  if (!isValidIsbn13(s) || !s.startsWith('978')) return null;
+  const first9 = s.slice(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+}
+
+/** ISBN-13 for an ISBN-10 or ISBN-13 (null when it is neither) */
+export function toIsbn13(value) {
+  const s = cleanIsbn(value);
+  if (isValidIsbn13(s)) return s;
+  return isbn10To13(s);
+}
+
+/**
+ * Split a scanned barcode into the main code and an optional EAN-5/EAN-2 add-on.
+ * Scanners report add-ons either separated ("9780735219090 51799") or run together
+ * (18 or 15 digits).
+ */
+export function splitAddOn(raw) {
+  const text = String(raw ?? '').trim();
+  const separated = text.match(/^(\d{13})[\s-]+(\d{2}|\d{5})$/);
+  if (separated) return { code: separated[1], addOn: separated[2] };
+  const digits = text.replace(/\s/g, '');
+  if (/^\d{18}$/.test(digits) || /^\d{15}$/.test(digits)) {
+    return { code: digits.slice(0, 13), addOn: digits.slice(13) };
+  }
+  return { code: text, addOn: null };
+}
+
+/** Decode an EAN-5 price add-on ("51799" -> { currency: 'USD', amount: 17.99 }) */
+export function parsePriceAddOn(addOn) {
+  if (!addOn || addOn.length !== 5 || addOn === '90000') return null;
+  const currencies = { 0: 'GBP', 1: 'GBP', 3: 'AUD', 4: 'NZD', 5: 'USD', 6: 'CAD' };
+  const currency = currencies[addOn[0]];
+  if (!currency) return null;
+  return { currency, amount: Number(addOn.slice(1)) / 100 };
+}
+
+/**
+ * Validate and normalize typed or scanned input.
+ * Returns { ok: true, isbn13, isbn10, addOn } or { ok: false, reason } with a message
+ * suitable for showing to the user.
+ */
+export function normalizeIsbn(input) {
+  const { code, addOn } = splitAddOn(input);
+  const s = cleanIsbn(code);
+
+  if (!s) return { ok: false, reason: 'Please enter an ISBN' };
+
+  if (s.length === 10) {
+    if (!/^\d{9}[\dX]$/.test(s)) return { ok: false, reason: `"${input}" is not an ISBN - an ISBN-10 has 9 digits followed by a digit or X` };
+    if (!isValidIsbn10(s)) return { ok: false, reason: `${s} is not a valid ISBN-10 (the check digit doesn't match - check for a typo)` };
+    return { ok: true, isbn13: isbn10To13(s), isbn10: s, addOn };
+  }
+
+  if (!/^\d+$/.test(s)) {
+    return { ok: false, reason: `"${input}" is not an ISBN - it should contain only digits (and a final X for ISBN-10)` };
+  }
+
+  if (s.length === 12 || s.length === 8) {
+    return { ok: false, reason: `That's a ${s.length === 12 ? 'UPC' : 'EAN-8'} product barcode, not an ISBN. Look for the barcode starting with 978 or 979, usually on the back cover.` };
+  }
+
+  if (s.length !== 13) {
+    return { ok: false, reason: `"${input}" is not an ISBN - ISBNs have 10 or 13 digits` };
+  }
+
+  if (ean13CheckDigit(s.slice(0, 12)) !== s[12]) {
+    return { ok: false, reason: `${s} failed the barcode checksum - try scanning again or check for a typo` };
+  }
+  if (s.startsWith(ISMN_PREFIX)) {
+    return { ok: false, reason: `${s} is a printed-music code (ISMN), not a book ISBN` };
+  }
+  if (!BOOKLAND_PREFIXES.includes(s.slice(0, 3))) {
+    return { ok: false, reason: `${s} is a product barcode, not a book ISBN (book barcodes start with 978 or 979)` };
+  }
+
+  return { ok: true, isbn13: s, isbn10: isbn13To10(s), addOn };
+}
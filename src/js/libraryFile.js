@@ -0,0 +1,247 @@
+/**
+ * Library export files: a versioned envelope around the book list, schema validation with
+ * readable errors, and the dry-run diff shown before an import writes anything.
+ *
+ * Envelope (schemaVersion 1):
+ *   { format: 'library-buddy', schemaVersion, exportedAt, appVersion, books: [...] }
+ * Files from before the envelope existed are a bare array of books and read as schemaVersion 0.
+ */
+
+import { findMatches, mergeBooks } from './duplicates.js';
+
+export const LIBRARY_FORMAT = 'library-buddy';
+export const SCHEMA_VERSION = 1;
+export const APP_VERSION = import.meta.env.VITE_APP_VERSION || 'dev';
+
+// Stop listing problems after this many; the rest are summarized
+const MAX_REPORTED_ERRORS = 25;
+
+const STRING_FIELDS = ['isbn', 'author', 'series', 'genre', 'coverUrl', 'spineColor', 'notes', 'format', 'publisher', 'publishedDate', 'workKey', 'copyOf', 'readStatus', 'addedAt', 'updatedAt', 'availability'];
+const NUMBER_FIELDS = ['seriesNumber', 'pageCount'];
+const STRING_LIST_FIELDS = ['tags', 'subjects', 'readDates'];
+// Bookkeeping fields that don't count as a change when comparing a book to the library
+const IGNORED_IN_DIFF = new Set(['id', 'updatedAt', 'sources']);
+
+/** Wrap books in the current export envelope */
+export function createExportEnvelope(books, extra = {}) {
+  return {
+    format: LIBRARY_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    appVersion: APP_VERSION,
+    ...extra,
+    books
+  };
+}
+
+function describe(book, index) {
+  const title = book && typeof book.title === 'string' && book.title.trim() ? ` ("${book.title.trim()}")` : '';
+  return `Book ${index + 1}${title}`;
+}
+
+function typeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  return typeof value === 'string' ? `"${value.length > 30 ? `${value.slice(0, 30)}...` : value}"` : typeof value;
+}
+
+/** Problems with one book record (empty when it's valid) */
+export function validateBook(book, index = 0) {
+  const label = describe(book, index);
+  if (!book || typeof book !== 'object' || Array.isArray(book)) return [`${label}: should be an object, got ${typeName(book)}`];
+
+  const errors = [];
+  const id = book.id ?? book.isbn;
+  if (typeof id !== 'string' || !id.trim()) errors.push(`${label}: needs an "id" or "isbn"`);
+  if (typeof book.title !== 'string' || !book.title.trim()) errors.push(`${label}: needs a "title"`);
+
+  STRING_FIELDS.forEach(field => {
+    if (book[field] != null && typeof book[field] !== 'string') {
+      errors.push(`${label}: "${field}" should be text, got ${typeName(book[field])}`);
+    }
+  });
+  NUMBER_FIELDS.forEach(field => {
+    if (book[field] != null && !Number.isFinite(book[field])) {
+      errors.push(`${label}: "${field}" should be a number, got ${typeName(book[field])}`);
+    }
+  });
+  STRING_LIST_FIELDS.forEach(field => {
+    if (book[field] != null && (!Array.isArray(book[field]) || book[field].some(v => typeof v !== 'string'))) {
+      errors.push(`${label}: "${field}" should be a list of text values`);
+    }
+  });
+  if (book.customSpineColor != null && typeof book.customSpineColor !== 'boolean') {
+    errors.push(`${label}: "customSpineColor" should be true or false`);
+  }
+  if (book.authors != null) {
+    const valid = Array.isArray(book.authors) && book.authors.every(a => typeof a === 'string' || (a && typeof a.name === 'string'));
+    if (!valid) errors.push(`${label}: "authors" should be a list of names`);
+  }
+  if (book.borrowers != null) {
+    if (!Array.isArray(book.borrowers)) {
+      errors.push(`${label}: "borrowers" should be a list`);
+    } else {
+      book.borrowers.forEach((borrower, i) => {
+        if (!borrower || typeof borrower.name !== 'string' || !borrower.name.trim()) {
+          errors.push(`${label}: borrower ${i + 1} needs a "name"`);
+        } else if (['date', 'dueDate', 'returnDate'].some(key => borrower[key] != null && typeof borrower[key] !== 'string')) {
+          errors.push(`${label}: borrower ${i + 1} (${borrower.name}) has dates that aren't text`);
+        } else if (borrower.notes != null && typeof borrower.notes !== 'string') {
+          errors.push(`${label}: borrower ${i + 1} (${borrower.name}) has notes that aren't text`);
+        }
+      });
+    }
+  }
+  if (book.availability != null && !['lost', 'reserved'].includes(book.availability)) {
+    errors.push(`${label}: "availability" should be "lost" or "reserved", got "${book.availability}"`);
+  }
+  if (book.holds != null) {
+    const valid = Array.isArray(book.holds) && book.holds.every(hold => hold && typeof hold.name === 'string' && hold.name.trim());
+    if (!valid) errors.push(`${label}: "holds" should be a list of people with a "name"`);
+  }
+  return errors;
+}
+
+/**
+ * Read and validate an export file.
+ * Returns { info: { schemaVersion, exportedAt, appVersion }, books, envelope, errors } -
+ * when `errors` isn't empty nothing in the file should be imported.
+ */
+export function parseLibraryFile(text) {
+  const fail = (message) => ({ info: null, books: [], envelope: null, errors: [message] });
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return fail(`This file isn't valid JSON (${error.message}). Was it edited by hand or cut off while downloading?`);
+  }
+
+  let envelope;
+  if (Array.isArray(data)) {
+    envelope = { schemaVersion: 0, books: data };
+  } else if (data && typeof data === 'object') {
+    envelope = data;
+    if (envelope.format !== LIBRARY_FORMAT) {
+      return fail('This JSON file is not a Library Buddy export (it has no "format": "library-buddy" marker).');
+    }
+    if (!Number.isInteger(envelope.schemaVersion) || envelope.schemaVersion < 1) {
+      return fail(`This export has an invalid schema version (${typeName(envelope.schemaVersion)}).`);
+    }
+    if (envelope.schemaVersion > SCHEMA_VERSION) {
+      return fail(`This export was made by a newer Library Buddy (schema version ${envelope.schemaVersion}; this app reads up to ${SCHEMA_VERSION}). Update the app and try again.`);
+    }
+    if (!Array.isArray(envelope.books)) {
+      return fail('This export has no "books" list.');
+    }
+  } else {
+    return fail('This file should contain a Library Buddy export or a list of books.');
+  }
+
+  const errors = envelope.books.flatMap((book, index) => validateBook(book, index));
+
+  const reported = errors.length > MAX_REPORTED_ERRORS
+    ? [...errors.slice(0, MAX_REPORTED_ERRORS), `...and ${errors.length - MAX_REPORTED_ERRORS} more problems`]
+    : errors;
+
+  return {
+    info: {
+      schemaVersion: envelope.schemaVersion,
+      exportedAt: envelope.exportedAt || null,
+      appVersion: envelope.appVersion || null
+    },
+    books: envelope.books,
+    envelope,
+    errors: reported
+  };
+}
+
+// Fields of `incoming` that differ from `existing`
+function changedFields(existing, incoming) {
+  return Object.keys(incoming).filter(field =>
+    !IGNORED_IN_DIFF.has(field) && JSON.stringify(existing[field] ?? null) !== JSON.stringify(incoming[field] ?? null)
+  );
+}
+
+/**
+ * Dry run: what importing `books` into `library` would do.
+ * Returns { add: [book], update: [{ id, book, existing, fields }], skip: [{ book, reason }] }.
+ * Books with the same id update the stored copy unless nothing changed or the library's
+ * copy was edited more recently. Books that look like one already stored under another id
+ * (same ISBN-10/13 or title and author) are skipped, or merged into it with `mergeDuplicates`.
+ */
+export function diffImport(books, library, { mergeDuplicates = false } = {}) {
+  const byId = new Map(library.map(book => [book.id || book.isbn, book]));
+  const diff = { add: [], update: [], skip: [] };
+  // One update per library book, even when several file entries touch it
+  const updates = new Map();
+  const seenIds = new Set();
+
+  const queueUpdate = (id, book, existing) => {
+    const fields = changedFields(existing, book);
+    if (fields.length === 0) return false;
+    const entry = { id, book, existing, fields };
+    if (updates.has(id)) Object.assign(updates.get(id), entry);
+    else {
+      updates.set(id, entry);
+      diff.update.push(entry);
+    }
+    return true;
+  };
+
+  books.forEach(raw => {
+    const id = raw.id || raw.isbn;
+    const book = { ...raw, id };
+    if (seenIds.has(id)) {
+      diff.skip.push({ book, reason: 'Appears more than once in the file' });
+      return;
+    }
+    seenIds.add(id);
+
+    const existing = byId.get(id);
+    if (existing) {
+      if (existing.updatedAt && book.updatedAt && existing.updatedAt > book.updatedAt) {
+        diff.skip.push({ book, reason: 'Your library has a newer version' });
+      } else if (!queueUpdate(id, { ...(updates.get(id)?.book || existing), ...book }, existing)) {
+        diff.skip.push({ book, reason: 'Already up to date' });
+      }
+      return;
+    }
+
+    const match = findMatches(book, library)[0];
+    if (!match) {
+      diff.add.push(book);
+      return;
+    }
+    const target = match.book;
+    const targetId = target.id || target.isbn;
+    if (!mergeDuplicates) {
+      diff.skip.push({ book, reason: `Looks like "${target.title}" already in your library` });
+      return;
+    }
+    const combined = { ...mergeBooks(updates.get(targetId)?.book || target, book), id: targetId };
+    if (!queueUpdate(targetId, combined, target)) {
+      diff.skip.push({ book, reason: `Nothing new for "${target.title}"` });
+    }
+  });
+
+  return diff;
+}
+
+/** Storage writes for a diff (see storage.writeBooks) */
+export function diffToOperations(diff) {
+  // The adapter stamps a fresh updatedAt on every write
+  const withoutStamp = (book) => {
+    const data = { ...book };
+    delete data.updatedAt;
+    return data;
+  };
+  return [
+    ...diff.add.map(book => ({ type: 'add', id: book.id, data: withoutStamp(book) })),
+    ...diff.update.map(({ id, book, fields }) => ({
+      type: 'update',
+      id,
+      data: Object.fromEntries(fields.map(field => [field, book[field] ?? null]))
+    }))
+  ];
+}
@@ -0,0 +1,200 @@
+/**
+ * Lending ledger.
+ * Loans live in each book's `borrowers` list as
+ * { id, name, borrowerId?, date, dueDate?, notes?, returnDate? } (dates are YYYY-MM-DD);
+ * a loan without a returnDate is still out. Every book document is one physical copy with an
+ * availability: on loan while it has an active loan, otherwise 'available' or whatever the
+ * owner set in `book.availability` ('lost', 'reserved'). People waiting for a copy are kept
+ * in `book.holds` as { id, name, borrowerId?, requestedAt }.
+ * These helpers collect the active loans across the library, work out what's overdue, decide
+ * whether a copy can be lent and build the reminders shown when the app opens.
+ */
+
+export const DEFAULT_LOAN_DAYS = 21;
+// Loans due within this many days are mentioned in reminders
+export const DUE_SOON_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/** Today as YYYY-MM-DD in local time */
+export function today() {
+  return isoDate(new Date());
+}
+
+/** Due date `days` after a YYYY-MM-DD borrow date */
+export function defaultDueDate(date, days = DEFAULT_LOAN_DAYS) {
+  const [y, m, d] = String(date || today()).split('-').map(Number);
+  return isoDate(new Date(y, m - 1, d + days));
+}
+
+/** Whole days from `from` to `to` (both YYYY-MM-DD); negative when `to` is earlier */
+export function daysBetween(from, to) {
+  const parse = (value) => {
+    const [y, m, d] = value.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  return Math.round((parse(to) - parse(from)) / DAY_MS);
+}
+
+/** Copy states, in the order the library card offers them */
+export const AVAILABILITY = {
+  available: 'Available',
+  'on-loan': 'On loan',
+  lost: 'Lost',
+  reserved: 'Reserved'
+};
+// States the owner sets by hand ('on-loan' always comes from the loans themselves)
+const MANUAL_AVAILABILITY = ['lost', 'reserved'];
+
+const randomId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+export const createLoanId = () => randomId('loan');
+export const createHoldId = () => randomId('hold');
+
+/**
+ * Loans with an id on each. Loans recorded before loans had ids get one derived from who
+ * borrowed it and when, so every device (and every re-read) derives the same id.
+ */
+export function withLoanIds(borrowers = []) {
+  const used = new Set(borrowers.map(loan => loan.id).filter(Boolean));
+  return borrowers.map(loan => {
+    if (loan.id) return loan;
+    const who = String(loan.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'someone';
+    const base = `loan-${who}-${loan.date || 'undated'}`;
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+    return { ...loan, id };
+  });
+}
+
+/** Position of a loan in book.borrowers by id, -1 when it's gone */
+export function findLoanIndex(book, loanId) {
+  return withLoanIds(book.borrowers).findIndex(loan => loan.id === loanId);
+}
+
+/** Latest loan of a book that hasn't been returned, or null */
+export function activeLoan(book) {
+  return [...(book.borrowers || [])].reverse().find(b => !b.returnDate) || null;
+}
+
+export function isOverdue(loan, on = today()) {
+  return Boolean(loan && !loan.returnDate && loan.dueDate && loan.dueDate < on);
+}
+
+/** 'available', 'on-loan', 'lost' or 'reserved' for one copy */
+export function copyAvailability(book) {
+  if (activeLoan(book)) return 'on-loan';
+  return MANUAL_AVAILABILITY.includes(book.availability) ? book.availability : 'available';
+}
+
+/**
+ * Why a copy can't be lent right now, or null when it can.
+ * { status, message, canHold } - a hold makes sense for a copy that's out or reserved,
+ * not for a lost one.
+ */
+export function lendingBlock(book) {
+  const status = copyAvailability(book);
+  const title = `"${book.title || 'Untitled'}"`;
+  switch (status) {
+    case 'on-loan': {
+      const loan = activeLoan(book);
+      return { status, canHold: true, message: `${title} is already on loan to ${loan.name}${loan.dueDate ? ` (due ${loan.dueDate})` : ''}.` };
+    }
+    case 'reserved':
+      return { status, canHold: true, message: `${title} is reserved.` };
+    case 'lost':
+      return { status, canHold: false, message: `${title} is marked as lost.` };
+    default:
+      return null;
+  }
+}
+
+/** Hold entry for someone waiting for a copy */
+export function createHold({ name, borrowerId }, requestedAt = today()) {
+  const hold = { id: createHoldId(), name, requestedAt };
+  if (borrowerId) hold.borrowerId = borrowerId;
+  return hold;
+}
+
+/** Whether a hold (or loan) is for this directory person, by id or by name for older ones */
+export function isSamePerson(entry, { id, name }) {
+  if (entry.borrowerId && id) return entry.borrowerId === id;
+  return String(entry.name || '').toLowerCase() === String(name || '').toLowerCase();
+}
+
+/** Holds with one moved `delta` places (-1 = up the queue), unchanged at either end */
+export function moveHold(holds = [], holdId, delta) {
+  const from = holds.findIndex(hold => hold.id === holdId);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= holds.length) return holds;
+  const next = [...holds];
+  [next[from], next[to]] = [next[to], next[from]];
+  return next;
+}
+
+/** Holds without the one with this id */
+export function removeHold(holds = [], holdId) {
+  return holds.filter(hold => hold.id !== holdId);
+}
+
+/** Whoever is first in line for a book, or null */
+export function nextHold(book) {
+  return book.holds?.[0] || null;
+}
+
+/**
+ * Every loan that's still out, soonest due first (loans without a due date go last).
+ * Entries are { book, loan, index, daysLeft, overdue }; `loan.id` identifies it for a
+ * return, `index` is its position in book.borrowers when listed and `daysLeft` is null when
+ * there's no due date.
+ */
+export function listActiveLoans(books, on = today()) {
+  const entries = [];
+  books.forEach(book => {
+    withLoanIds(book.borrowers).forEach((loan, index) => {
+      if (loan.returnDate) return;
+      entries.push({
+        book,
+        loan,
+        index,
+        daysLeft: loan.dueDate ? daysBetween(on, loan.dueDate) : null,
+        overdue: isOverdue(loan, on)
+      });
+    });
+  });
+  return entries.sort((a, b) => {
+    if (!a.loan.dueDate || !b.loan.dueDate) return (a.loan.dueDate ? 0 : 1) - (b.loan.dueDate ? 0 : 1);
+    return a.loan.dueDate.localeCompare(b.loan.dueDate) || String(a.loan.date).localeCompare(String(b.loan.date));
+  });
+}
+
+/** "due in 3 days", "due today", "2 days overdue", or '' without a due date */
+export function describeDue(entry) {
+  const { daysLeft } = entry;
+  if (daysLeft == null) return '';
+  if (daysLeft === 0) return 'due today';
+  if (daysLeft === 1) return 'due tomorrow';
+  if (daysLeft > 0) return `due in ${daysLeft} days`;
+  return `${-daysLeft} day${daysLeft === -1 ? '' : 's'} overdue`;
+}
+
+/**
+ * Reminder text for loans that are overdue or due within DUE_SOON_DAYS, or null when
+ * there's nothing to remind about.
+ */
+export function loanReminder(books, on = today()) {
+  const loans = listActiveLoans(books, on);
+  const overdue = loans.filter(entry => entry.overdue);
+  const dueSoon = loans.filter(entry => !entry.overdue && entry.daysLeft != null && entry.daysLeft <= DUE_SOON_DAYS);
+  if (!overdue.length && !dueSoon.length) return null;
+
+  const line = (entry) => `"${entry.book.title || 'Untitled'}" with ${entry.loan.name} (${describeDue(entry)})`;
+  const parts = [];
+  if (overdue.length) parts.push(`Overdue: ${overdue.map(line).join('; ')}.`);
+  if (dueSoon.length) parts.push(`Due soon: ${dueSoon.map(line).join('; ')}.`);
+  return { overdue: overdue.length, dueSoon: dueSoon.length, message: parts.join(' ') };
+}
@@ -0,0 +1,136 @@
+/**
+ * Print-ready HTML for the library: a catalog listing, spine labels, or QR stickers.
+ * Takes the shelf sections in display order (ui.js getShelfSections) so the printout
+ * follows the current sort mode and search filter. The output is a standalone document
+ * with its own styles and a Print button that is hidden on paper.
+ */
+
+import { bookLink } from './qr.js';
+
+export const PRINT_LAYOUTS = {
+  catalog: 'Catalog (covers, series and loan status)',
+  spines: 'Spine labels',
+  qr: 'QR stickers'
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+const bookId = (book) => book.id || book.isbn;
+
+function seriesLabel(book) {
+  if (!book.series) return '';
+  return book.seriesNumber != null ? `${book.series} #${book.seriesNumber}` : book.series;
+}
+
+// Latest loan that hasn't been returned
+function loanStatus(book) {
+  const loan = [...(book.borrowers || [])].reverse().find(b => !b.returnDate);
+  if (!loan) return { onLoan: false, text: 'Available' };
+  return { onLoan: true, text: `On loan to ${loan.name}${loan.date ? ` since ${loan.date}` : ''}${loan.dueDate ? `, due ${loan.dueDate}` : ''}` };
+}
+
+function catalogBody(sections, { includeCovers }) {
+  return sections.map(({ label, books }) => `
+    <section>
+      ${label ? `<h2>${escapeHtml(label)}</h2>` : ''}
+      <table>
+        <tbody>
+          ${books.map(book => {
+            const status = loanStatus(book);
+            return `<tr>
+              ${includeCovers ? `<td class="cover">${book.coverUrl ? `<img src="${escapeHtml(book.coverUrl)}" alt="">` : ''}</td>` : ''}
+              <td class="book">
+                <a href="${escapeHtml(bookLink(bookId(book)))}">${escapeHtml(book.title || 'Untitled')}</a>
+                <div class="author">${escapeHtml(book.author || 'Unknown author')}</div>
+              </td>
+              <td class="series">${escapeHtml(seriesLabel(book))}</td>
+              <td class="status${status.onLoan ? ' on-loan' : ''}">${escapeHtml(status.text)}</td>
+            </tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+    </section>`).join('');
+}
+
+function spineLabels(books) {
+  return `<div class="sheet spines">${books.map(book => `
+    <div class="spine-label">
+      <span class="spine-title">${escapeHtml(book.title || 'Untitled')}</span>
+      <span class="spine-author">${escapeHtml(book.authors?.[0]?.sortName?.split(',')[0] || book.author || '')}</span>
+      ${book.series ? `<span class="spine-series">${escapeHtml(seriesLabel(book))}</span>` : ''}
+    </div>`).join('')}
+  </div>`;
+}
+
+function qrStickers(books, qrCodes) {
+  return `<div class="sheet stickers">${books.map(book => `
+    <div class="qr-sticker">
+      ${qrCodes.get(bookId(book)) || ''}
+      <span class="sticker-title">${escapeHtml(book.title || 'Untitled')}</span>
+      ${book.series ? `<span class="sticker-series">${escapeHtml(seriesLabel(book))}</span>` : ''}
+    </div>`).join('')}
+  </div>`;
+}
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; margin: 0; padding: 16px; }
+  header { margin-bottom: 16px; }
+  h1 { margin: 0; font-size: 1.6rem; }
+  header p { margin: 4px 0 0; color: #555; font-size: 0.9rem; }
+  h2 { font-size: 1.1rem; border-bottom: 1px solid #999; margin: 18px 0 6px; break-after: avoid; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+  tr { break-inside: avoid; border-bottom: 1px solid #ddd; }
+  td { padding: 4px 6px; vertical-align: middle; }
+  td.cover { width: 40px; }
+  td.cover img { width: 34px; height: 50px; object-fit: cover; display: block; }
+  td.book a { color: inherit; text-decoration: none; font-weight: bold; }
+  .author { color: #444; }
+  td.series { width: 28%; }
+  td.status { width: 26%; }
+  td.status.on-loan { font-weight: bold; }
+  .sheet { display: flex; flex-wrap: wrap; gap: 4mm; }
+  .spine-label { width: 22mm; height: 70mm; border: 1px dashed #888; padding: 2mm; writing-mode: vertical-rl; display: flex; gap: 2mm; overflow: hidden; break-inside: avoid; font-size: 9pt; }
+  .spine-title { font-weight: bold; flex: 1; overflow: hidden; }
+  .spine-author, .spine-series { font-size: 8pt; }
+  .qr-sticker { width: 40mm; border: 1px dashed #888; padding: 2mm; text-align: center; break-inside: avoid; font-size: 8pt; display: flex; flex-direction: column; gap: 1mm; }
+  .qr-sticker svg { width: 34mm; height: 34mm; margin: 0 auto; }
+  .sticker-title { font-weight: bold; }
+  .toolbar { position: sticky; top: 0; background: #fff; padding-bottom: 8px; }
+  .toolbar button { font-size: 1rem; padding: 6px 16px; }
+  @page { margin: 12mm; }
+  @media print { .toolbar { display: none; } body { padding: 0; } }
+`;
+
+/**
+ * Standalone HTML document for printing.
+ * `sections` are [{ label, books }]; `qrCodes` maps book id -> QR SVG (needed for 'qr').
+ */
+export function buildPrintDocument({ sections, layout = 'catalog', title = 'Library Catalog', subtitle = '', includeCovers = true, qrCodes = new Map() }) {
+  const books = sections.flatMap(section => section.books);
+  const onLoan = books.filter(book => loanStatus(book).onLoan).length;
+
+  let body;
+  if (layout === 'spines') body = spineLabels(books);
+  else if (layout === 'qr') body = qrStickers(books, qrCodes);
+  else body = catalogBody(sections, { includeCovers });
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print</button></div>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${books.length} book${books.length === 1 ? '' : 's'}${layout === 'catalog' ? ` · ${onLoan} on loan` : ''} · ${escapeHtml(new Date().toLocaleDateString())}${subtitle ? ` · ${escapeHtml(subtitle)}` : ''}</p>
+</header>
+${body}
+</body>
+</html>`;
+}
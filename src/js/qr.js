@@ -0,0 +1,67 @@
+/**
+ * Book links and QR codes.
+ * Every book has a link back into the app (`#book=<id>`), which is what printed QR stickers
+ * encode. The QR encoder is loaded from a CDN the first time it's needed, like the ZXing
+ * scanner fallback.
+ */
+
+const QR_ENCODER_URL = 'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/+esm';
+const BOOK_HASH = /(?:^|[#&])book=([^&]+)/;
+
+let encoder = null;
+
+async function loadEncoder() {
+  if (!encoder) {
+    const mod = await import(QR_ENCODER_URL);
+    encoder = mod.default || mod.qrcode || mod;
+  }
+  return encoder;
+}
+
+/** Link that opens a book in this app */
+export function bookLink(id) {
+  const base = typeof location !== 'undefined' ? `${location.origin}${location.pathname}` : '';
+  return `${base}#book=${encodeURIComponent(id)}`;
+}
+
+/** Book id from a book link (or just its `#book=...` hash), null for anything else */
+export function parseBookLink(text) {
+  const match = String(text || '').trim().match(BOOK_HASH);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]) || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * SVG markup for a QR code of `text`.
+ * Drawn as one path of dark modules so it stays sharp at any print size.
+ */
+export async function qrSvg(text, { margin = 2 } = {}) {
+  const qrcode = await loadEncoder();
+  const qr = qrcode(0, 'M'); // 0 = smallest version that fits
+  qr.addData(text);
+  qr.make();
+
+  const count = qr.getModuleCount();
+  const size = count + margin * 2;
+  let path = '';
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.isDark(row, col)) path += `M${col + margin} ${row + margin}h1v1h-1z`;
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+/** QR SVGs for many books, keyed by book id */
+export async function bookQrCodes(books) {
+  const codes = new Map();
+  for (const book of books) {
+    const id = book.id || book.isbn;
+    codes.set(id, await qrSvg(bookLink(id)));
+  }
+  return codes;
+}
@@ -0,0 +1,109 @@
+/**
+ * Metadata resolver: asks several providers about an ISBN and merges their answers
+ * field by field using per-field precedence rules.
+ *
+ * A provider is { name, lookup(isbn) } where lookup resolves to a partial record
+ * (any of RESOLVED_FIELDS) or null when it doesn't know the book.
+ */
+
+export const RESOLVED_FIELDS = [
+  'title', 'authors', 'coverUrl', 'pageCount', 'publisher', 'publishedDate', 'subjects', 'series', 'seriesNumber',
+  'workKey', 'format'
+];
+
+// Which provider to trust first for each field; providers not listed are tried afterwards
+export const DEFAULT_PRECEDENCE = {
+  title: ['openlibrary', 'googlebooks'],
+  authors: ['googlebooks', 'openlibrary'], // Open Library often has empty/"TBD" authors on new releases
+  coverUrl: ['openlibrary', 'googlebooks'],
+  pageCount: ['openlibrary', 'googlebooks'],
+  publisher: ['openlibrary', 'googlebooks'],
+  publishedDate: ['googlebooks', 'openlibrary'],
+  subjects: ['openlibrary', 'googlebooks'],
+  series: ['openlibrary', 'googlebooks'],
+  // Number comes from the same provider as the series name when possible (see below)
+  seriesNumber: ['openlibrary', 'googlebooks'],
+  // Open Library work key ("/works/OL...W") ties editions of the same book together
+  workKey: ['openlibrary'],
+  format: ['openlibrary', 'googlebooks']
+};
+
+function hasValue(value) {
+  if (value == null) return false;
+  if (typeof value === 'string') return value.trim() !== '' && value !== 'TBD';
+  if (Array.isArray(value)) return value.some(hasValue);
+  return true;
+}
+
+function orderFor(field, providers, precedence) {
+  const preferred = precedence[field] || [];
+  const names = providers.map(p => p.name);
+  return [...preferred.filter(name => names.includes(name)), ...names.filter(name => !preferred.includes(name))];
+}
+
+/**
+ * Merge provider records. Returns { fields, sources } where sources maps each field
+ * to the provider that supplied it.
+ */
+export function mergeRecords(recordsByProvider, providers, precedence = DEFAULT_PRECEDENCE) {
+  const fields = {};
+  const sources = {};
+
+  for (const field of RESOLVED_FIELDS) {
+    for (const name of orderFor(field, providers, precedence)) {
+      const value = recordsByProvider[name]?.[field];
+      if (hasValue(value)) {
+        fields[field] = Array.isArray(value) ? value.filter(hasValue) : value;
+        sources[field] = name;
+        break;
+      }
+    }
+  }
+
+  // Keep series name and number consistent: prefer the number from the series' own provider
+  if (sources.series) {
+    const ownNumber = recordsByProvider[sources.series]?.seriesNumber;
+    if (hasValue(ownNumber)) {
+      fields.seriesNumber = ownNumber;
+      sources.seriesNumber = sources.series;
+    }
+  }
+
+  return { fields, sources };
+}
+
+/**
+ * Create a resolver over the given providers.
+ * resolve(isbn) -> { fields, sources, errors } or null when no provider knows the book.
+ * Throws the first provider error when every provider failed (e.g. offline).
+ */
+export function createResolver({ providers = [], precedence = DEFAULT_PRECEDENCE } = {}) {
+  return {
+    providers,
+    async resolve(isbn) {
+      const settled = await Promise.allSettled(providers.map(provider => provider.lookup(isbn)));
+
+      const recordsByProvider = {};
+      const errors = {};
+      settled.forEach((outcome, i) => {
+        const name = providers[i].name;
+        if (outcome.status === 'fulfilled') {
+          if (outcome.value) recordsByProvider[name] = outcome.value;
+        } else {
+          errors[name] = outcome.reason;
+          console.warn(`[Resolver] ${name} lookup failed for ${isbn}:`, outcome.reason);
+        }
+      });
+
+      if (Object.keys(recordsByProvider).length === 0) {
+        const failures = Object.values(errors);
+        if (failures.length === providers.length && failures.length > 0) throw failures[0];
+        return null;
+      }
+
+      const { fields, sources } = mergeRecords(recordsByProvider, providers, precedence);
+      console.log('[Resolver] Resolved', isbn, 'from', sources);
+      return { fields, sources, errors };
+    }
+  };
+}
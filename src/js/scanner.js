@@ -4,9 +4,13 @@
  * 1) Prefer the native BarcodeDetector API (fast, no overlays)
  * 2) Fallback to ZXing (@zxing/browser) decoding directly from the provided video element
  * 3) Provide OCR helpers as a last resort
+ * Besides ISBN barcodes it reads the QR stickers Library Buddy prints for each book.
  */
 
-let listeners = { isbn: [] };
+import { normalizeIsbn } from './isbn.js';
+import { parseBookLink } from './qr.js';
+
+let listeners = { isbn: [], invalid: [], bookQr: [] };
 let running = false;
 let rafId = null;
 let pauseUntil = 0;
@@ -15,14 +19,41 @@ let pauseUntil = 0;
 let zxingReader = null;
 let zxingControls = null;
 
+// Last rejected code, so a non-book barcode held in view is only reported once
+let lastInvalid = { code: null, at: 0 };
+const INVALID_REPEAT_MS = 10000;
+// Last book QR, so a sticker held in view doesn't reopen its book every scan
+let lastBookQr = { id: null, at: 0 };
+
 export function onIsbnDetected(fn) { listeners.isbn.push(fn); }
 
-function emitIsbn(code) {
+/** Called with (code, reason) when a scanned barcode isn't a valid book ISBN */
+export function onInvalidBarcode(fn) { listeners.invalid.push(fn); }
+
+/** Called with the book id when a Library Buddy book QR code is scanned */
+export function onBookQrDetected(fn) { listeners.bookQr.push(fn); }
+
+function emitCode(code) {
   if (!code) return;
-  // Basic ISBN/EAN-13 guard
-  if (/^\d{13}$/.test(code)) {
-    listeners.isbn.forEach((fn) => fn(code));
+  const now = Date.now();
+  const bookId = parseBookLink(code);
+  if (bookId) {
+    if (lastBookQr.id === bookId && now - lastBookQr.at < INVALID_REPEAT_MS) return;
+    lastBookQr = { id: bookId, at: now };
+    listeners.bookQr.forEach((fn) => fn(bookId));
+    return;
+  }
+  const result = normalizeIsbn(code);
+  if (result.ok) {
+    listeners.isbn.forEach((fn) => fn(result.isbn13));
+    return;
   }
+  if (lastInvalid.code === code && now - lastInvalid.at < INVALID_REPEAT_MS) return;
+  lastInvalid = { code, at: now };
+  // Text that could never be an ISBN came from some other QR code or barcode
+  const reason = /^[\dXx\s-]+$/.test(code) ? result.reason : 'That code is not a book ISBN or a Library Buddy book sticker.';
+  console.warn('[Scanner] Rejected barcode:', code, reason);
+  listeners.invalid.forEach((fn) => fn(code, reason));
 }
 
 async function tryBarcodeDetector(videoEl) {
@@ -36,7 +67,7 @@ async function tryBarcodeDetector(videoEl) {
   } catch (_) {
     // ignore
   }
-  const preferred = ['ean_13', 'ean_8', 'upc_a', 'isbn'];
+  const preferred = ['ean_13', 'ean_8', 'upc_a', 'isbn', 'qr_code'];
   const useFormats = formats?.length ? preferred.filter((f) => formats.includes(f)) : ['ean_13'];
   if (!useFormats.length) useFormats.push('ean_13');
 
@@ -52,7 +83,7 @@ async function tryBarcodeDetector(videoEl) {
       if (codes && codes.length) {
         const text = codes[0]?.rawValue || codes[0]?.raw || '';
         if (text) {
-          emitIsbn(text);
+          emitCode(text);
           // Pause briefly to prevent floods
           pauseUntil = Date.now() + 2000;
         }
@@ -79,7 +110,7 @@ async function tryZXing(videoEl) {
       videoEl,
       (result, err, controls) => {
         if (result) {
-          emitIsbn(result.getText());
+          emitCode(result.getText());
           // Pause scans for a bit
           pauseUntil = Date.now() + 2000;
         }
@@ -0,0 +1,340 @@
+/**
+ * Client-side library search: an in-memory index over the books with typo-tolerant,
+ * ranked matching and field operators. Nothing here touches storage, so results can be
+ * recomputed on every keystroke.
+ *
+ * Query syntax:
+ *   iron flame               words are matched against title, author, series, genre and tags
+ *                            (every word has to match somewhere)
+ *   author:sanderson         field operators: author, title, series, genre, tag, isbn
+ *   series:"stormlight"      quotes keep several words together as one value
+ *   borrowed:yes             currently lent out (borrowed:no for books on the shelf)
+ *   number:<3                series number: <, <=, >, >=, =, or a range like 2..4
+ *   status:unread            reading status: read, unread, reading, to-read, dnf
+ *   added:this-month         date added: today, this-week, this-month, this-year,
+ *                            last-30-days, a month (2024-05) or a comparison (>=2024-05-01)
+ *   missing:yes              in a series where the library is missing a volume
+ *   -genre:horror            a leading minus excludes books that match
+ */
+
+import { getBookAuthors } from './authors.js';
+import { knownVolumeNumbers } from './series.js';
+
+// How much a match in each field counts towards a book's rank
+const FIELD_WEIGHTS = { title: 3, series: 2.5, author: 2, genre: 1, tags: 1 };
+const TEXT_FIELDS = { title: 'title', author: 'author', series: 'series', genre: 'genre', tag: 'tags', tags: 'tags' };
+const YES = new Set(['yes', 'y', 'true', 'out', 'lent']);
+const NO = new Set(['no', 'n', 'false', 'in', 'available']);
+// status: values -> the readStatus values they accept
+const STATUSES = {
+  read: ['read'],
+  unread: [undefined, null, '', 'to-read', 'currently-reading', 'did-not-finish'],
+  reading: ['currently-reading'],
+  'currently-reading': ['currently-reading'],
+  'to-read': ['to-read'],
+  dnf: ['did-not-finish'],
+  'did-not-finish': ['did-not-finish']
+};
+
+/** Lowercase, accent-free text with punctuation turned into spaces */
+export function normalizeText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const tokenize = (text) => normalizeText(text).split(' ').filter(Boolean);
+
+// Typos allowed for a word of this length
+function maxEdits(length) {
+  if (length < 3) return 0;
+  return length < 7 ? 1 : 2;
+}
+
+// Edit distance (with transpositions), giving up once it's over `limit`
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      best = Math.min(best, row[j]);
+    }
+    if (best > limit) return limit + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * How well one query word matches one indexed word (0 = not at all).
+ * Exact words beat prefixes (so results appear while typing), which beat typos.
+ * Both words must already be normalized (see normalizeText).
+ */
+export function wordScore(term, token) {
+  if (token === term) return 1;
+  if (token.startsWith(term)) return 0.8;
+  const limit = maxEdits(term.length);
+  if (!limit) return 0;
+  const distance = editDistance(term, token, limit);
+  if (distance <= limit) return 0.7 - 0.15 * distance;
+  // A typo in a word that's still being typed
+  if (token.length > term.length && editDistance(term, token.slice(0, term.length), limit) <= limit) return 0.4;
+  return 0;
+}
+
+// Best match for a word among a field's tokens: { score, token }
+function matchInField(term, tokens) {
+  let best = { score: 0, token: null };
+  for (const token of tokens) {
+    const score = wordScore(term, token);
+    if (score > best.score) best = { score, token };
+    if (score === 1) break;
+  }
+  return best;
+}
+
+// Has a loan that hasn't been returned
+// Books in a shared library only say whether they're out (sharing.js), not who has them
+const isLentOut = (book) => book.shareStatus ? book.shareStatus === 'on-loan' : (book.borrowers || []).some(b => !b.returnDate);
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Earliest YYYY-MM-DD date a relative date name covers (null when it isn't one)
+function relativeStart(name, now = new Date()) {
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  switch (name) {
+    case 'today': return isoDate(day);
+    case 'this-week': {
+      // Weeks start on Monday
+      day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+      return isoDate(day);
+    }
+    case 'this-month': return isoDate(new Date(day.getFullYear(), day.getMonth(), 1));
+    case 'this-year': return `${day.getFullYear()}-01-01`;
+    default: {
+      const days = name.match(/^last-(\d+)-days?$/);
+      if (!days) return null;
+      day.setDate(day.getDate() - Number(days[1]));
+      return isoDate(day);
+    }
+  }
+}
+
+// Comparison filters that don't use the text index; `entry` is the book's index entry
+const FILTERS = {
+  borrowed(book, value) {
+    const wanted = value.toLowerCase();
+    if (YES.has(wanted)) return isLentOut(book);
+    if (NO.has(wanted)) return !isLentOut(book);
+    return false;
+  },
+  number(book, value) {
+    const number = Number(book.seriesNumber);
+    if (book.seriesNumber == null || !Number.isFinite(number)) return false;
+    const range = value.match(/^(\d+(?:\.\d+)?)\s*(?:\.\.|-)\s*(\d+(?:\.\d+)?)$/);
+    if (range) return number >= Number(range[1]) && number <= Number(range[2]);
+    const comparison = value.match(/^(<=|>=|<|>|=)?\s*(\d+(?:\.\d+)?)$/);
+    if (!comparison) return false;
+    const target = Number(comparison[2]);
+    switch (comparison[1]) {
+      case '<': return number < target;
+      case '<=': return number <= target;
+      case '>': return number > target;
+      case '>=': return number >= target;
+      default: return number === target;
+    }
+  },
+  isbn(book, value) {
+    const digits = value.replace(/[^\dXx]/g, '').toUpperCase();
+    return Boolean(digits) && [book.isbn, book.id].some(id => String(id || '').toUpperCase().includes(digits));
+  },
+  status(book, value) {
+    return (STATUSES[value.toLowerCase()] || []).includes(book.readStatus);
+  },
+  added(book, value) {
+    const added = book.addedAt;
+    if (!added) return false;
+    const name = value.toLowerCase();
+    const start = relativeStart(name);
+    if (start) return added >= start;
+    if (/^\d{4}(-\d{2})?$/.test(name)) return added.startsWith(name);
+    const comparison = name.match(/^(<=|>=|<|>|=)?(\d{4}-\d{2}-\d{2})$/);
+    if (!comparison) return false;
+    const target = comparison[2];
+    switch (comparison[1]) {
+      case '<': return added < target;
+      case '<=': return added <= target;
+      case '>': return added > target;
+      case '>=': return added >= target;
+      default: return added === target;
+    }
+  },
+  missing(book, value, entry) {
+    const wanted = value.toLowerCase();
+    const missing = entry.missingVolumes.length > 0;
+    if (YES.has(wanted)) return missing;
+    if (NO.has(wanted)) return !missing;
+    return false;
+  }
+};
+
+/**
+ * Split a query into free words and field filters.
+ * Returns { terms: [{ words, negate }], filters: [{ field, value, negate }] }.
+ */
+export function parseQuery(query) {
+  const terms = [];
+  const filters = [];
+  const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))?/gi;
+  const text = String(query || '');
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (!match[0]) {
+      pattern.lastIndex++;
+      if (pattern.lastIndex > text.length) break;
+      continue;
+    }
+    const [, minus, rawField, quoted, bare] = match;
+    const negate = minus === '-';
+    const field = rawField?.toLowerCase();
+    const value = (quoted ?? bare ?? '').trim();
+    if (field && (TEXT_FIELDS[field] || FILTERS[field])) {
+      // A field still being typed ("author:") filters nothing yet
+      if (value) filters.push({ field, value, negate });
+      continue;
+    }
+    // Unknown "field:" prefixes are just part of the text
+    const words = tokenize(rawField ? `${rawField} ${value}` : value);
+    if (words.length) terms.push({ words, negate });
+  }
+  return { terms, filters };
+}
+
+/** True when a query has nothing to filter by yet (blank, or only a half-typed "field:") */
+export function isEmptyQuery(query) {
+  const { terms, filters } = parseQuery(query);
+  return !terms.length && !filters.length;
+}
+
+/**
+ * Volume numbers missing from each series in the library: the gaps below the highest
+ * volume owned, plus any volume a series rule knows about. Returns Map(series -> [numbers]).
+ */
+export function findMissingVolumes(books) {
+  const owned = new Map();
+  books.forEach(book => {
+    const number = Number(book.seriesNumber);
+    if (!book.series || book.seriesNumber == null || !Number.isFinite(number)) return;
+    if (!owned.has(book.series)) owned.set(book.series, new Set());
+    owned.get(book.series).add(number);
+  });
+
+  const missing = new Map();
+  owned.forEach((numbers, series) => {
+    const highest = Math.max(...numbers);
+    const expected = new Set(knownVolumeNumbers(series));
+    for (let n = 1; n <= highest; n++) expected.add(n);
+    const gaps = [...expected].filter(n => !numbers.has(n)).sort((a, b) => a - b);
+    if (gaps.length) missing.set(series, gaps);
+  });
+  return missing;
+}
+
+/** Build the search index for a list of books */
+export function createSearchIndex(books) {
+  const missingVolumes = findMissingVolumes(books);
+  return books.map(book => {
+    const authors = getBookAuthors(book).flatMap(a => [a.name, a.sortName]);
+    const fields = {
+      title: tokenize(book.title),
+      author: [...new Set(authors.flatMap(tokenize))],
+      series: tokenize(book.series),
+      genre: tokenize(book.genre),
+      tags: (book.tags || []).flatMap(tokenize)
+    };
+    return { book, fields, title: normalizeText(book.title), missingVolumes: missingVolumes.get(book.series) || [] };
+  });
+}
+
+/**
+ * Run a query against an index.
+ * Returns [{ book, score, matches: { title: Set, author: Set, ... } }] best match first;
+ * `matches` holds the indexed words each field matched (used to highlight spines).
+ */
+export function searchIndex(index, query) {
+  const { terms, filters } = parseQuery(query);
+  if (!terms.length && !filters.length) return [];
+  const phrase = normalizeText(query);
+
+  const results = [];
+  for (const entry of index) {
+    const matches = {};
+    const record = (field, token) => {
+      if (!matches[field]) matches[field] = new Set();
+      matches[field].add(token);
+    };
+    let score = 0;
+    let keep = true;
+
+    for (const filter of filters) {
+      let hit;
+      if (FILTERS[filter.field]) {
+        hit = FILTERS[filter.field](entry.book, filter.value, entry);
+      } else {
+        // Every word of the value has to match the field
+        const field = TEXT_FIELDS[filter.field];
+        const found = tokenize(filter.value).map(word => matchInField(word, entry.fields[field]));
+        hit = found.length > 0 && found.every(m => m.score > 0);
+        if (hit && !filter.negate) {
+          found.forEach(m => record(field, m.token));
+          score += found.reduce((sum, m) => sum + m.score, 0) * (FIELD_WEIGHTS[field] || 1);
+        }
+      }
+      if (hit === filter.negate) { keep = false; break; }
+    }
+    if (!keep) continue;
+
+    for (const term of terms) {
+      let termScore = 0;
+      const termMatches = [];
+      for (const word of term.words) {
+        let best = { score: 0, field: null, token: null };
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+          const m = matchInField(word, entry.fields[field]);
+          if (m.score * weight > best.score) best = { score: m.score * weight, field, token: m.token };
+        }
+        if (!best.score) { termScore = 0; break; }
+        termScore += best.score;
+        termMatches.push(best);
+      }
+      if ((termScore > 0) === term.negate) { keep = false; break; }
+      if (!term.negate) {
+        score += termScore;
+        termMatches.forEach(m => record(m.field, m.token));
+      }
+    }
+    if (!keep) continue;
+
+    // The whole query typed as the title ranks first
+    if (phrase && entry.title === phrase) score += 5;
+    else if (phrase && entry.title.startsWith(phrase)) score += 1;
+    results.push({ book: entry.book, score, matches, exact: entry.title === phrase });
+  }
+
+  return results.sort((a, b) =>
+    b.score - a.score || String(a.book.title || '').localeCompare(String(b.book.title || ''))
+  );
+}
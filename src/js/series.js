@@ -0,0 +1,102 @@
+/**
+ * Series detection driven by declarative rules.
+ * Built-in rules live in data/seriesCatalog.json; users can add their own, which are
+ * stored with their library and checked before the built-ins.
+ *
+ * Rule shape:
+ *   { name, author?, match: ['substring', ...], volumes: [{ number, pattern }] }
+ * A title belongs to the series when it contains any `match` substring (case-insensitive).
+ * Volumes are checked in order and the first `pattern` (a case-insensitive regex) that
+ * matches gives the series number.
+ */
+
+import catalog from './data/seriesCatalog.json';
+
+function compileRule(rule) {
+  const volumes = [];
+  for (const volume of rule.volumes || []) {
+    try {
+      volumes.push({ number: Number(volume.number), regex: new RegExp(volume.pattern, 'i') });
+    } catch (error) {
+      console.warn('[Series] Skipping invalid volume pattern in', rule.name, volume.pattern, error);
+    }
+  }
+  return {
+    rule,
+    match: (rule.match || []).map(m => String(m).toLowerCase()).filter(Boolean),
+    volumes
+  };
+}
+
+const builtInRules = catalog.series.map(compileRule);
+let customRules = [];
+
+/** Rules shipped with the app (read-only) */
+export function getBuiltInSeriesRules() {
+  return catalog.series;
+}
+
+export function getCustomSeriesRules() {
+  return customRules.map(compiled => compiled.rule);
+}
+
+/** Replace the user's custom rules (invalid rules are ignored) */
+export function setCustomSeriesRules(rules = []) {
+  customRules = (Array.isArray(rules) ? rules : [])
+    .filter(rule => validateSeriesRule(rule).length === 0)
+    .map(compileRule);
+  console.log('[Series] Loaded', customRules.length, 'custom series rules');
+}
+
+/** Return a list of human-readable problems with a rule (empty when valid) */
+export function validateSeriesRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return ['Rule must be an object'];
+  if (!rule.name || !String(rule.name).trim()) errors.push('Series name is required');
+  if (!Array.isArray(rule.match) || !rule.match.some(m => String(m).trim())) {
+    errors.push('At least one title keyword is required');
+  }
+  (rule.volumes || []).forEach((volume, i) => {
+    if (!Number.isFinite(Number(volume.number))) errors.push(`Volume ${i + 1}: number is not a number`);
+    try {
+      new RegExp(volume.pattern, 'i');
+    } catch (_) {
+      errors.push(`Volume ${i + 1}: "${volume.pattern}" is not a valid pattern`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Find the series a title belongs to.
+ * Returns { series, seriesNumber, author } or null when no rule matches.
+ */
+export function matchSeries(title) {
+  const titleLower = (title || '').toLowerCase();
+  if (!titleLower) return null;
+
+  for (const compiled of [...customRules, ...builtInRules]) {
+    if (!compiled.match.some(m => titleLower.includes(m))) continue;
+    const volume = compiled.volumes.find(v => v.regex.test(title));
+    return {
+      series: compiled.rule.name,
+      seriesNumber: volume ? volume.number : null,
+      author: compiled.rule.author || null
+    };
+  }
+  return null;
+}
+
+/** Known author for a series name, if a rule defines one */
+export function authorForSeries(seriesName) {
+  if (!seriesName) return null;
+  const compiled = [...customRules, ...builtInRules].find(c => c.rule.name === seriesName);
+  return compiled?.rule.author || null;
+}
+
+/** Volume numbers the rules know for a series (empty when no rule lists them) */
+export function knownVolumeNumbers(seriesName) {
+  if (!seriesName) return [];
+  const compiled = [...customRules, ...builtInRules].find(c => c.rule.name === seriesName);
+  return (compiled?.volumes || []).map(volume => volume.number).filter(Number.isFinite);
+}
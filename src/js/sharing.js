@@ -0,0 +1,105 @@
+/**
+ * Share links: an opt-in, read-only view of the shelves for friends.
+ * The owner's books stay private under users/{uid}; sharing publishes a trimmed copy of each
+ * book to shares/{shareId}/books (catalog details and whether it's free to borrow - never
+ * who has it, notes or history). Visitors open `#shared=<shareId>` and can send a borrow
+ * request, which lands in shares/{shareId}/requests for the owner's inbox.
+ * The share id is random, so the link is the only way in. firestore.rules enforces the same
+ * field lists and limits as this file.
+ */
+
+import { copyAvailability } from './loans.js';
+
+const SHARE_HASH = /(?:^|[#&])shared=([A-Za-z0-9]+)/;
+const SHARE_ID_LENGTH = 20;
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/** Book fields visitors can see (the rules reject anything else) */
+export const PUBLIC_BOOK_FIELDS = ['id', 'title', 'author', 'series', 'seriesNumber', 'genre', 'coverUrl', 'spineColor', 'format', 'publishedDate', 'shareStatus', 'waiting'];
+
+/** Longest values a borrow request may carry (mirrored in firestore.rules) */
+export const REQUEST_LIMITS = { name: 60, contact: 100, message: 500 };
+
+export function createShareId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(SHARE_ID_LENGTH));
+  return Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+}
+
+/** Link that opens the shared, read-only view of a library */
+export function shareLink(shareId) {
+  const base = typeof location !== 'undefined' ? `${location.origin}${location.pathname}` : '';
+  return `${base}#shared=${shareId}`;
+}
+
+/** Share id from a share link (or just its hash), null for anything else */
+export function parseShareLink(text) {
+  return String(text || '').match(SHARE_HASH)?.[1] || null;
+}
+
+/**
+ * What visitors see of a book: 'available', 'on-loan' or 'unavailable' (lost or reserved
+ * copies) plus how many people are waiting, but no names.
+ */
+export function publicBook(book) {
+  const status = copyAvailability(book);
+  const shared = {
+    id: book.id || book.isbn,
+    shareStatus: status === 'available' || status === 'on-loan' ? status : 'unavailable',
+    waiting: (book.holds || []).length
+  };
+  PUBLIC_BOOK_FIELDS.forEach(field => {
+    if (field in shared) return;
+    const value = book[field];
+    // Uploaded covers are stored inline and can be too large for a shared document
+    if (field === 'coverUrl' && String(value || '').startsWith('data:')) return;
+    if (value != null && value !== '') shared[field] = value;
+  });
+  return shared;
+}
+
+// Published books only hold plain values, and Firestore doesn't keep field order
+const sameFields = (a, b) => Boolean(a) && Object.keys(a).length === Object.keys(b).length && Object.keys(b).every(key => a[key] === b[key]);
+
+/**
+ * Writes that bring the published copy in line with the library:
+ * [{ type: 'add'|'remove', id, data }] for books that are new, changed or gone.
+ * `published` maps book id -> the public book last written.
+ */
+export function diffSharedBooks(books, published) {
+  const operations = [];
+  const current = new Map(books.map(book => {
+    const shared = publicBook(book);
+    return [shared.id, shared];
+  }));
+  current.forEach((shared, id) => {
+    if (!sameFields(published.get(id), shared)) operations.push({ type: 'add', id, data: shared });
+  });
+  published.forEach((_, id) => {
+    if (!current.has(id)) operations.push({ type: 'remove', id });
+  });
+  return operations;
+}
+
+/** Problems with a borrow request from a visitor (empty when it can be sent) */
+export function validateBorrowRequest({ name, contact = '', message = '' }) {
+  const errors = [];
+  const trimmed = String(name || '').trim();
+  if (!trimmed) errors.push('Please tell the owner who you are');
+  else if (trimmed.length > REQUEST_LIMITS.name) errors.push(`Name is too long (max ${REQUEST_LIMITS.name} characters)`);
+  if (contact.length > REQUEST_LIMITS.contact) errors.push(`Contact details are too long (max ${REQUEST_LIMITS.contact} characters)`);
+  if (message.length > REQUEST_LIMITS.message) errors.push(`Message is too long (max ${REQUEST_LIMITS.message} characters)`);
+  return errors;
+}
+
+/** Request document as written to shares/{shareId}/requests */
+export function createBorrowRequest({ name, contact = '', message = '' }, book) {
+  const request = {
+    bookId: book.id,
+    bookTitle: String(book.title || '').slice(0, 200),
+    name: name.trim(),
+    createdAt: new Date().toISOString()
+  };
+  if (contact.trim()) request.contact = contact.trim();
+  if (message.trim()) request.message = message.trim();
+  return request;
+}
@@ -0,0 +1,43 @@
+/**
+ * Smart shelves: named, saved search queries (search.js syntax) shown as tabs above the
+ * shelves. They're stored with the library (meta 'smartShelves') as [{ id, name, query }]
+ * and re-evaluated whenever the books change.
+ */
+
+import { isEmptyQuery } from './search.js';
+
+const MAX_NAME_LENGTH = 40;
+
+/** Shelves a library starts with until the user saves their own */
+export const DEFAULT_SMART_SHELVES = [
+  { id: 'lent-out', name: 'Lent out', query: 'borrowed:yes' },
+  { id: 'unread-fantasy', name: 'Unread fantasy', query: 'genre:fantasy status:unread' },
+  { id: 'missing-volumes', name: 'Missing volumes', query: 'missing:yes' },
+  { id: 'added-this-month', name: 'Added this month', query: 'added:this-month' }
+];
+
+/** Problems with a shelf (empty when it's valid) */
+export function validateSmartShelf(shelf) {
+  if (!shelf || typeof shelf !== 'object') return ['Shelf must be an object'];
+  const errors = [];
+  const name = typeof shelf.name === 'string' ? shelf.name.trim() : '';
+  if (!name) errors.push('Shelf name is required');
+  else if (name.length > MAX_NAME_LENGTH) errors.push(`Shelf name is too long (max ${MAX_NAME_LENGTH} characters)`);
+  if (typeof shelf.query !== 'string' || isEmptyQuery(shelf.query)) errors.push('Query is required (e.g. borrowed:yes)');
+  return errors;
+}
+
+/** Saved shelves, or the defaults for a library that never saved any (invalid ones are dropped) */
+export function readSmartShelves(saved) {
+  if (!Array.isArray(saved)) return DEFAULT_SMART_SHELVES;
+  return saved.filter(shelf => validateSmartShelf(shelf).length === 0);
+}
+
+/** New shelf with an id that isn't taken yet */
+export function createSmartShelf(name, query, existing = []) {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'shelf';
+  const taken = new Set(existing.map(shelf => shelf.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return { id, name: name.trim(), query: query.trim() };
+}
@@ -1,23 +1,77 @@
-/** storage and cache helpers using Firebase Firestore */
+/** storage and cache helpers backed by a pluggable adapter (Firestore or IndexedDB) */
 
-import { getCurrentUser, addBook as firebaseAddBook, getBooks as firebaseGetBooks, removeBook as firebaseRemoveBook, getBook as firebaseGetBook, updateBook as firebaseUpdateBook } from './firebase.js';
+import { createLocalAdapter } from './adapters/localAdapter.js';
+import { createSyncedAdapter } from './sync.js';
+import { persistentGet, persistentSet, purgeOtherVersions } from './cache.js';
 
 const memCache = new Map();
 
-// Get current user ID, throw error if not logged in
-function getUserId() {
-  const user = getCurrentUser();
-  if (!user) {
-    throw new Error('User not authenticated. Please log in to access your library.');
+const STORAGE_MODE_KEY = 'storageMode';
+export const STORAGE_MODES = { cloud: 'cloud', local: 'local' };
+
+// Explicit adapter set via setStorageAdapter (e.g. in tests); wins over the mode
+let adapterOverride = null;
+let localAdapter = null;
+let syncedAdapter = null;
+
+export function getStorageMode() {
+  try {
+    return localStorage.getItem(STORAGE_MODE_KEY) === STORAGE_MODES.local ? STORAGE_MODES.local : STORAGE_MODES.cloud;
+  } catch (_) {
+    return STORAGE_MODES.cloud;
+  }
+}
+
+export function setStorageMode(mode) {
+  const next = mode === STORAGE_MODES.local ? STORAGE_MODES.local : STORAGE_MODES.cloud;
+  try {
+    localStorage.setItem(STORAGE_MODE_KEY, next);
+  } catch (_) {
+    // localStorage unavailable (private mode / tests) - mode stays in effect for this session only
+  }
+  events.emit('storage:mode', next);
+  events.emit('books:changed');
+}
+
+export function isLocalMode() {
+  return getStorageMode() === STORAGE_MODES.local;
+}
+
+/**
+ * Replace the storage backend. Pass null to go back to the mode-selected adapter.
+ * Adapters implement addBook/getBooks/getBook/updateBook/removeBook/clear (and optionally
+ * writeBooks for batched writes, transactBook for server-checked updates and getMeta/setMeta).
+ */
+export function setStorageAdapter(adapter) {
+  adapterOverride = adapter;
+}
+
+async function getAdapter() {
+  if (adapterOverride) return adapterOverride;
+  if (isLocalMode()) {
+    if (!localAdapter) localAdapter = createLocalAdapter('local');
+    return localAdapter;
   }
-  return user.uid;
+  // Loaded lazily so the local adapter works without initializing Firebase
+  const { firestoreAdapter, getSignedInUserId } = await import('./adapters/firestoreAdapter.js');
+  const uid = getSignedInUserId();
+  // Signed out: the plain adapter throws the usual "not authenticated" error
+  if (!uid) return firestoreAdapter;
+  if (!syncedAdapter || syncedAdapter.owner !== uid) {
+    syncedAdapter = createSyncedAdapter(firestoreAdapter, {
+      owner: uid,
+      onPendingChange: (count) => events.emit('sync:pending', count),
+      onRemoteChange: () => events.emit('books:changed')
+    });
+  }
+  return syncedAdapter;
 }
 
 export const storage = {
   async addBook(book) {
     try {
-      const userId = getUserId();
-      await firebaseAddBook(userId, book);
+      const adapter = await getAdapter();
+      await adapter.addBook(book);
       events.emit('books:changed');
     } catch (error) {
       console.error('[Storage] Error adding book:', error);
@@ -26,8 +80,8 @@ export const storage = {
   },
   async getBooks() {
     try {
-      const userId = getUserId();
-      return await firebaseGetBooks(userId);
+      const adapter = await getAdapter();
+      return await adapter.getBooks();
     } catch (error) {
       console.error('[Storage] Error fetching books:', error);
       // Return empty array if not logged in
@@ -36,8 +90,8 @@ export const storage = {
   },
   async getBook(id) {
     try {
-      const userId = getUserId();
-      return await firebaseGetBook(userId, id);
+      const adapter = await getAdapter();
+      return await adapter.getBook(id);
     } catch (error) {
       console.error('[Storage] Error fetching book:', error);
       return null;
@@ -45,9 +99,35 @@ export const storage = {
   },
   async updateBook(id, updates) {
     try {
-      const userId = getUserId();
-      await firebaseUpdateBook(userId, id, updates);
+      const adapter = await getAdapter();
+      await adapter.updateBook(id, updates);
+      events.emit('books:changed');
+    } catch (error) {
+      console.error('[Storage] Error updating book:', error);
+      throw error;
+    }
+  },
+  /**
+   * Change one book based on its latest saved copy, writing only the fields that change.
+   * `change(book)` returns those fields or throws to abort (it may run more than once).
+   * Adapters with transactions re-run the check on the server; others re-read and update.
+   * Resolves with the updated book.
+   */
+  async transactBook(id, change) {
+    try {
+      const adapter = await getAdapter();
+      let book;
+      if (typeof adapter.transactBook === 'function') {
+        book = await adapter.transactBook(id, change);
+      } else {
+        const current = await adapter.getBook(id);
+        if (!current) throw new Error('This book is no longer in the library');
+        const updates = change(current);
+        await adapter.updateBook(id, updates);
+        book = { ...current, ...updates };
+      }
       events.emit('books:changed');
+      return book;
     } catch (error) {
       console.error('[Storage] Error updating book:', error);
       throw error;
@@ -56,8 +136,8 @@ export const storage = {
   async removeBook(id) {
     try {
       console.log('[Storage] removeBook called with id:', id);
-      const userId = getUserId();
-      await firebaseRemoveBook(userId, id);
+      const adapter = await getAdapter();
+      await adapter.removeBook(id);
       console.log('[Storage] Book deleted from database');
       events.emit('books:changed');
       console.log('[Storage] books:changed event emitted');
@@ -66,37 +146,180 @@ export const storage = {
       throw error;
     }
   },
-  async clear() {
+  /**
+   * Apply many writes at once: [{ type: 'add'|'update'|'remove', id, data }].
+   * Uses the adapter's batched write when it has one and emits a single change event.
+   */
+  async writeBooks(operations) {
     try {
-      const userId = getUserId();
-      const books = await firebaseGetBooks(userId);
-      // Delete all books one by one
-      for (const book of books) {
-        await firebaseRemoveBook(userId, book.id || book.isbn);
+      const adapter = await getAdapter();
+      if (typeof adapter.writeBooks === 'function') {
+        await adapter.writeBooks(operations);
+      } else {
+        for (const { type, id, data } of operations) {
+          if (type === 'add') await adapter.addBook({ ...data, id });
+          else if (type === 'update') await adapter.updateBook(id, data);
+          else if (type === 'remove') await adapter.removeBook(id);
+        }
       }
       events.emit('books:changed');
+    } catch (error) {
+      console.error('[Storage] Error writing books:', error);
+      throw error;
+    }
+  },
+  async clear() {
+    try {
+      const adapter = await getAdapter();
+      await adapter.clear();
+      events.emit('books:changed');
     } catch (error) {
       console.error('[Storage] Error clearing books:', error);
       throw error;
     }
   },
+  /** Read a library-wide setting stored alongside the books (null when unset) */
+  async getMeta(key) {
+    try {
+      const adapter = await getAdapter();
+      return (await adapter.getMeta?.(key)) ?? null;
+    } catch (error) {
+      console.error('[Storage] Error fetching setting:', key, error);
+      return null;
+    }
+  },
+  async setMeta(key, value) {
+    try {
+      const adapter = await getAdapter();
+      if (typeof adapter.setMeta !== 'function') throw new Error('This storage backend cannot save library settings');
+      await adapter.setMeta(key, value);
+      events.emit('meta:changed', { key, value });
+    } catch (error) {
+      console.error('[Storage] Error saving setting:', key, error);
+      throw error;
+    }
+  },
+  /**
+   * Keep a live copy of the library. `listener({ books, changes })` is called with the
+   * full book list plus the incremental changes ({ type: 'added'|'modified'|'removed', id, book })
+   * that produced it. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    const current = new Map();
+    let active = true;
+    let unsubscribe = () => {};
+
+    const deliver = (changes) => {
+      if (!active) return;
+      changes.forEach(change => {
+        if (change.type === 'removed') current.delete(change.id);
+        else current.set(change.id, { ...change.book, id: change.id });
+      });
+      listener({ books: Array.from(current.values()), changes });
+    };
+
+    (async () => {
+      try {
+        const adapter = await getAdapter();
+        if (!active) return;
+        if (typeof adapter.subscribe === 'function') {
+          unsubscribe = adapter.subscribe(deliver, (error) => console.error('[Storage] Live updates stopped:', error));
+          return;
+        }
+        // Adapters without live updates: re-read on every change and diff against what we had
+        const refresh = async () => deliver(diffBooks(current, await adapter.getBooks()));
+        events.on('books:changed', refresh);
+        unsubscribe = () => events.off('books:changed', refresh);
+        await refresh();
+      } catch (error) {
+        console.error('[Storage] Error subscribing to books:', error);
+      }
+    })();
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  },
+  /** Replay queued offline changes now (no-op for adapters without an outbox) */
+  async sync() {
+    try {
+      const adapter = await getAdapter();
+      await adapter.flush?.();
+    } catch (error) {
+      console.error('[Storage] Error syncing pending changes:', error);
+    }
+  },
+  /** Number of changes waiting to be sent to the cloud */
+  async getPendingCount() {
+    try {
+      const adapter = await getAdapter();
+      return (await adapter.pendingCount?.()) || 0;
+    } catch (_) {
+      return 0;
+    }
+  },
   async cacheSet(key, value, ttl) {
-    // Keep in-memory cache for API responses
+    // In-memory layer for this session, IndexedDB so lookups survive reloads
     memCache.set(key, { value, ts: Date.now(), ttl });
+    try {
+      await persistentSet(key, value, ttl);
+    } catch (error) {
+      console.warn('[Storage] Persistent cache unavailable, keeping entry in memory only:', error);
+    }
   },
-  async cacheGet(key) {
-    if (memCache.has(key)) {
-      const cached = memCache.get(key);
-      // Check if cache is still valid
-      if (!cached.ttl || (Date.now() - cached.ts) < cached.ttl) {
-        return cached;
+  /**
+   * Get a cached entry ({ value, ts, ttl }). Expired entries are skipped unless
+   * `allowStale` is set (useful as an offline fallback).
+   */
+  async cacheGet(key, { allowStale = false } = {}) {
+    const isFresh = (entry) => !entry.ttl || (Date.now() - entry.ts) < entry.ttl;
+
+    let cached = memCache.get(key) || null;
+    if (!cached) {
+      try {
+        cached = await persistentGet(key);
+        if (cached) memCache.set(key, { value: cached.value, ts: cached.ts, ttl: cached.ttl });
+      } catch (error) {
+        console.warn('[Storage] Persistent cache read failed:', error);
       }
-      memCache.delete(key);
     }
+
+    if (!cached) return null;
+    if (isFresh(cached) || allowStale) return cached;
     return null;
+  },
+  /** Drop cached lookups written under a different cache version */
+  async cachePurgeVersion(version) {
+    // memCache only lives for this session, so it never holds another version's entries
+    try {
+      return await purgeOtherVersions(version);
+    } catch (error) {
+      console.warn('[Storage] Could not purge persistent cache:', error);
+      return 0;
+    }
   }
 };
 
+// Compute added/modified/removed changes between a map of known books and a fresh list
+function diffBooks(knownById, books) {
+  const changes = [];
+  const seen = new Set();
+  books.forEach(book => {
+    const id = book.id || book.isbn;
+    seen.add(id);
+    const known = knownById.get(id);
+    if (!known) changes.push({ type: 'added', id, book });
+    else if (known.updatedAt !== book.updatedAt || JSON.stringify(known) !== JSON.stringify({ ...book, id })) {
+      changes.push({ type: 'modified', id, book });
+    }
+  });
+  knownById.forEach((_, id) => {
+    if (!seen.has(id)) changes.push({ type: 'removed', id, book: null });
+  });
+  return changes;
+}
+
 // Simple PubSub for UI updates
 export const events = (() => {
   const map = new Map();
@@ -0,0 +1,402 @@
+/**
+ * Offline-first sync for the cloud library.
+ * Writes go to a per-user IndexedDB mirror immediately (optimistic) and are queued in a
+ * persistent outbox. The outbox is replayed against Firestore, in order, whenever we're online.
+ * Conflicts are resolved last-writer-wins on the `updatedAt` stamp firebase.js writes.
+ */
+
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+import { createLocalAdapter } from './adapters/localAdapter.js';
+
+const OUTBOX_DB = 'library-buddy-outbox';
+const OUTBOX_VERSION = 1;
+const OUTBOX_STORE = 'mutations';
+const NETWORK_TIMEOUT_MS = 10000;
+// Backoff for retrying the outbox after a transient failure while still online
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+let outboxDBPromise = null;
+
+function getOutboxDB() {
+  if (!outboxDBPromise) {
+    outboxDBPromise = openDatabase(OUTBOX_DB, OUTBOX_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        const store = db.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+        store.createIndex('owner', 'owner');
+      }
+    }).catch((error) => {
+      outboxDBPromise = null;
+      throw error;
+    });
+  }
+  return outboxDBPromise;
+}
+
+/** Persistent, ordered queue of pending mutations for one owner (uid) */
+function createOutbox(owner) {
+  return {
+    async enqueue(mutation) {
+      const db = await getOutboxDB();
+      const tx = db.transaction(OUTBOX_STORE, 'readwrite');
+      tx.objectStore(OUTBOX_STORE).add({ ...mutation, owner });
+      await transactionDone(tx);
+    },
+    async list() {
+      const db = await getOutboxDB();
+      const tx = db.transaction(OUTBOX_STORE, 'readonly');
+      const entries = await promisifyRequest(tx.objectStore(OUTBOX_STORE).index('owner').getAll(owner));
+      return entries.sort((a, b) => a.seq - b.seq);
+    },
+    async remove(seq) {
+      const db = await getOutboxDB();
+      const tx = db.transaction(OUTBOX_STORE, 'readwrite');
+      tx.objectStore(OUTBOX_STORE).delete(seq);
+      await transactionDone(tx);
+    },
+    async count() {
+      const db = await getOutboxDB();
+      const tx = db.transaction(OUTBOX_STORE, 'readonly');
+      return promisifyRequest(tx.objectStore(OUTBOX_STORE).index('owner').count(owner));
+    }
+  };
+}
+
+function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+// Firestore promises can wait indefinitely while offline; give up after a while
+function withTimeout(promise, ms = NETWORK_TIMEOUT_MS) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error('Network request timed out');
+      error.code = 'timeout';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Firestore/network error codes that mean "try again later"; anything else (permission
+// errors, bad paths, plain exceptions) can never succeed and would block the outbox forever
+const RETRYABLE_CODES = ['timeout', 'unavailable', 'deadline-exceeded', 'resource-exhausted', 'unauthenticated', 'aborted'];
+
+function isRetryable(error) {
+  return RETRYABLE_CODES.includes(error?.code);
+}
+
+// True when the remote copy was written after our queued change was made
+function remoteIsNewer(remote, mutation) {
+  return Boolean(remote?.updatedAt && mutation.updatedAt && remote.updatedAt > mutation.updatedAt);
+}
+
+// Book ids a queued mutation touches (a batch touches many)
+function mutationIds(mutation) {
+  return mutation.type === 'batch' ? mutation.operations.map(op => op.id) : [mutation.id];
+}
+
+// Apply a queued mutation to an in-memory id -> book map
+function applyToMap(map, mutation) {
+  if (mutation.type === 'batch') {
+    mutation.operations.forEach(op => applyToMap(map, { ...op, updatedAt: mutation.updatedAt }));
+  } else if (mutation.type === 'add') {
+    map.set(mutation.id, { ...mutation.data, id: mutation.id, updatedAt: mutation.updatedAt });
+  } else if (mutation.type === 'update') {
+    map.set(mutation.id, { ...(map.get(mutation.id) || {}), ...mutation.data, id: mutation.id, updatedAt: mutation.updatedAt });
+  } else if (mutation.type === 'remove') {
+    map.delete(mutation.id);
+  }
+}
+
+/**
+ * Wrap a remote adapter (Firestore) with a local mirror and outbox.
+ * The result implements the same adapter interface plus flush() and pendingCount().
+ * `onPendingChange(count)` fires whenever the outbox size changes,
+ * `onRemoteChange()` when replay pulled newer data from the server into the mirror.
+ */
+export function createSyncedAdapter(remote, { owner, onPendingChange = () => {}, onRemoteChange = () => {} }) {
+  const mirror = createLocalAdapter(`cloud-${owner}`);
+  const outbox = createOutbox(owner);
+  let flushing = null;
+  // Set when a flush is requested while one is running, so entries queued meanwhile are replayed too
+  let rerun = false;
+  let retryTimer = null;
+  let retryDelay = RETRY_BASE_MS;
+
+  async function notifyPending() {
+    try {
+      onPendingChange(await outbox.count());
+    } catch (error) {
+      console.warn('[Sync] Could not count pending changes:', error);
+    }
+  }
+
+  async function queue(mutation) {
+    await outbox.enqueue({ ...mutation, updatedAt: new Date().toISOString() });
+    await notifyPending();
+    // Fire and forget - the write has already been applied locally
+    flush();
+  }
+
+  // Store the server's copy in the mirror as-is (its fields and updatedAt), or drop it if it's gone
+  function keepRemote(id, remoteCopy) {
+    return mirror.applyChanges([remoteCopy
+      ? { type: 'modified', id, book: remoteCopy }
+      : { type: 'removed', id, book: null }]);
+  }
+
+  async function replay(mutation) {
+    if (mutation.type === 'meta') {
+      // Settings are small whole-value writes - last queued value wins
+      await withTimeout(remote.setMeta(mutation.key, mutation.data, { updatedAt: mutation.updatedAt }));
+      return false;
+    }
+
+    if (mutation.type === 'batch') {
+      // One read of the library for the last-writer-wins check instead of one per book
+      const remoteById = new Map((await withTimeout(remote.getBooks())).map(book => [book.id || book.isbn, book]));
+      const stale = mutation.operations.filter(op => remoteIsNewer(remoteById.get(op.id), mutation));
+      const fresh = mutation.operations.filter(op => !stale.includes(op));
+      for (const op of stale) {
+        console.log('[Sync] Remote copy is newer, discarding queued', op.type, 'for', op.id);
+        await keepRemote(op.id, remoteById.get(op.id));
+      }
+      if (fresh.length) {
+        // Large imports commit in several batches, so allow more time than a single write
+        const timeout = NETWORK_TIMEOUT_MS * Math.max(1, Math.ceil(fresh.length / 500));
+        await withTimeout(remote.writeBooks(fresh, { updatedAt: mutation.updatedAt }), timeout);
+      }
+      return stale.length > 0;
+    }
+
+    const existing = await withTimeout(remote.getBook(mutation.id));
+    if (remoteIsNewer(existing, mutation)) {
+      // Someone else changed this book after we did - keep theirs
+      console.log('[Sync] Remote copy is newer, discarding queued', mutation.type, 'for', mutation.id);
+      await keepRemote(mutation.id, existing);
+      return true;
+    }
+
+    const options = { updatedAt: mutation.updatedAt };
+    if (mutation.type === 'add') {
+      await withTimeout(remote.addBook(mutation.data, options));
+    } else if (mutation.type === 'update') {
+      await withTimeout(remote.updateBook(mutation.id, mutation.data, options));
+    } else if (mutation.type === 'remove') {
+      await withTimeout(remote.removeBook(mutation.id));
+    }
+    return false;
+  }
+
+  function scheduleRetry() {
+    if (retryTimer) return;
+    const delay = retryDelay;
+    retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+    console.warn('[Sync] Retrying pending changes in', delay / 1000, 's');
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      flush();
+    }, delay);
+  }
+
+  /**
+   * Replay queued mutations in order until the outbox is empty. A retryable failure pauses
+   * replay; while online it's retried with backoff, otherwise the next `online` event resumes it.
+   */
+  function flush() {
+    if (flushing) {
+      rerun = true;
+      return flushing;
+    }
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    flushing = (async () => {
+      let remoteChanged = false;
+      let paused = false;
+      try {
+        do {
+          rerun = false;
+          const pending = isOnline() ? await outbox.list() : [];
+          if (pending.length) console.log('[Sync] Replaying', pending.length, 'pending changes');
+
+          for (const mutation of pending) {
+            if (!isOnline()) break;
+            try {
+              remoteChanged = (await replay(mutation)) || remoteChanged;
+              await outbox.remove(mutation.seq);
+            } catch (error) {
+              if (isRetryable(error)) {
+                console.warn('[Sync] Replay paused:', error);
+                paused = true;
+                break;
+              }
+              // Permission/validation errors and bugs will never succeed - drop the change
+              console.error('[Sync] Dropping change that cannot be applied:', mutation, error);
+              await outbox.remove(mutation.seq);
+              remoteChanged = true;
+            }
+          }
+        } while (rerun && !paused && isOnline());
+      } catch (error) {
+        console.error('[Sync] Flush failed:', error);
+        paused = true;
+      } finally {
+        flushing = null;
+        if (!paused) retryDelay = RETRY_BASE_MS;
+        else if (isOnline()) scheduleRetry();
+        await notifyPending();
+        if (remoteChanged) onRemoteChange();
+      }
+    })();
+    return flushing;
+  }
+
+  return {
+    name: 'cloud',
+    owner,
+
+    async addBook(book) {
+      const bookId = book.id || book.isbn;
+      await mirror.addBook(book);
+      await queue({ type: 'add', id: bookId, data: book });
+    },
+
+    async getBooks() {
+      // Read the outbox before the server so anything replayed meanwhile isn't lost
+      const pending = await outbox.list();
+      if (isOnline()) {
+        try {
+          const remoteBooks = await withTimeout(remote.getBooks());
+          const byId = new Map(remoteBooks.map(book => [book.id || book.isbn, book]));
+          pending.forEach(mutation => applyToMap(byId, mutation));
+          const merged = Array.from(byId.values());
+          await mirror.replaceAll(merged);
+          return merged;
+        } catch (error) {
+          console.warn('[Sync] Using offline copy of library:', error);
+        }
+      }
+      return mirror.getBooks();
+    },
+
+    async getBook(id) {
+      const pending = await outbox.list();
+      if (isOnline() && !pending.some(mutation => mutationIds(mutation).includes(id))) {
+        try {
+          return await withTimeout(remote.getBook(id));
+        } catch (error) {
+          console.warn('[Sync] Using offline copy of book:', id, error);
+        }
+      }
+      return mirror.getBook(id);
+    },
+
+    async updateBook(id, updates) {
+      await mirror.updateBook(id, updates);
+      await queue({ type: 'update', id, data: updates });
+    },
+
+    /**
+     * Read-check-write against the server while online, so two devices can't both act on the
+     * same copy (e.g. lend it twice). Offline, or with changes to this book still queued, the
+     * check runs on the local copy and the write goes through the outbox.
+     */
+    async transactBook(id, change) {
+      const pending = await outbox.list();
+      if (isOnline() && typeof remote.transactBook === 'function' && !pending.some(mutation => mutationIds(mutation).includes(id))) {
+        try {
+          const book = await withTimeout(remote.transactBook(id, change));
+          await keepRemote(id, book);
+          return book;
+        } catch (error) {
+          if (!isRetryable(error)) throw error;
+          console.warn('[Sync] Server unavailable, checking the offline copy instead:', error);
+        }
+      }
+      const book = await mirror.getBook(id);
+      if (!book) throw new Error('This book is no longer in the library');
+      const updates = change(book);
+      await this.updateBook(id, updates);
+      return { ...book, ...updates };
+    },
+
+    async removeBook(id) {
+      await mirror.removeBook(id);
+      await queue({ type: 'remove', id });
+    },
+
+    /** Many writes as one outbox entry, replayed with Firestore batched writes */
+    async writeBooks(operations) {
+      await mirror.writeBooks(operations);
+      await queue({ type: 'batch', id: `batch:${Date.now().toString(36)}`, operations });
+    },
+
+    async getMeta(key) {
+      const pending = await outbox.list();
+      if (isOnline() && !pending.some(mutation => mutation.type === 'meta' && mutation.key === key)) {
+        try {
+          const value = await withTimeout(remote.getMeta(key));
+          await mirror.setMeta(key, value);
+          return value;
+        } catch (error) {
+          console.warn('[Sync] Using offline copy of setting:', key, error);
+        }
+      }
+      return mirror.getMeta(key);
+    },
+
+    async setMeta(key, value) {
+      await mirror.setMeta(key, value);
+      await queue({ type: 'meta', id: `meta:${key}`, key, data: value });
+    },
+
+    async clear() {
+      const books = await this.getBooks();
+      for (const book of books) {
+        await this.removeBook(book.id || book.isbn);
+      }
+    },
+
+    /**
+     * Live changes: optimistic local writes come straight from the mirror, server snapshots
+     * are written into the mirror first. Books with queued changes ignore the server until replayed.
+     */
+    subscribe(onChanges, onError) {
+      const unsubscribeMirror = mirror.subscribe(onChanges);
+      if (typeof remote.subscribe !== 'function') return unsubscribeMirror;
+
+      let firstSnapshot = true;
+      const unsubscribeRemote = remote.subscribe(async (changes) => {
+        try {
+          const pendingIds = new Set((await outbox.list()).flatMap(mutationIds));
+          const incoming = changes.filter(change => !pendingIds.has(change.id));
+
+          if (firstSnapshot) {
+            // Drop books deleted on another device while this one was away
+            firstSnapshot = false;
+            const remoteIds = new Set(changes.map(change => change.id));
+            const stale = (await mirror.getBooks()).filter(book => !remoteIds.has(book.id) && !pendingIds.has(book.id));
+            incoming.push(...stale.map(book => ({ type: 'removed', id: book.id, book: null })));
+          }
+
+          if (incoming.length) await mirror.applyChanges(incoming);
+        } catch (error) {
+          console.error('[Sync] Failed to apply server changes:', error);
+        }
+      }, onError);
+
+      return () => {
+        unsubscribeMirror();
+        unsubscribeRemote();
+      };
+    },
+
+    flush,
+
+    pendingCount() {
+      return outbox.count();
+    }
+  };
+}
@@ -2,6 +2,12 @@
 
 import { getCoverAlternatives, searchGoogleBooks, extractVolumeNumber, titleCaseName, primarySeries, normalizeSeriesName, isEditionSeries } from './api.js';
 import { storage } from './storage.js';
+import { getCustomSeriesRules, setCustomSeriesRules, validateSeriesRule } from './series.js';
+import { authorFields, authorSortKey, formatAuthors, getBookAuthors } from './authors.js';
+import { groupWorks } from './works.js';
+import { IMPORT_FIELDS, guessColumnMapping, rowsToBooks } from './csv.js';
+import { bookLink, qrSvg } from './qr.js';
+import { normalizeText } from './search.js';
 
 const shelves = () => document.querySelector('[data-test-id="shelves"]');
 const modal = () => document.getElementById('book-modal');
@@ -188,6 +194,11 @@ export function renderBook(book, targetShelf = null) {
     return;
   }
 
+  target.appendChild(createBookTile(book));
+}
+
+// Build the spine tile for a book (not yet attached to a shelf)
+function createBookTile(book) {
   const tile = document.createElement('div');
   tile.className = 'book-tile';
   tile.setAttribute('role', 'listitem');
@@ -201,7 +212,8 @@ export function renderBook(book, targetShelf = null) {
   // Check if stored color is from current theme's palette
   const currentTheme = getCurrentTheme();
   const currentPalette = themeColorPalettes[currentTheme];
-  const storedColorValid = book.spineColor && currentPalette.includes(book.spineColor);
+  // Colors picked in the book editor are kept regardless of theme
+  const storedColorValid = book.spineColor && (book.customSpineColor || currentPalette.includes(book.spineColor));
 
   let spineColor;
   if (storedColorValid) {
@@ -246,6 +258,30 @@ export function renderBook(book, targetShelf = null) {
     tile.appendChild(badge);
   }
 
+  const copyCount = getWorkCopies(book.id || book.isbn).length;
+  if (copyCount > 1) {
+    const copiesBadge = document.createElement('div');
+    copiesBadge.className = 'copies-badge';
+    copiesBadge.textContent = `×${copyCount}`;
+    tile.appendChild(copiesBadge);
+    tile.setAttribute('data-copies', copyCount);
+    tile.setAttribute('aria-label', `${tile.getAttribute('aria-label')} (${copyCount} copies)`);
+  }
+
+  // Shared libraries (sharing.js) show whether a book can be borrowed - any copy on the shelf will do
+  if (book.shareStatus) {
+    const statuses = [book, ...getWorkCopies(book.id || book.isbn)].map(copy => copy.shareStatus);
+    const shareStatus = statuses.includes('available') ? 'available' : statuses.includes('on-loan') ? 'on-loan' : 'unavailable';
+    tile.setAttribute('data-share-status', shareStatus);
+    if (shareStatus !== 'available') {
+      const statusBadge = document.createElement('div');
+      statusBadge.className = 'share-status-badge';
+      statusBadge.textContent = shareStatus === 'on-loan' ? 'On loan' : 'Unavailable';
+      tile.appendChild(statusBadge);
+      tile.setAttribute('aria-label', `${tile.getAttribute('aria-label')} (${statusBadge.textContent.toLowerCase()})`);
+    }
+  }
+
   const titleEl = document.createElement('div');
   titleEl.className = 'title';
   titleEl.textContent = truncate(book.title || 'Untitled', 30);
@@ -299,7 +335,7 @@ export function renderBook(book, targetShelf = null) {
     }
   });
 
-  target.appendChild(tile);
+  return tile;
 }
 
 function adjustBrightness(hex, factor) {
@@ -317,7 +353,8 @@ function truncate(str, len) {
 let currentSortMode = 'series';
 let currentPage = 1;
 let totalPages = 1;
-let allBooks = [];
+// Books currently rendered on the shelves, keyed by id (used to patch tiles in place)
+let renderedBooks = new Map();
 const SHELVES_PER_PAGE = 3; // Number of shelves to show per page
 
 export function setSortMode(mode) {
@@ -386,25 +423,111 @@ function getBooksPerShelf() {
   return Math.max(6, Math.min(booksPerRow, 20)); // Between 6-20 books per shelf
 }
 
-export function hydrateBooks(books = []) {
+const bookKey = (book) => book.id || book.isbn;
+
+// Fields that decide where a tile sits on the shelves in any sort mode (or which work it joins)
+const PLACEMENT_FIELDS = ['author', 'series', 'seriesNumber', 'genre', 'spineColor', 'title', 'workKey'];
+
+// Book id -> every copy of the same work (from the last full render)
+let copiesByBookId = new Map();
+
+// Shelf contents in display order from the last full render: [{ label, books }]
+let shelfSections = [];
+
+/** Books on the shelves in display order, grouped as the current sort mode groups them */
+export function getShelfSections() {
+  // Tiles patched in place since the last render are read from renderedBooks
+  return shelfSections
+    .map(({ label, books }) => ({
+      label,
+      books: books.map(book => renderedBooks.get(bookKey(book))).filter(Boolean)
+    }))
+    .filter(section => section.books.length);
+}
+
+/** All copies of the work a book belongs to (just the book itself when it has no other editions) */
+export function getWorkCopies(bookId) {
+  return copiesByBookId.get(bookId) || [];
+}
+
+/**
+ * Apply incremental changes to the tiles already on the shelves.
+ * Returns false when a change needs a full re-layout (new book, or a book that moves).
+ */
+function patchBooks(books, changes) {
+  if (renderedBooks.size === 0) return false;
+
+  const next = new Map(books.map(book => [bookKey(book), book]));
+  const removals = [];
+  const modifications = [];
+
+  for (const change of changes) {
+    const previous = renderedBooks.get(change.id);
+    // Copies share one spine, so any change to a grouped copy re-groups the shelf
+    if (getWorkCopies(change.id).length > 1) return false;
+    if (change.type === 'removed') {
+      if (!previous) continue;
+      // Removing the last book of a series would leave its divider behind
+      const seriesEmptied = previous.series &&
+        !books.some(book => book.series === previous.series && bookKey(book) !== change.id);
+      if (seriesEmptied) return false;
+      removals.push(change.id);
+      continue;
+    }
+
+    const book = next.get(change.id);
+    if (!book) continue;
+    if (!previous) return false;
+    if (PLACEMENT_FIELDS.some(field => (previous[field] ?? null) !== (book[field] ?? null))) return false;
+    if (previous.updatedAt && previous.updatedAt === book.updatedAt) continue;
+    modifications.push(book);
+  }
+
+  const findTile = (id) => Array.from(document.querySelectorAll('.book-tile'))
+    .find(tile => tile.getAttribute('data-id') === id);
+
+  removals.forEach(id => {
+    findTile(id)?.remove();
+    renderedBooks.delete(id);
+  });
+  modifications.forEach(book => {
+    const tile = findTile(bookKey(book));
+    if (!tile) return;
+    tile.replaceWith(createBookTile(book));
+    renderedBooks.set(bookKey(book), book);
+  });
+
+  if (removals.length || modifications.length) {
+    console.log('[UI] Patched tiles - removed:', removals.length, 'updated:', modifications.length);
+  }
+  return true;
+}
+
+/**
+ * Render books onto the shelves in the current sort mode.
+ * When `changes` (from a live subscription) are passed, only the affected tiles are
+ * patched if possible; otherwise every shelf is rebuilt.
+ */
+export function hydrateBooks(books = [], { changes = null } = {}) {
+  if (changes && patchBooks(books, changes)) return;
+
   console.log('[UI] Sorting books by:', currentSortMode);
+  renderedBooks = new Map(books.map(book => [bookKey(book), book]));
+
+  // One spine per work; the other editions are reached from the book modal
+  const works = groupWorks(books);
+  copiesByBookId = new Map();
+  works.forEach(work => work.copies.forEach(copy => copiesByBookId.set(bookKey(copy), work.copies)));
+  const shelfBooks = works.map(work => work.primary);
 
-  let sortedBooks = [...books];
+  let sortedBooks = [...shelfBooks];
   currentPage = 1; // Reset to first page when rehydrating
 
   switch (currentSortMode) {
     case 'author':
-      // Sort by author's last name, then render across multiple shelves in chunks
-      sortedBooks.sort((a, b) => {
-        const getLastName = (fullName) => {
-          if (!fullName || fullName === 'Unknown') return 'zzz'; // Put unknowns at end
-          const parts = fullName.trim().split(' ');
-          return parts[parts.length - 1].toLowerCase();
-        };
-        const lastNameA = getLastName(a.author);
-        const lastNameB = getLastName(b.author);
-        return lastNameA.localeCompare(lastNameB);
-      });
+      // Sort by the first author's sort name, then render across multiple shelves in chunks
+      sortedBooks.sort((a, b) => authorSortKey(a).localeCompare(authorSortKey(b)));
+      shelfSections = [{ label: null, books: sortedBooks }];
       {
         const perShelf = getBooksPerShelf(); // Dynamic based on window width
         const container = shelves();
@@ -435,6 +558,7 @@ export function hydrateBooks(books = []) {
           genreGroups.get(genre).push(book);
         });
         const genres = Array.from(genreGroups.keys()).sort();
+        shelfSections = genres.map(genre => ({ label: genre, books: genreGroups.get(genre) }));
         genres.forEach((genre) => {
           const shelf = document.createElement('div');
           shelf.className = 'shelf';
@@ -519,6 +643,7 @@ export function hydrateBooks(books = []) {
           // Within same category, sort by hue
           return colorA.hue - colorB.hue;
         });
+        shelfSections = [{ label: null, books: sortedBooks }];
         const perShelf = getBooksPerShelf(); // Dynamic based on window width
         const container = shelves();
         container.innerHTML = '';
@@ -537,25 +662,23 @@ export function hydrateBooks(books = []) {
 
     case 'series':
     default:
-      // Sort by author (last name), keeping series grouped together
-      const getLastName = (fullName) => {
-        if (!fullName || fullName === 'Unknown') return 'zzz';
-        const parts = fullName.trim().split(' ');
-        return parts[parts.length - 1].toLowerCase();
-      };
+      // Sort by author (sort name), keeping series grouped together
 
       // Group by author first
       const byAuthor = new Map();
-      books.forEach(book => {
+      const authorKeys = new Map();
+      shelfBooks.forEach(book => {
         const author = book.author || 'Unknown';
         if (!byAuthor.has(author)) byAuthor.set(author, []);
         byAuthor.get(author).push(book);
+        if (!authorKeys.has(author)) authorKeys.set(author, authorSortKey(book));
       });
 
       // Within each author, group by series
       const sortedFlat = [];
+      shelfSections = [];
       Array.from(byAuthor.keys())
-        .sort((a, b) => getLastName(a).localeCompare(getLastName(b)))
+        .sort((a, b) => authorKeys.get(a).localeCompare(authorKeys.get(b)))
         .forEach(author => {
           const authorBooks = byAuthor.get(author);
 
@@ -584,6 +707,7 @@ export function hydrateBooks(books = []) {
               sortedFlat.push({ type: 'divider', label: seriesName });
             }
             sortedFlat.push(...seriesMap.get(seriesName));
+            shelfSections.push({ label: seriesName, books: seriesMap.get(seriesName) });
           });
 
           // Add standalone books for this author
@@ -593,6 +717,7 @@ export function hydrateBooks(books = []) {
               sortedFlat.push({ type: 'divider', label: `${author} - Other` });
             }
             sortedFlat.push(...standaloneBooks);
+            shelfSections.push({ label: author, books: standaloneBooks });
           }
         });
 
@@ -648,6 +773,91 @@ export function hydrateBooks(books = []) {
   updatePaginationUI();
 }
 
+// Wrap the words of `el` that are in `words` (normalized search tokens) in <mark>
+function markWords(el, words) {
+  if (!el || !words?.size) return;
+  const parts = el.textContent.split(/(\s+)/);
+  el.textContent = '';
+  parts.forEach(part => {
+    if (normalizeText(part).split(' ').some(word => words.has(word))) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+/**
+ * Highlight search results on the shelves: matching spines get `.search-hit` and the
+ * matched words in their title and author are marked. `results` come from search.js.
+ */
+export function highlightSearchMatches(results) {
+  const byId = new Map();
+  results.forEach(result => {
+    // The shelf shows one spine per work, which may be another copy than the one that matched
+    [result.book, ...getWorkCopies(bookKey(result.book))].forEach(copy => {
+      if (!byId.has(bookKey(copy))) byId.set(bookKey(copy), result);
+    });
+  });
+  document.querySelectorAll('.book-tile').forEach(tile => {
+    const result = byId.get(tile.getAttribute('data-id'));
+    tile.classList.toggle('search-hit', Boolean(result));
+    if (!result) return;
+    markWords(tile.querySelector('.title'), result.matches.title);
+    markWords(tile.querySelector('.author'), result.matches.author);
+  });
+}
+
+/**
+ * Ranked matches under the search box (best first, up to `limit`).
+ * `onPick(book)` runs when one is chosen. Pass an empty list to hide it.
+ */
+export function showSearchResults(results, { onPick, limit = 6 } = {}) {
+  const list = document.getElementById('search-results');
+  if (!list) return;
+  list.innerHTML = '';
+  list.classList.toggle('hidden', results.length === 0);
+
+  results.slice(0, limit).forEach(result => {
+    const { book } = result;
+    const item = document.createElement('li');
+    item.setAttribute('role', 'option');
+    item.tabIndex = -1;
+
+    const title = document.createElement('span');
+    title.className = 'search-result-title';
+    title.textContent = book.title || 'Untitled';
+    markWords(title, result.matches.title);
+
+    const meta = document.createElement('span');
+    meta.className = 'search-result-meta';
+    meta.textContent = [book.author, book.series && (book.seriesNumber != null ? `${book.series} #${book.seriesNumber}` : book.series)]
+      .filter(Boolean).join(' · ');
+    markWords(meta, new Set([...(result.matches.author || []), ...(result.matches.series || [])]));
+
+    item.appendChild(title);
+    item.appendChild(meta);
+    // mousedown so it fires before the input loses focus and hides the list
+    item.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      onPick?.(book);
+    });
+    item.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') onPick?.(book);
+    });
+    list.appendChild(item);
+  });
+
+  if (results.length > limit) {
+    const more = document.createElement('li');
+    more.className = 'search-result-more';
+    more.textContent = `${results.length - limit} more on the shelves`;
+    list.appendChild(more);
+  }
+}
+
 let lastHighlightedElement = null;
 
 export function highlightAtCursor({ x, y }) {
@@ -825,8 +1035,11 @@ export function openBookModal({ id, title, author, cover, color }) {
 
   console.log('[UI] Opening modal for book:', { id, title, author, cover, color });
 
-  // Get all alternative cover sources
+  // Get all alternative cover sources; a cover the user picked (URL or upload) is tried first
   alternativeSources = getCoverAlternatives(id);
+  if (cover && cover !== 'null' && cover !== 'undefined' && !alternativeSources.includes(cover)) {
+    alternativeSources = [cover, ...alternativeSources];
+  }
   coverSourceIndex = 0;
 
   if (cover && cover !== 'null' && cover !== 'undefined' && alternativeSources.length > 0) {
@@ -862,6 +1075,8 @@ export function openBookModal({ id, title, author, cover, color }) {
     coverImg.style.display = 'block';
   }
 
+  renderEditions(id);
+
   modal().showModal();
 
   // Move cursor to be inside the modal so it appears on top
@@ -871,6 +1086,81 @@ export function openBookModal({ id, title, author, cover, color }) {
   }
 }
 
+// Short description of one edition, e.g. "Paperback · Bloomsbury · 2014 · ISBN 9781408855652"
+function editionLabel(book) {
+  const year = String(book.publishedDate || '').match(/\d{4}/)?.[0];
+  const isbn = book.isbn || book.id;
+  return [book.format, book.publisher, year, isbn ? `ISBN ${isbn}` : null].filter(Boolean).join(' · ') || 'Edition';
+}
+
+/** List every edition of the open book's work, each with its own borrowing history */
+async function renderEditions(bookId) {
+  const section = document.querySelector('#book-modal .book-editions');
+  if (!section) return;
+  section.classList.add('hidden');
+  section.innerHTML = '';
+
+  // Group against the whole library so search results still show every copy
+  const books = await storage.getBooks();
+  if (currentBookId !== bookId) return;
+  const work = groupWorks(books).find(w => w.copies.some(copy => bookKey(copy) === bookId));
+  if (!work || work.copies.length < 2) return;
+
+  const heading = document.createElement('h3');
+  heading.textContent = `${work.copies.length} copies`;
+  section.appendChild(heading);
+
+  const list = document.createElement('ul');
+  list.className = 'edition-list';
+  work.copies.forEach(copy => {
+    const id = bookKey(copy);
+    const item = document.createElement('li');
+    item.className = 'edition-entry';
+    if (id === bookId) item.classList.add('current');
+
+    const label = document.createElement('button');
+    label.className = 'edition-label';
+    label.textContent = editionLabel(copy);
+    label.disabled = id === bookId;
+    label.title = id === bookId ? 'Showing this edition' : 'Show this edition';
+    label.addEventListener('click', () => openBookModal({
+      id,
+      title: copy.title,
+      author: copy.author,
+      cover: copy.coverUrl,
+      color: copy.spineColor
+    }));
+    item.appendChild(label);
+
+    const history = document.createElement('ul');
+    history.className = 'edition-history';
+    const borrowers = copy.borrowers || [];
+    if (copy.shareStatus) {
+      // Shared libraries only publish whether a copy is free, not its history
+      const status = document.createElement('li');
+      status.textContent = { available: 'Available', 'on-loan': 'On loan' }[copy.shareStatus] || 'Unavailable';
+      if (copy.shareStatus === 'on-loan') status.className = 'on-loan';
+      history.appendChild(status);
+    } else if (borrowers.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'Never borrowed';
+      history.appendChild(empty);
+    }
+    borrowers.forEach(borrower => {
+      const entry = document.createElement('li');
+      entry.textContent = borrower.returnDate
+        ? `${borrower.name}: ${borrower.date} – ${borrower.returnDate}`
+        : `${borrower.name}: ${borrower.date} (on loan)`;
+      if (!borrower.returnDate) entry.className = 'on-loan';
+      history.appendChild(entry);
+    });
+    item.appendChild(history);
+    list.appendChild(item);
+  });
+  section.appendChild(list);
+  section.classList.remove('hidden');
+}
+
 export function closeBookModal() {
   try {
     modal().close();
@@ -884,6 +1174,84 @@ export function closeBookModal() {
   } catch (_) {}
 }
 
+/**
+ * Show the QR code for the open book. It encodes the book's link (with its id), which the
+ * scanner recognizes. `onPrint(book)` prints it as a sticker.
+ */
+export async function openBookQrDialog({ onPrint }) {
+  if (!currentBookId) return;
+
+  const book = await storage.getBook(currentBookId);
+  if (!book) return;
+  const id = book.id || book.isbn;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog book-qr-dialog';
+
+  const title = document.createElement('h3');
+  title.textContent = book.title || 'Untitled';
+
+  const code = document.createElement('div');
+  code.className = 'book-qr';
+  code.textContent = 'Generating QR code...';
+
+  const hint = document.createElement('p');
+  hint.className = 'inline-dialog-hint';
+  hint.textContent = `Stick it inside the cover: scanning it opens this book (ID ${id}) instead of adding a new one.`;
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Close';
+  closeBtn.onclick = () => overlay.remove();
+
+  const printBtn = document.createElement('button');
+  printBtn.className = 'primary';
+  printBtn.textContent = 'Print Sticker';
+  printBtn.disabled = true;
+  printBtn.onclick = async () => {
+    try {
+      hint.textContent = await onPrint(book);
+    } catch (error) {
+      hint.textContent = `Could not prepare the sticker: ${error.message}`;
+    }
+  };
+
+  actions.appendChild(closeBtn);
+  actions.appendChild(printBtn);
+
+  dialog.appendChild(title);
+  dialog.appendChild(code);
+  dialog.appendChild(hint);
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+
+  // Append to the book modal so it appears above it
+  const bookModal = document.getElementById('book-modal');
+  if (bookModal) {
+    bookModal.appendChild(overlay);
+  } else {
+    document.body.appendChild(overlay);
+  }
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') overlay.remove();
+  });
+
+  try {
+    // Generated from our own encoder output, so it's safe to insert as markup
+    code.innerHTML = await qrSvg(bookLink(id));
+    printBtn.disabled = false;
+  } catch (error) {
+    console.warn('[UI] Could not generate QR code:', error);
+    code.textContent = 'Could not load the QR code generator. Check your connection and try again.';
+  }
+}
+
 /** Open edit series dialog */
 export async function openEditSeriesDialog() {
   if (!currentBookId) return;
@@ -999,6 +1367,227 @@ export async function openEditSeriesDialog() {
   });
 }
 
+// Limits for the book editor; uploaded covers are downscaled so they fit in a Firestore document
+const MAX_TITLE_LENGTH = 300;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const UPLOAD_COVER_MAX_SIDE = 600;
+
+/** Check edited book details. Returns a list of problems (empty when valid). */
+function validateBookDetails(details) {
+  const errors = [];
+  if (!details.title) errors.push('Title is required');
+  else if (details.title.length > MAX_TITLE_LENGTH) errors.push(`Title must be under ${MAX_TITLE_LENGTH} characters`);
+  if (details.coverUrl && !/^https?:\/\/\S+$/i.test(details.coverUrl) && !details.coverUrl.startsWith('data:image/')) {
+    errors.push('Cover must be an http(s) image URL or an uploaded image');
+  }
+  if (details.spineColor && !/^#[0-9a-f]{6}$/i.test(details.spineColor)) errors.push('Spine color must be a hex color like #3a5a40');
+  if (details.notes.length > MAX_NOTES_LENGTH) errors.push(`Notes must be under ${MAX_NOTES_LENGTH} characters`);
+  if (details.tags.length > MAX_TAGS) errors.push(`Use at most ${MAX_TAGS} tags`);
+  if (details.tags.some(tag => tag.length > MAX_TAG_LENGTH)) errors.push(`Tags must be under ${MAX_TAG_LENGTH} characters each`);
+  return errors;
+}
+
+/** Read an uploaded image and shrink it to a JPEG data URL */
+function readCoverUpload(file) {
+  return new Promise((resolve, reject) => {
+    if (!file.type.startsWith('image/')) {
+      reject(new Error('Please choose an image file'));
+      return;
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+      reject(new Error('Image is too large (max 10 MB)'));
+      return;
+    }
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, UPLOAD_COVER_MAX_SIDE / Math.max(img.naturalWidth, img.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.naturalWidth * scale);
+      canvas.height = Math.round(img.naturalHeight * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL('image/jpeg', 0.85));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('That image could not be read'));
+    };
+    img.src = url;
+  });
+}
+
+/** Open the full book details editor */
+export async function openEditBookDialog() {
+  if (!currentBookId) return;
+
+  const book = await storage.getBook(currentBookId);
+  if (!book) return;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog scrollable';
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Edit Book Details';
+
+  // Build rows with DOM APIs so existing values are never parsed as HTML
+  function addRow(id, labelText, control) {
+    const row = document.createElement('div');
+    row.className = 'inline-dialog-row';
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = labelText;
+    control.id = id;
+    row.appendChild(label);
+    row.appendChild(control);
+    return row;
+  }
+
+  function input(type, value, placeholder = '') {
+    const el = document.createElement('input');
+    el.type = type;
+    el.value = value ?? '';
+    el.placeholder = placeholder;
+    return el;
+  }
+
+  const titleInput = input('text', book.title, 'Title');
+  const authorInput = input('text', formatAuthors(getBookAuthors(book)), 'e.g., Neil Gaiman & Terry Pratchett');
+  const genreInput = input('text', book.genre, 'e.g., Fantasy');
+  const coverInput = input('url', book.coverUrl?.startsWith('data:') ? '' : book.coverUrl, 'https://...');
+  const uploadInput = input('file', '');
+  uploadInput.accept = 'image/*';
+  const colorInput = input('color', book.spineColor || '#3a5a40');
+  const tagsInput = input('text', (book.tags || []).join(', '), 'e.g., signed, favorite');
+  const notesInput = document.createElement('textarea');
+  notesInput.rows = 4;
+  notesInput.value = book.notes || '';
+
+  // Uploaded covers are kept as data URLs; typing a URL replaces the upload
+  let uploadedCover = book.coverUrl?.startsWith('data:') ? book.coverUrl : null;
+  const uploadStatus = document.createElement('p');
+  uploadStatus.className = 'inline-dialog-hint';
+  uploadStatus.textContent = uploadedCover ? 'Using an uploaded image' : '';
+
+  const errorBox = document.createElement('div');
+  errorBox.className = 'inline-dialog-error hidden';
+  const showErrors = (errors) => {
+    errorBox.textContent = errors.join(' · ');
+    errorBox.classList.toggle('hidden', errors.length === 0);
+  };
+
+  uploadInput.addEventListener('change', async () => {
+    const file = uploadInput.files?.[0];
+    if (!file) return;
+    try {
+      uploadedCover = await readCoverUpload(file);
+      coverInput.value = '';
+      uploadStatus.textContent = `Using uploaded image: ${file.name}`;
+      showErrors([]);
+    } catch (error) {
+      uploadInput.value = '';
+      showErrors([error.message]);
+    }
+  });
+  coverInput.addEventListener('input', () => {
+    if (coverInput.value.trim()) {
+      uploadedCover = null;
+      uploadStatus.textContent = '';
+    }
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = () => overlay.remove();
+
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'primary';
+  saveBtn.textContent = 'Save';
+  saveBtn.onclick = async () => {
+    const details = {
+      title: titleInput.value.trim(),
+      ...authorFields(authorInput.value),
+      genre: genreInput.value.trim() || null,
+      coverUrl: uploadedCover || coverInput.value.trim() || null,
+      spineColor: colorInput.value,
+      notes: notesInput.value.trim(),
+      tags: [...new Set(tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean))]
+    };
+
+    const errors = validateBookDetails(details);
+    showErrors(errors);
+    if (errors.length) return;
+
+    const updates = { ...details };
+    // Only pin the color when the user actually changed it
+    if (details.spineColor !== book.spineColor) updates.customSpineColor = true;
+
+    saveBtn.disabled = true;
+    try {
+      await storage.updateBook(currentBookId, updates);
+    } catch (error) {
+      saveBtn.disabled = false;
+      showErrors([`Could not save: ${error.message}`]);
+      return;
+    }
+    overlay.remove();
+
+    const updatedBook = await storage.getBook(currentBookId);
+    if (updatedBook) {
+      openBookModal({
+        id: updatedBook.id || updatedBook.isbn,
+        title: updatedBook.title,
+        author: updatedBook.author,
+        cover: updatedBook.coverUrl,
+        color: updatedBook.spineColor
+      });
+    }
+  };
+
+  actions.appendChild(cancelBtn);
+  actions.appendChild(saveBtn);
+
+  dialog.appendChild(heading);
+  dialog.appendChild(addRow('edit-title-input', 'Title:', titleInput));
+  dialog.appendChild(addRow('edit-author-input', 'Author(s), separated by & or commas:', authorInput));
+  dialog.appendChild(addRow('edit-genre-input', 'Genre:', genreInput));
+  dialog.appendChild(addRow('edit-cover-input', 'Cover Image URL:', coverInput));
+  const uploadRow = addRow('edit-cover-upload', 'Or Upload a Cover:', uploadInput);
+  uploadRow.appendChild(uploadStatus);
+  dialog.appendChild(uploadRow);
+  dialog.appendChild(addRow('edit-color-input', 'Spine Color:', colorInput));
+  dialog.appendChild(addRow('edit-tags-input', 'Tags, comma separated:', tagsInput));
+  dialog.appendChild(addRow('edit-notes-input', 'Notes:', notesInput));
+  dialog.appendChild(errorBox);
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+
+  // Append to the book modal so it appears above it
+  const bookModal = document.getElementById('book-modal');
+  if (bookModal) {
+    bookModal.appendChild(overlay);
+  } else {
+    document.body.appendChild(overlay);
+  }
+
+  setTimeout(() => titleInput.focus(), 100);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      overlay.remove();
+    }
+  });
+}
+
 /** Open re-enrich metadata dialog */
 export async function openReenrichDialog() {
   if (!currentBookId) return;
@@ -1039,7 +1628,7 @@ export async function openReenrichDialog() {
       // Update book with selected metadata
       const updates = {
         ...book,
-        author: result.authors.length > 0 ? result.authors.join(', ') : book.author,
+        ...(result.authors.length > 0 ? authorFields(result.authors) : {}),
         coverUrl: result.image || book.coverUrl,
         series: result.seriesGuess || book.series,
         seriesNumber: result.seriesNumberGuess != null ? result.seriesNumberGuess : book.seriesNumber
@@ -1116,3 +1705,1841 @@ export async function openReenrichDialog() {
     }
   });
 }
+
+/** Parse "1 = fourth wing" lines into volume rules */
+function parseVolumeLines(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [number, ...pattern] = line.split('=');
+      return { number: parseFloat(number), pattern: pattern.join('=').trim() };
+    });
+}
+
+/**
+ * Open the custom series rules dialog.
+ * `onChange(rules)` runs after the rules are saved so the caller can re-check the library.
+ */
+export async function openSeriesRulesDialog({ onChange } = {}) {
+  let rules = [...getCustomSeriesRules()];
+
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog';
+
+  const title = document.createElement('h3');
+  title.textContent = 'Series Rules';
+
+  const intro = document.createElement('p');
+  intro.className = 'inline-dialog-hint';
+  intro.textContent = 'Teach Library Buddy a series: books whose title contains a keyword join the series, and each volume line ("2 = iron flame") sets the book number. Your rules are checked before the built-in ones.';
+
+  const list = document.createElement('ul');
+  list.className = 'series-rules-list';
+
+  const errorBox = document.createElement('div');
+  errorBox.className = 'inline-dialog-error hidden';
+
+  async function save(nextRules) {
+    await storage.setMeta('seriesRules', nextRules);
+    setCustomSeriesRules(nextRules);
+    rules = [...getCustomSeriesRules()];
+    renderList();
+    if (onChange) await onChange(rules);
+  }
+
+  function renderList() {
+    list.innerHTML = '';
+    if (rules.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'series-rules-empty';
+      empty.textContent = 'No custom rules yet.';
+      list.appendChild(empty);
+      return;
+    }
+    rules.forEach((rule, index) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      const volumeCount = (rule.volumes || []).length;
+      label.textContent = `${rule.name}${rule.author ? ` — ${rule.author}` : ''} (${rule.match.join(', ')}; ${volumeCount} volume${volumeCount === 1 ? '' : 's'})`;
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Delete';
+      removeBtn.onclick = async () => {
+        try {
+          await save(rules.filter((_, i) => i !== index));
+        } catch (error) {
+          showErrors([`Could not delete rule: ${error.message}`]);
+        }
+      };
+      item.appendChild(label);
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    });
+  }
+
+  function showErrors(errors) {
+    errorBox.textContent = errors.join(' · ');
+    errorBox.classList.toggle('hidden', errors.length === 0);
+  }
+
+  const nameRow = document.createElement('div');
+  nameRow.className = 'inline-dialog-row';
+  nameRow.innerHTML = `
+    <label for="rule-name-input">Series Name:</label>
+    <input type="text" id="rule-name-input" placeholder="e.g., The Empyrean" />
+  `;
+
+  const authorRow = document.createElement('div');
+  authorRow.className = 'inline-dialog-row';
+  authorRow.innerHTML = `
+    <label for="rule-author-input">Author (optional):</label>
+    <input type="text" id="rule-author-input" placeholder="e.g., Rebecca Yarros" />
+  `;
+
+  const matchRow = document.createElement('div');
+  matchRow.className = 'inline-dialog-row';
+  matchRow.innerHTML = `
+    <label for="rule-match-input">Title Keywords (comma separated):</label>
+    <input type="text" id="rule-match-input" placeholder="fourth wing, iron flame, onyx storm" />
+  `;
+
+  const volumesRow = document.createElement('div');
+  volumesRow.className = 'inline-dialog-row';
+  volumesRow.innerHTML = `
+    <label for="rule-volumes-input">Volumes (one per line, number = title pattern):</label>
+    <textarea id="rule-volumes-input" rows="4" placeholder="1 = fourth wing&#10;2 = iron flame"></textarea>
+  `;
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Close';
+  closeBtn.onclick = () => overlay.remove();
+
+  const addBtn = document.createElement('button');
+  addBtn.className = 'primary';
+  addBtn.textContent = 'Add Rule';
+  addBtn.onclick = async () => {
+    const author = dialog.querySelector('#rule-author-input').value.trim();
+    const rule = {
+      name: titleCaseName(dialog.querySelector('#rule-name-input').value.trim()),
+      match: dialog.querySelector('#rule-match-input').value.split(',').map(m => m.trim().toLowerCase()).filter(Boolean),
+      volumes: parseVolumeLines(dialog.querySelector('#rule-volumes-input').value)
+    };
+    if (author) rule.author = author;
+
+    const errors = validateSeriesRule(rule);
+    showErrors(errors);
+    if (errors.length) return;
+
+    try {
+      // A rule with the same name replaces the old one
+      await save([...rules.filter(r => r.name !== rule.name), rule]);
+      dialog.querySelectorAll('input, textarea').forEach(input => { input.value = ''; });
+    } catch (error) {
+      showErrors([`Could not save rule: ${error.message}`]);
+    }
+  };
+
+  actions.appendChild(closeBtn);
+  actions.appendChild(addBtn);
+
+  dialog.appendChild(title);
+  dialog.appendChild(intro);
+  dialog.appendChild(list);
+  dialog.appendChild(nameRow);
+  dialog.appendChild(authorRow);
+  dialog.appendChild(matchRow);
+  dialog.appendChild(volumesRow);
+  dialog.appendChild(errorBox);
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+
+  renderList();
+  document.body.appendChild(overlay);
+
+  setTimeout(() => {
+    document.getElementById('rule-name-input')?.focus();
+  }, 100);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      overlay.remove();
+    }
+  });
+}
+
+// One line describing a book in the duplicate dialogs
+function describeBook(book) {
+  const parts = [book.title || 'Untitled', book.author || 'Unknown author', editionLabel(book)];
+  const borrowCount = (book.borrowers || []).length;
+  if (borrowCount) parts.push(`${borrowCount} borrowing record${borrowCount === 1 ? '' : 's'}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Ask what to do with a book that's already in the library.
+ * Resolves with { action: 'copy'|'merge'|'skip', applyToAll }.
+ * `applyToAll` is offered when several books are being processed (e.g. an import).
+ */
+export function chooseDuplicateAction({ incoming, matches, offerApplyToAll = false }) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'inline-overlay fixed';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'inline-dialog';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Already in your library?';
+
+    const intro = document.createElement('p');
+    intro.className = 'inline-dialog-hint';
+    intro.textContent = matches[0].reason === 'isbn'
+      ? 'A book with the same ISBN is already on your shelves:'
+      : 'This looks like a book that\'s already on your shelves:';
+
+    const incomingEl = document.createElement('p');
+    incomingEl.className = 'duplicate-incoming';
+    incomingEl.textContent = `New: ${describeBook(incoming)}`;
+
+    const list = document.createElement('ul');
+    list.className = 'duplicate-list';
+    matches.forEach(({ book }) => {
+      const item = document.createElement('li');
+      item.textContent = describeBook(book);
+      list.appendChild(item);
+    });
+
+    let applyToAll = null;
+    const applyRow = document.createElement('label');
+    applyRow.className = 'duplicate-apply-all';
+    if (offerApplyToAll) {
+      applyToAll = document.createElement('input');
+      applyToAll.type = 'checkbox';
+      applyRow.appendChild(applyToAll);
+      applyRow.appendChild(document.createTextNode(' Do this for all remaining duplicates'));
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'inline-dialog-actions';
+    const choose = (action) => {
+      overlay.remove();
+      resolve({ action, applyToAll: Boolean(applyToAll?.checked) });
+    };
+
+    const skipBtn = document.createElement('button');
+    skipBtn.textContent = 'Skip';
+    skipBtn.onclick = () => choose('skip');
+
+    const copyBtn = document.createElement('button');
+    copyBtn.textContent = 'Add Another Copy';
+    copyBtn.onclick = () => choose('copy');
+
+    const mergeBtn = document.createElement('button');
+    mergeBtn.className = 'primary';
+    mergeBtn.textContent = 'Merge';
+    mergeBtn.title = 'Keep the existing book and fill in anything it is missing';
+    mergeBtn.onclick = () => choose('merge');
+
+    actions.appendChild(skipBtn);
+    actions.appendChild(copyBtn);
+    actions.appendChild(mergeBtn);
+
+    dialog.appendChild(heading);
+    dialog.appendChild(intro);
+    dialog.appendChild(list);
+    dialog.appendChild(incomingEl);
+    if (offerApplyToAll) dialog.appendChild(applyRow);
+    dialog.appendChild(actions);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    setTimeout(() => mergeBtn.focus(), 100);
+
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') choose('skip');
+    });
+  });
+}
+
+/**
+ * Show likely duplicates found in the library.
+ * `onMerge(books)` merges a group into its first book, `onKeep(books)` marks it as intentional copies.
+ */
+export function openDuplicatesDialog({ groups, onMerge, onKeep }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog scrollable';
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Find Duplicates';
+
+  const summary = document.createElement('p');
+  summary.className = 'inline-dialog-hint';
+
+  const list = document.createElement('div');
+  list.className = 'duplicate-groups';
+
+  let remaining = groups.length;
+  const updateSummary = () => {
+    summary.textContent = remaining === 0
+      ? 'No duplicates found.'
+      : `${remaining} possible duplicate${remaining === 1 ? '' : 's'}. Merging keeps the first book and folds in the others' borrowing history, tags and missing details.`;
+  };
+  updateSummary();
+
+  groups.forEach((group) => {
+    const card = document.createElement('div');
+    card.className = 'duplicate-group';
+
+    const reason = document.createElement('p');
+    reason.className = 'duplicate-reason';
+    reason.textContent = group.reason === 'isbn' ? 'Same ISBN' : 'Same title and author';
+
+    const books = document.createElement('ul');
+    books.className = 'duplicate-list';
+    group.books.forEach(book => {
+      const item = document.createElement('li');
+      item.textContent = describeBook(book);
+      books.appendChild(item);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'inline-dialog-actions';
+    const resolveGroup = async (handler, button) => {
+      button.disabled = true;
+      try {
+        await handler(group.books);
+        card.remove();
+        remaining--;
+        updateSummary();
+      } catch (error) {
+        button.disabled = false;
+        reason.textContent = `Could not update: ${error.message}`;
+      }
+    };
+
+    const keepBtn = document.createElement('button');
+    keepBtn.textContent = 'Keep as Copies';
+    keepBtn.onclick = () => resolveGroup(onKeep, keepBtn);
+
+    const mergeBtn = document.createElement('button');
+    mergeBtn.className = 'primary';
+    mergeBtn.textContent = 'Merge';
+    mergeBtn.onclick = () => resolveGroup(onMerge, mergeBtn);
+
+    actions.appendChild(keepBtn);
+    actions.appendChild(mergeBtn);
+    card.appendChild(reason);
+    card.appendChild(books);
+    card.appendChild(actions);
+    list.appendChild(card);
+  });
+
+  const footer = document.createElement('div');
+  footer.className = 'inline-dialog-actions';
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Close';
+  closeBtn.onclick = () => overlay.remove();
+  footer.appendChild(closeBtn);
+
+  dialog.appendChild(heading);
+  dialog.appendChild(summary);
+  dialog.appendChild(list);
+  dialog.appendChild(footer);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      overlay.remove();
+    }
+  });
+}
+
+// Text for a mapped CSV column ("B: Author")
+function columnLabel(headers, index) {
+  const letter = index < 26 ? String.fromCharCode(65 + index) : `#${index + 1}`;
+  return `${letter}: ${headers[index] || '(no header)'}`;
+}
+
+/**
+ * CSV import: map columns to book fields, preview the parsed rows and list problems per row.
+ * When `source` is a known app export (see importers.js) its column layout is used instead
+ * of the mapping step. `onImport(entries, { enrich, onProgress })` adds the importable rows
+ * and resolves with { summary, problems: [{ line, message }] } for the final report.
+ */
+export function openCsvImportDialog({ fileName, headers, rows, source = null, onImport }) {
+  const PREVIEW_ROWS = 10;
+  const mapping = guessColumnMapping(headers);
+  let entries = [];
+
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog scrollable csv-import-dialog';
+
+  const heading = document.createElement('h3');
+  heading.textContent = `Import ${fileName || 'CSV'}`;
+
+  const intro = document.createElement('p');
+  intro.className = 'inline-dialog-hint';
+  intro.textContent = source
+    ? `Recognized a ${source.label} library export with ${rows.length} book${rows.length === 1 ? '' : 's'}. Shelves become tags, and series are read from titles like "Iron Flame (The Empyrean, #2)".`
+    : `${rows.length} row${rows.length === 1 ? '' : 's'} found. Match your spreadsheet's columns to book fields - the preview updates as you go.`;
+
+  const mappingGrid = document.createElement('div');
+  mappingGrid.className = 'csv-mapping';
+  IMPORT_FIELDS.forEach(field => {
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    const select = document.createElement('select');
+    select.innerHTML = '<option value="">— not in file —</option>';
+    headers.forEach((_, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = columnLabel(headers, index);
+      select.appendChild(option);
+    });
+    select.value = mapping[field.key] != null ? String(mapping[field.key]) : '';
+    select.onchange = () => {
+      if (select.value === '') delete mapping[field.key];
+      else mapping[field.key] = Number(select.value);
+      update();
+    };
+    label.appendChild(select);
+    mappingGrid.appendChild(label);
+  });
+
+  const enrichRow = document.createElement('label');
+  enrichRow.className = 'duplicate-apply-all hidden';
+  const enrichInput = document.createElement('input');
+  enrichInput.type = 'checkbox';
+  enrichInput.checked = true;
+  enrichInput.onchange = () => update();
+  const enrichText = document.createElement('span');
+  enrichRow.appendChild(enrichInput);
+  enrichRow.appendChild(enrichText);
+
+  const wantToReadRow = document.createElement('label');
+  wantToReadRow.className = 'duplicate-apply-all hidden';
+  const wantToReadInput = document.createElement('input');
+  wantToReadInput.type = 'checkbox';
+  wantToReadInput.checked = true;
+  wantToReadInput.onchange = () => update();
+  const wantToReadText = document.createElement('span');
+  wantToReadRow.appendChild(wantToReadInput);
+  wantToReadRow.appendChild(wantToReadText);
+
+  const summary = document.createElement('p');
+  summary.className = 'csv-summary';
+
+  const preview = document.createElement('table');
+  preview.className = 'csv-preview';
+
+  const report = document.createElement('ul');
+  report.className = 'csv-report';
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = () => overlay.remove();
+
+  const importBtn = document.createElement('button');
+  importBtn.className = 'primary';
+
+  const needsLookup = (entry) => !entry.errors.length && Boolean(entry.lookupIsbn || entry.searchQuery);
+  // Rows with only an ISBN can't be imported without looking the book up
+  const isbnOnly = (entry) => !entry.errors.length && entry.lookupIsbn && !entry.book.title;
+  const skippedWish = (entry) => entry.wantToRead && wantToReadInput.checked;
+
+  // Rows that will be added with the current mapping and options
+  const importable = () => entries.filter(e => !e.errors.length && !skippedWish(e) && (enrichInput.checked || !isbnOnly(e)));
+
+  // Problems known before importing (blocking errors first, then warnings)
+  function rowProblems() {
+    const problems = [];
+    entries.forEach(entry => {
+      entry.errors.forEach(message => problems.push({ line: entry.line, message: `${message} - row skipped`, error: true }));
+      if (isbnOnly(entry) && !enrichInput.checked) {
+        problems.push({ line: entry.line, message: 'Only an ISBN - turn on ISBN lookup to import it', error: true });
+      }
+    });
+    entries.forEach(entry => {
+      entry.warnings.forEach(message => problems.push({ line: entry.line, message }));
+    });
+    return problems;
+  }
+
+  function renderProblems(problems) {
+    report.innerHTML = '';
+    problems.forEach(({ line, message, error }) => {
+      const item = document.createElement('li');
+      item.className = error ? 'csv-row-error' : 'csv-row-warning';
+      item.textContent = `Row ${line}: ${message}`;
+      report.appendChild(item);
+    });
+  }
+
+  function renderPreview() {
+    preview.innerHTML = '';
+    const head = preview.createTHead().insertRow();
+    ['Row', 'Title', 'Author(s)', 'ISBN', 'Series', 'Borrowed By', 'Status'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    const body = preview.createTBody();
+    entries.slice(0, PREVIEW_ROWS).forEach((entry) => {
+      const { line, book, errors, warnings } = entry;
+      const row = body.insertRow();
+      const current = (book.borrowers || []).filter(b => !b.returnDate).map(b => b.name).join(', ');
+      const series = book.series ? `${book.series}${book.seriesNumber != null ? ` #${book.seriesNumber}` : ''}` : '';
+      let status = 'OK';
+      const skipped = errors.length || skippedWish(entry) || (isbnOnly(entry) && !enrichInput.checked);
+      if (errors.length) status = 'Error';
+      else if (skippedWish(entry)) status = 'Want to read';
+      else if (isbnOnly(entry) && !enrichInput.checked) status = 'Skipped';
+      else if (needsLookup(entry) && enrichInput.checked) status = source ? 'Match' : 'Lookup';
+      else if (warnings.length) status = 'Warning';
+      [line, book.title || '', book.author || '', book.isbn || '', series, current, status].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+      if (skipped) row.className = 'csv-row-error';
+    });
+  }
+
+  function update() {
+    entries = source ? source.toEntries(rows, headers) : rowsToBooks(rows, mapping);
+    const lookups = entries.filter(needsLookup).length;
+    enrichRow.classList.toggle('hidden', lookups === 0);
+    enrichText.textContent = source
+      ? ` Match ${lookups} book${lookups === 1 ? '' : 's'} with Open Library for covers and missing details`
+      : ` Look up title, author and cover for ${lookups} row${lookups === 1 ? '' : 's'} that only ${lookups === 1 ? 'has' : 'have'} an ISBN`;
+    const wishes = entries.filter(e => e.wantToRead).length;
+    wantToReadRow.classList.toggle('hidden', wishes === 0);
+    wantToReadText.textContent = ` Skip ${wishes} book${wishes === 1 ? '' : 's'} on the want-to-read shelf`;
+
+    const ready = importable().length;
+    const problems = rowProblems();
+    const errorRows = new Set(problems.filter(p => p.error).map(p => p.line)).size;
+    const wishSkipped = entries.filter(skippedWish).length;
+    summary.textContent = [
+      `${ready} ready to import`,
+      errorRows && `${errorRows} skipped`,
+      wishSkipped && `${wishSkipped} want-to-read skipped`,
+      rows.length > PREVIEW_ROWS && `previewing the first ${PREVIEW_ROWS}`
+    ].filter(Boolean).join(' · ');
+    importBtn.textContent = `Import ${ready} Book${ready === 1 ? '' : 's'}`;
+    importBtn.disabled = ready === 0;
+    renderPreview();
+    renderProblems(problems);
+  }
+
+  importBtn.onclick = async () => {
+    const skipped = rowProblems();
+    importBtn.disabled = true;
+    cancelBtn.disabled = true;
+    mappingGrid.querySelectorAll('select').forEach(select => { select.disabled = true; });
+    enrichInput.disabled = true;
+    wantToReadInput.disabled = true;
+    try {
+      const result = await onImport(importable(), {
+        enrich: enrichInput.checked,
+        onProgress: (message) => { summary.textContent = message; }
+      });
+      summary.textContent = result.summary;
+      renderProblems([...skipped, ...result.problems].sort((a, b) => a.line - b.line));
+      mappingGrid.remove();
+      enrichRow.remove();
+      wantToReadRow.remove();
+      preview.remove();
+      importBtn.remove();
+      cancelBtn.textContent = 'Close';
+      cancelBtn.disabled = false;
+      cancelBtn.focus();
+    } catch (error) {
+      summary.textContent = `Import failed: ${error.message}`;
+      importBtn.disabled = false;
+      cancelBtn.disabled = false;
+    }
+  };
+
+  actions.appendChild(cancelBtn);
+  actions.appendChild(importBtn);
+
+  dialog.appendChild(heading);
+  dialog.appendChild(intro);
+  if (!source) dialog.appendChild(mappingGrid);
+  dialog.appendChild(enrichRow);
+  dialog.appendChild(wantToReadRow);
+  dialog.appendChild(summary);
+  dialog.appendChild(preview);
+  dialog.appendChild(report);
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  update();
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !cancelBtn.disabled) {
+      overlay.remove();
+    }
+  });
+}
+
+/**
+ * Dry run for a library file import: shows what would be added, updated and skipped before
+ * anything is written. With validation `errors` it only lists them.
+ * `getDiff({ mergeDuplicates })` computes the diff; `onConfirm(diff)` writes it and resolves
+ * with a summary message.
+ */
+export function openImportPreviewDialog({ fileName, info, errors = [], getDiff, onConfirm }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog scrollable';
+
+  const heading = document.createElement('h3');
+  heading.textContent = `Import ${fileName || 'library'}`;
+
+  const source = document.createElement('p');
+  source.className = 'inline-dialog-hint';
+  if (info?.schemaVersion > 0) {
+    const exported = info.exportedAt ? new Date(info.exportedAt).toLocaleString() : 'an unknown date';
+    source.textContent = `Exported ${exported} from Library Buddy ${info.appVersion || ''} (format version ${info.schemaVersion}).`;
+  } else if (info) {
+    source.textContent = 'Older export without version information.';
+  }
+
+  const summary = document.createElement('p');
+  summary.className = 'csv-summary';
+
+  const details = document.createElement('div');
+  details.className = 'import-diff';
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = errors.length ? 'Close' : 'Cancel';
+  cancelBtn.onclick = () => overlay.remove();
+  actions.appendChild(cancelBtn);
+
+  dialog.appendChild(heading);
+  if (info) dialog.appendChild(source);
+
+  if (errors.length) {
+    summary.textContent = 'Nothing was imported - the file has problems:';
+    const list = document.createElement('ul');
+    list.className = 'csv-report';
+    errors.forEach(message => {
+      const item = document.createElement('li');
+      item.className = 'csv-row-error';
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    dialog.appendChild(summary);
+    dialog.appendChild(list);
+  } else {
+    let diff = null;
+
+    const mergeRow = document.createElement('label');
+    mergeRow.className = 'duplicate-apply-all';
+    const mergeInput = document.createElement('input');
+    mergeInput.type = 'checkbox';
+    mergeRow.appendChild(mergeInput);
+    mergeRow.appendChild(document.createTextNode(' Merge books that are already in your library under a different id'));
+
+    const importBtn = document.createElement('button');
+    importBtn.className = 'primary';
+
+    const section = (label, items, describeItem) => {
+      const block = document.createElement('details');
+      const title = document.createElement('summary');
+      title.textContent = `${label} (${items.length})`;
+      const list = document.createElement('ul');
+      items.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = describeItem(item);
+        list.appendChild(li);
+      });
+      block.appendChild(title);
+      block.appendChild(list);
+      return block;
+    };
+
+    const render = () => {
+      diff = getDiff({ mergeDuplicates: mergeInput.checked });
+      const total = diff.add.length + diff.update.length;
+      summary.textContent = `${diff.add.length} to add · ${diff.update.length} to update · ${diff.skip.length} to skip`;
+      details.innerHTML = '';
+      if (diff.add.length) details.appendChild(section('Add', diff.add, book => book.title));
+      if (diff.update.length) details.appendChild(section('Update', diff.update, ({ book, fields }) => `${book.title} - ${fields.join(', ')}`));
+      if (diff.skip.length) details.appendChild(section('Skip', diff.skip, ({ book, reason }) => `${book.title} - ${reason}`));
+      importBtn.textContent = total ? `Import ${total} Book${total === 1 ? '' : 's'}` : 'Nothing to Import';
+      importBtn.disabled = total === 0;
+    };
+    mergeInput.onchange = render;
+
+    importBtn.onclick = async () => {
+      importBtn.disabled = true;
+      cancelBtn.disabled = true;
+      mergeInput.disabled = true;
+      summary.textContent = 'Saving...';
+      try {
+        summary.textContent = await onConfirm(diff);
+        details.remove();
+        mergeRow.remove();
+        importBtn.remove();
+        cancelBtn.textContent = 'Close';
+      } catch (error) {
+        summary.textContent = `Import failed: ${error.message}`;
+        importBtn.disabled = false;
+        mergeInput.disabled = false;
+      }
+      cancelBtn.disabled = false;
+    };
+
+    actions.appendChild(importBtn);
+    dialog.appendChild(summary);
+    dialog.appendChild(mergeRow);
+    dialog.appendChild(details);
+    render();
+  }
+
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !cancelBtn.disabled) {
+      overlay.remove();
+    }
+  });
+}
+
+/**
+ * Restore a full backup, either merged into the current library or replacing it.
+ * `getPlan(mode)` returns the restore plan for 'merge' or 'replace' (see backup.js
+ * planRestore); `onConfirm(plan)` applies it and resolves with a summary message.
+ */
+export function openRestoreDialog({ fileName, info, errors = [], getPlan, onConfirm }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog scrollable';
+
+  const heading = document.createElement('h3');
+  heading.textContent = `Restore ${fileName || 'backup'}`;
+
+  const source = document.createElement('p');
+  source.className = 'inline-dialog-hint';
+  const exported = info?.exportedAt ? new Date(info.exportedAt).toLocaleString() : 'an unknown date';
+  source.textContent = `Backup made ${exported} with Library Buddy ${info?.appVersion || ''}.`;
+
+  const summary = document.createElement('p');
+  summary.className = 'csv-summary';
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = errors.length ? 'Close' : 'Cancel';
+  cancelBtn.onclick = () => overlay.remove();
+  actions.appendChild(cancelBtn);
+
+  dialog.appendChild(heading);
+  if (info) dialog.appendChild(source);
+
+  if (errors.length) {
+    summary.textContent = 'Nothing was restored - the backup has problems:';
+    const list = document.createElement('ul');
+    list.className = 'csv-report';
+    errors.forEach(message => {
+      const item = document.createElement('li');
+      item.className = 'csv-row-error';
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    dialog.appendChild(summary);
+    dialog.appendChild(list);
+  } else {
+    let plan = null;
+
+    const modes = document.createElement('div');
+    modes.className = 'restore-modes';
+    const modeInputs = [
+      ['merge', 'Merge into my library', 'Adds missing books and series rules, updates changed books, and keeps settings you already have.'],
+      ['replace', 'Replace my library', 'Your books, series rules and settings become exactly what is in the backup. Books not in the backup are deleted.']
+    ].map(([value, label, hint], i) => {
+      const row = document.createElement('label');
+      row.className = 'restore-mode';
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'restore-mode';
+      input.value = value;
+      input.checked = i === 0;
+      const text = document.createElement('span');
+      const strong = document.createElement('strong');
+      strong.textContent = label;
+      const small = document.createElement('small');
+      small.textContent = hint;
+      text.appendChild(strong);
+      text.appendChild(small);
+      row.appendChild(input);
+      row.appendChild(text);
+      modes.appendChild(row);
+      return input;
+    });
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'primary';
+
+    const render = () => {
+      const mode = modeInputs.find(input => input.checked).value;
+      plan = getPlan(mode);
+      const { counts } = plan;
+      if (mode === 'replace') {
+        summary.textContent = `${counts.restored} books restored · ${counts.removed} removed · ${counts.rules} series rules · ${counts.preferences} settings`;
+        restoreBtn.textContent = 'Replace Library';
+      } else {
+        summary.textContent = `${counts.added} to add · ${counts.updated} to update · ${counts.skipped} to skip · ${counts.rules} new series rules · ${counts.preferences} settings`;
+        restoreBtn.textContent = 'Merge Backup';
+      }
+    };
+    modeInputs.forEach(input => { input.onchange = render; });
+
+    restoreBtn.onclick = async () => {
+      restoreBtn.disabled = true;
+      cancelBtn.disabled = true;
+      modeInputs.forEach(input => { input.disabled = true; });
+      summary.textContent = 'Restoring...';
+      try {
+        summary.textContent = await onConfirm(plan);
+        modes.remove();
+        restoreBtn.remove();
+        cancelBtn.textContent = 'Close';
+      } catch (error) {
+        summary.textContent = `Restore failed: ${error.message}`;
+        restoreBtn.disabled = false;
+        modeInputs.forEach(input => { input.disabled = false; });
+      }
+      cancelBtn.disabled = false;
+    };
+
+    actions.appendChild(restoreBtn);
+    dialog.appendChild(modes);
+    dialog.appendChild(summary);
+    render();
+  }
+
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !cancelBtn.disabled) {
+      overlay.remove();
+    }
+  });
+}
+
+/**
+ * Choose what to print for the books on the shelves.
+ * `layouts` maps layout keys to labels; `onPrint({ layout, includeCovers })` is called
+ * straight from the button click (so it may open a window) and resolves with a status message.
+ */
+export function openPrintDialog({ count, description, layouts, onPrint }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog';
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Print Catalog';
+
+  const intro = document.createElement('p');
+  intro.className = 'inline-dialog-hint';
+  intro.textContent = `${count} book${count === 1 ? '' : 's'} currently on the shelves, ${description}. Search first to print only some of them.`;
+
+  const modes = document.createElement('div');
+  modes.className = 'restore-modes';
+  const layoutInputs = Object.entries(layouts).map(([value, label], i) => {
+    const row = document.createElement('label');
+    row.className = 'restore-mode';
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'print-layout';
+    input.value = value;
+    input.checked = i === 0;
+    row.appendChild(input);
+    row.appendChild(document.createTextNode(` ${label}`));
+    modes.appendChild(row);
+    return input;
+  });
+
+  const coversRow = document.createElement('label');
+  coversRow.className = 'duplicate-apply-all';
+  const coversInput = document.createElement('input');
+  coversInput.type = 'checkbox';
+  coversInput.checked = true;
+  coversRow.appendChild(coversInput);
+  coversRow.appendChild(document.createTextNode(' Include cover thumbnails'));
+
+  const status = document.createElement('p');
+  status.className = 'csv-summary';
+
+  const selectedLayout = () => layoutInputs.find(input => input.checked).value;
+  layoutInputs.forEach(input => {
+    input.onchange = () => { coversRow.classList.toggle('hidden', selectedLayout() !== 'catalog'); };
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = () => overlay.remove();
+
+  const printBtn = document.createElement('button');
+  printBtn.className = 'primary';
+  printBtn.textContent = 'Open Printable Page';
+  printBtn.disabled = count === 0;
+  printBtn.onclick = async () => {
+    printBtn.disabled = true;
+    status.textContent = 'Preparing...';
+    try {
+      status.textContent = await onPrint({ layout: selectedLayout(), includeCovers: coversInput.checked });
+      cancelBtn.textContent = 'Close';
+    } catch (error) {
+      status.textContent = `Could not prepare the printout: ${error.message}`;
+    }
+    printBtn.disabled = false;
+  };
+
+  actions.appendChild(cancelBtn);
+  actions.appendChild(printBtn);
+
+  dialog.appendChild(heading);
+  dialog.appendChild(intro);
+  dialog.appendChild(modes);
+  dialog.appendChild(coversRow);
+  dialog.appendChild(status);
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') overlay.remove();
+  });
+}
+
+/**
+ * Smart shelf tabs above the shelves: "All books" plus one tab per saved shelf with its
+ * live book count. `onSelect(id)` gets null for "All books"; `onManage()` opens the editor.
+ */
+export function renderShelfTabs({ shelves, counts, total, activeId, onSelect, onManage }) {
+  const nav = document.getElementById('shelf-tabs');
+  if (!nav) return;
+  nav.innerHTML = '';
+  nav.classList.toggle('hidden', total === 0);
+
+  const addTab = (id, label, count) => {
+    const tab = document.createElement('button');
+    tab.className = 'shelf-tab';
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-selected', String(id === activeId));
+    tab.classList.toggle('active', id === activeId);
+    tab.textContent = `${label} (${count})`;
+    tab.onclick = () => onSelect(id);
+    nav.appendChild(tab);
+  };
+
+  addTab(null, 'All books', total);
+  shelves.forEach(shelf => addTab(shelf.id, shelf.name, counts.get(shelf.id) ?? 0));
+
+  const manageBtn = document.createElement('button');
+  manageBtn.className = 'shelf-tab manage';
+  manageBtn.textContent = '✎ Smart Shelves';
+  manageBtn.title = 'Add or remove smart shelves';
+  manageBtn.onclick = onManage;
+  nav.appendChild(manageBtn);
+}
+
+/**
+ * Edit the smart shelves. `countMatches(query)` previews how many books a query finds;
+ * `onSave(shelves)` persists the new list (and may throw).
+ */
+export function openSmartShelvesDialog({ shelves, countMatches, validate, createShelf, onSave }) {
+  let current = [...shelves];
+
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog';
+
+  const title = document.createElement('h3');
+  title.textContent = 'Smart Shelves';
+
+  const intro = document.createElement('p');
+  intro.className = 'inline-dialog-hint';
+  intro.textContent = 'A smart shelf is a saved search that stays up to date as your library changes. Use the search syntax, e.g. borrowed:yes, genre:fantasy status:unread, missing:yes, added:this-month.';
+
+  const list = document.createElement('ul');
+  list.className = 'series-rules-list';
+
+  const errorBox = document.createElement('div');
+  errorBox.className = 'inline-dialog-error hidden';
+
+  function showErrors(errors) {
+    errorBox.textContent = errors.join(' · ');
+    errorBox.classList.toggle('hidden', errors.length === 0);
+  }
+
+  async function save(next) {
+    await onSave(next);
+    current = next;
+    renderList();
+  }
+
+  function renderList() {
+    list.innerHTML = '';
+    if (current.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'series-rules-empty';
+      empty.textContent = 'No smart shelves yet.';
+      list.appendChild(empty);
+      return;
+    }
+    current.forEach((shelf, index) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = `${shelf.name} — ${shelf.query} (${countMatches(shelf.query)} books)`;
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Delete';
+      removeBtn.onclick = async () => {
+        try {
+          await save(current.filter((_, i) => i !== index));
+        } catch (error) {
+          showErrors([`Could not delete shelf: ${error.message}`]);
+        }
+      };
+      item.appendChild(label);
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    });
+  }
+
+  const nameRow = document.createElement('div');
+  nameRow.className = 'inline-dialog-row';
+  nameRow.innerHTML = `
+    <label for="smart-shelf-name">Shelf Name:</label>
+    <input type="text" id="smart-shelf-name" placeholder="e.g., Lent out" />
+  `;
+
+  const queryRow = document.createElement('div');
+  queryRow.className = 'inline-dialog-row';
+  queryRow.innerHTML = `
+    <label for="smart-shelf-query">Query:</label>
+    <input type="text" id="smart-shelf-query" placeholder="e.g., borrowed:yes" />
+  `;
+  const preview = document.createElement('p');
+  preview.className = 'inline-dialog-hint';
+  queryRow.appendChild(preview);
+
+  const nameInput = nameRow.querySelector('input');
+  const queryInput = queryRow.querySelector('input');
+  queryInput.addEventListener('input', () => {
+    preview.textContent = queryInput.value.trim() ? `Matches ${countMatches(queryInput.value)} books right now` : '';
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Close';
+  closeBtn.onclick = () => overlay.remove();
+
+  const addBtn = document.createElement('button');
+  addBtn.className = 'primary';
+  addBtn.textContent = 'Add Shelf';
+  addBtn.onclick = async () => {
+    const shelf = createShelf(nameInput.value, queryInput.value, current);
+    const errors = validate(shelf);
+    showErrors(errors);
+    if (errors.length) return;
+    try {
+      await save([...current, shelf]);
+      nameInput.value = '';
+      queryInput.value = '';
+      preview.textContent = '';
+    } catch (error) {
+      showErrors([`Could not save shelf: ${error.message}`]);
+    }
+  };
+
+  actions.appendChild(closeBtn);
+  actions.appendChild(addBtn);
+
+  dialog.appendChild(title);
+  dialog.appendChild(intro);
+  dialog.appendChild(list);
+  dialog.appendChild(nameRow);
+  dialog.appendChild(queryRow);
+  dialog.appendChild(errorBox);
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+
+  renderList();
+  document.body.appendChild(overlay);
+
+  setTimeout(() => nameInput.focus(), 100);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      overlay.remove();
+    }
+  });
+}
+
+/**
+ * Loans dashboard: every book that's out, soonest due first, with overdue ones highlighted.
+ * `getLoans()` resolves with loans.js listActiveLoans entries; `onOpen(entry)` shows the
+ * book's library card and `onReturn(entry)` records it as returned.
+ */
+export async function openLoansDialog({ getLoans, describeDue, onOpen, onReturn }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog scrollable';
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Loans';
+
+  const summary = document.createElement('p');
+  summary.className = 'inline-dialog-hint';
+
+  const list = document.createElement('ul');
+  list.className = 'loans-list';
+
+  async function render() {
+    const loans = await getLoans();
+    const overdue = loans.filter(entry => entry.overdue).length;
+    summary.textContent = loans.length === 0
+      ? 'Nothing is lent out right now.'
+      : `${loans.length} book${loans.length === 1 ? '' : 's'} lent out${overdue ? `, ${overdue} overdue` : ''}.`;
+
+    list.innerHTML = '';
+    loans.forEach(entry => {
+      const { book, loan } = entry;
+      const item = document.createElement('li');
+      item.className = `loan-entry${entry.overdue ? ' overdue' : ''}`;
+
+      const details = document.createElement('div');
+      details.className = 'loan-details';
+      const title = document.createElement('span');
+      title.className = 'loan-title';
+      title.textContent = book.title || 'Untitled';
+      const meta = document.createElement('span');
+      meta.className = 'loan-meta';
+      const due = describeDue(entry);
+      meta.textContent = [
+        loan.name,
+        loan.date ? `since ${loan.date}` : '',
+        loan.dueDate ? `due ${loan.dueDate}${due ? ` (${due})` : ''}` : 'no due date'
+      ].filter(Boolean).join(' · ');
+      details.appendChild(title);
+      details.appendChild(meta);
+      if (loan.notes) {
+        const notes = document.createElement('span');
+        notes.className = 'loan-notes';
+        notes.textContent = loan.notes;
+        details.appendChild(notes);
+      }
+
+      const openBtn = document.createElement('button');
+      openBtn.textContent = 'Open';
+      openBtn.onclick = async () => {
+        overlay.remove();
+        await onOpen(entry);
+      };
+
+      const returnBtn = document.createElement('button');
+      returnBtn.className = 'primary';
+      returnBtn.textContent = 'Returned';
+      returnBtn.onclick = async () => {
+        returnBtn.disabled = true;
+        try {
+          await onReturn(entry);
+          await render();
+        } catch (error) {
+          returnBtn.disabled = false;
+          meta.textContent = `Could not record the return: ${error.message}`;
+        }
+      };
+
+      item.appendChild(details);
+      item.appendChild(openBtn);
+      item.appendChild(returnBtn);
+      list.appendChild(item);
+    });
+  }
+
+  const footer = document.createElement('div');
+  footer.className = 'inline-dialog-actions';
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Close';
+  closeBtn.onclick = () => overlay.remove();
+  footer.appendChild(closeBtn);
+
+  dialog.appendChild(heading);
+  dialog.appendChild(summary);
+  dialog.appendChild(list);
+  dialog.appendChild(footer);
+  overlay.appendChild(dialog);
+
+  await render();
+  document.body.appendChild(overlay);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      overlay.remove();
+    }
+  });
+}
+
+/**
+ * Borrower directory: everyone books get lent to, with how many books each holds.
+ * `onAdd(fields)` resolves with the saved list (and may throw with a readable message),
+ * `onOpenProfile(borrower)` shows their profile and `onDelete(borrower)` removes them.
+ */
+export function openBorrowersDialog({ borrowers, countCurrent, onAdd, onOpenProfile, onDelete }) {
+  let current = [...borrowers];
+
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog scrollable';
+
+  const title = document.createElement('h3');
+  title.textContent = 'Borrowers';
+
+  const intro = document.createElement('p');
+  intro.className = 'inline-dialog-hint';
+  intro.textContent = 'Names typed on a library card or said to voice commands are matched to these people, including their aliases and small typos.';
+
+  const list = document.createElement('ul');
+  list.className = 'series-rules-list';
+
+  const errorBox = document.createElement('div');
+  errorBox.className = 'inline-dialog-error hidden';
+
+  function showErrors(errors) {
+    errorBox.textContent = errors.join(' · ');
+    errorBox.classList.toggle('hidden', errors.length === 0);
+  }
+
+  function renderList() {
+    list.innerHTML = '';
+    if (current.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'series-rules-empty';
+      empty.textContent = 'No borrowers yet. They are added when you lend a book.';
+      list.appendChild(empty);
+      return;
+    }
+    [...current].sort((a, b) => a.name.localeCompare(b.name)).forEach(borrower => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      const holding = countCurrent(borrower);
+      const aliases = borrower.aliases?.length ? ` (${borrower.aliases.join(', ')})` : '';
+      label.textContent = `${borrower.name}${aliases}${holding ? ` — has ${holding} book${holding === 1 ? '' : 's'}` : ''}`;
+
+      const profileBtn = document.createElement('button');
+      profileBtn.textContent = 'Profile';
+      profileBtn.onclick = () => {
+        overlay.remove();
+        onOpenProfile(borrower);
+      };
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Delete';
+      removeBtn.title = 'Remove from the directory (their borrowing history stays on the books)';
+      removeBtn.onclick = async () => {
+        try {
+          current = await onDelete(borrower);
+          renderList();
+        } catch (error) {
+          showErrors([`Could not delete ${borrower.name}: ${error.message}`]);
+        }
+      };
+
+      item.appendChild(label);
+      item.appendChild(profileBtn);
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    });
+  }
+
+  const form = document.createElement('div');
+  form.innerHTML = `
+    <div class="inline-dialog-row">
+      <label for="new-borrower-name">Name:</label>
+      <input type="text" id="new-borrower-name" placeholder="e.g., Sam Kim" />
+    </div>
+    <div class="inline-dialog-row">
+      <label for="new-borrower-aliases">Aliases (comma-separated):</label>
+      <input type="text" id="new-borrower-aliases" placeholder="e.g., Sammy, Sam K" />
+    </div>
+    <div class="inline-dialog-row">
+      <label for="new-borrower-email">Email:</label>
+      <input type="email" id="new-borrower-email" />
+    </div>
+    <div class="inline-dialog-row">
+      <label for="new-borrower-phone">Phone:</label>
+      <input type="tel" id="new-borrower-phone" />
+    </div>
+  `;
+  const input = (id) => form.querySelector(`#new-borrower-${id}`);
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Close';
+  closeBtn.onclick = () => overlay.remove();
+
+  const addBtn = document.createElement('button');
+  addBtn.className = 'primary';
+  addBtn.textContent = 'Add Borrower';
+  addBtn.onclick = async () => {
+    try {
+      current = await onAdd({
+        name: input('name').value,
+        aliases: input('aliases').value,
+        email: input('email').value,
+        phone: input('phone').value
+      });
+      form.querySelectorAll('input').forEach(field => { field.value = ''; });
+      showErrors([]);
+      renderList();
+    } catch (error) {
+      showErrors([error.message]);
+    }
+  };
+
+  actions.appendChild(closeBtn);
+  actions.appendChild(addBtn);
+
+  dialog.appendChild(title);
+  dialog.appendChild(intro);
+  dialog.appendChild(list);
+  dialog.appendChild(form);
+  dialog.appendChild(errorBox);
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+
+  renderList();
+  document.body.appendChild(overlay);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      overlay.remove();
+    }
+  });
+}
+
+/**
+ * One borrower's profile: contact details (editable), the books they hold now and
+ * everything they borrowed before. `history` is borrowers.js borrowerHistory output;
+ * `onSave(fields)` resolves with the updated borrower (and may throw), `onOpenBook(entry)`
+ * opens a book from either list.
+ */
+export function openBorrowerProfile({ borrower, history, onSave, onOpenBook }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog scrollable';
+
+  const title = document.createElement('h3');
+  title.textContent = borrower.name;
+
+  const form = document.createElement('div');
+  form.innerHTML = `
+    <div class="inline-dialog-row">
+      <label for="profile-name">Name:</label>
+      <input type="text" id="profile-name" />
+    </div>
+    <div class="inline-dialog-row">
+      <label for="profile-aliases">Aliases (comma-separated):</label>
+      <input type="text" id="profile-aliases" />
+    </div>
+    <div class="inline-dialog-row">
+      <label for="profile-email">Email:</label>
+      <input type="email" id="profile-email" />
+    </div>
+    <div class="inline-dialog-row">
+      <label for="profile-phone">Phone:</label>
+      <input type="tel" id="profile-phone" />
+    </div>
+  `;
+  const input = (id) => form.querySelector(`#profile-${id}`);
+  input('name').value = borrower.name;
+  input('aliases').value = (borrower.aliases || []).join(', ');
+  input('email').value = borrower.email || '';
+  input('phone').value = borrower.phone || '';
+
+  const errorBox = document.createElement('div');
+  errorBox.className = 'inline-dialog-error hidden';
+
+  const section = (label, entries, empty, describe) => {
+    const wrapper = document.createElement('div');
+    const heading = document.createElement('h4');
+    heading.textContent = `${label} (${entries.length})`;
+    const list = document.createElement('ul');
+    list.className = 'loans-list';
+    if (entries.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'series-rules-empty';
+      item.textContent = empty;
+      list.appendChild(item);
+    }
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'loan-entry';
+      const details = document.createElement('div');
+      details.className = 'loan-details';
+      const bookTitle = document.createElement('span');
+      bookTitle.className = 'loan-title';
+      bookTitle.textContent = entry.book.title || 'Untitled';
+      const meta = document.createElement('span');
+      meta.className = 'loan-meta';
+      meta.textContent = describe(entry.loan);
+      details.appendChild(bookTitle);
+      details.appendChild(meta);
+      const openBtn = document.createElement('button');
+      openBtn.textContent = 'Open';
+      openBtn.onclick = () => {
+        overlay.remove();
+        onOpenBook(entry);
+      };
+      item.appendChild(details);
+      item.appendChild(openBtn);
+      list.appendChild(item);
+    });
+    wrapper.appendChild(heading);
+    wrapper.appendChild(list);
+    return wrapper;
+  };
+
+  const holding = section('Has now', history.current, 'Nothing borrowed right now.',
+    loan => [loan.date ? `since ${loan.date}` : '', loan.dueDate ? `due ${loan.dueDate}` : ''].filter(Boolean).join(' · '));
+  const past = section('Borrowed before', history.past, 'No earlier loans.',
+    loan => `${loan.date || '?'} – ${loan.returnDate}`);
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Close';
+  closeBtn.onclick = () => overlay.remove();
+
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'primary';
+  saveBtn.textContent = 'Save Details';
+  saveBtn.onclick = async () => {
+    try {
+      const updated = await onSave({
+        name: input('name').value,
+        aliases: input('aliases').value,
+        email: input('email').value,
+        phone: input('phone').value
+      });
+      title.textContent = updated.name;
+      errorBox.classList.add('hidden');
+    } catch (error) {
+      errorBox.textContent = error.message;
+      errorBox.classList.remove('hidden');
+    }
+  };
+
+  actions.appendChild(closeBtn);
+  actions.appendChild(saveBtn);
+
+  dialog.appendChild(title);
+  dialog.appendChild(form);
+  dialog.appendChild(errorBox);
+  dialog.appendChild(holding);
+  dialog.appendChild(past);
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      overlay.remove();
+    }
+  });
+}
+
+/**
+ * Small yes/no question as an inline dialog (e.g. offering a hold, or lending to whoever is
+ * next in line). `container` is where the overlay goes - the library card when it's open,
+ * so the overlay shows above the modal. Resolves with true when confirmed.
+ */
+export function confirmInline({ heading, message, confirmLabel, cancelLabel = 'Cancel', container = document.body }) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'inline-overlay fixed';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'inline-dialog';
+
+    const title = document.createElement('h3');
+    title.textContent = heading;
+
+    const text = document.createElement('p');
+    text.className = 'inline-dialog-hint';
+    text.textContent = message;
+
+    const actions = document.createElement('div');
+    actions.className = 'inline-dialog-actions';
+    const choose = (confirmed) => {
+      overlay.remove();
+      resolve(confirmed);
+    };
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = cancelLabel;
+    cancelBtn.onclick = () => choose(false);
+
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'primary';
+    confirmBtn.textContent = confirmLabel;
+    confirmBtn.onclick = () => choose(true);
+
+    actions.appendChild(cancelBtn);
+    actions.appendChild(confirmBtn);
+
+    dialog.appendChild(title);
+    dialog.appendChild(text);
+    dialog.appendChild(actions);
+    overlay.appendChild(dialog);
+    container.appendChild(overlay);
+
+    setTimeout(() => confirmBtn.focus(), 100);
+
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') choose(false);
+    });
+  });
+}
+
+/**
+ * Share link settings. `onToggle(enabled)` turns sharing on or off and resolves with
+ * { enabled, link } (it may throw with a readable message).
+ */
+export function openShareDialog({ enabled, link, onToggle }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog';
+
+  const title = document.createElement('h3');
+  title.textContent = 'Share Library';
+
+  const intro = document.createElement('p');
+  intro.className = 'inline-dialog-hint';
+  intro.textContent = 'Anyone with the link can browse your shelves and see whether a book is on loan - never who has it or your notes. They can ask to borrow a book; requests arrive in your inbox (📬).';
+
+  const toggleRow = document.createElement('div');
+  toggleRow.className = 'inline-dialog-row';
+  toggleRow.innerHTML = `
+    <label class="share-toggle"><input type="checkbox" id="share-enabled" /> Share my library with a link</label>
+  `;
+  const checkbox = toggleRow.querySelector('#share-enabled');
+
+  const linkRow = document.createElement('div');
+  linkRow.className = 'inline-dialog-row share-link-row';
+  linkRow.innerHTML = `
+    <label for="share-link">Link:</label>
+    <input type="text" id="share-link" readonly />
+  `;
+  const linkInput = linkRow.querySelector('#share-link');
+
+  const status = document.createElement('div');
+  status.className = 'inline-dialog-error hidden';
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Close';
+  closeBtn.onclick = () => overlay.remove();
+
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'primary';
+  copyBtn.textContent = 'Copy Link';
+  copyBtn.onclick = async () => {
+    try {
+      await navigator.clipboard.writeText(linkInput.value);
+      copyBtn.textContent = 'Copied!';
+    } catch (_) {
+      // Clipboard blocked: leave the link selected for a manual copy
+      linkInput.select();
+    }
+  };
+
+  function render(state) {
+    checkbox.checked = state.enabled;
+    linkInput.value = state.link || '';
+    linkRow.classList.toggle('hidden', !state.enabled);
+    copyBtn.classList.toggle('hidden', !state.enabled);
+    copyBtn.textContent = 'Copy Link';
+  }
+
+  checkbox.onchange = async () => {
+    checkbox.disabled = true;
+    status.classList.add('hidden');
+    try {
+      render(await onToggle(checkbox.checked));
+    } catch (error) {
+      checkbox.checked = !checkbox.checked;
+      status.textContent = error.message;
+      status.classList.remove('hidden');
+    } finally {
+      checkbox.disabled = false;
+    }
+  };
+
+  actions.appendChild(closeBtn);
+  actions.appendChild(copyBtn);
+
+  dialog.appendChild(title);
+  dialog.appendChild(intro);
+  dialog.appendChild(toggleRow);
+  dialog.appendChild(linkRow);
+  dialog.appendChild(status);
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+
+  render({ enabled, link });
+  document.body.appendChild(overlay);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      overlay.remove();
+    }
+  });
+}
+
+/**
+ * Borrow requests sent through the share link, oldest first. `getRequests()` returns the
+ * open requests, `onOpen(request)` opens the book's library card and `onDismiss(request)`
+ * deletes the request.
+ */
+export function openInboxDialog({ getRequests, onOpen, onDismiss }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog scrollable';
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Borrow Requests';
+
+  const list = document.createElement('ul');
+  list.className = 'loans-list';
+
+  function render() {
+    const requests = getRequests();
+    list.innerHTML = '';
+    if (requests.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'series-rules-empty';
+      empty.textContent = 'No requests. Friends can ask to borrow a book from your share link.';
+      list.appendChild(empty);
+      return;
+    }
+    requests.forEach(request => {
+      const item = document.createElement('li');
+      item.className = 'loan-entry';
+
+      const details = document.createElement('div');
+      details.className = 'loan-details';
+      const title = document.createElement('span');
+      title.className = 'loan-title';
+      title.textContent = request.bookTitle || 'Untitled';
+      const meta = document.createElement('span');
+      meta.className = 'loan-meta';
+      meta.textContent = [
+        request.name,
+        request.contact,
+        request.createdAt ? `asked ${request.createdAt.slice(0, 10)}` : ''
+      ].filter(Boolean).join(' · ');
+      details.appendChild(title);
+      details.appendChild(meta);
+      if (request.message) {
+        const message = document.createElement('span');
+        message.className = 'loan-notes';
+        message.textContent = request.message;
+        details.appendChild(message);
+      }
+
+      const openBtn = document.createElement('button');
+      openBtn.className = 'primary';
+      openBtn.textContent = 'Open Card';
+      openBtn.title = 'Open the library card to lend the book or place a hold';
+      openBtn.onclick = async () => {
+        overlay.remove();
+        await onOpen(request);
+      };
+
+      const dismissBtn = document.createElement('button');
+      dismissBtn.textContent = 'Dismiss';
+      dismissBtn.onclick = async () => {
+        dismissBtn.disabled = true;
+        try {
+          await onDismiss(request);
+          item.remove();
+          if (!list.children.length) render();
+        } catch (error) {
+          dismissBtn.disabled = false;
+          meta.textContent = `Could not dismiss the request: ${error.message}`;
+        }
+      };
+
+      item.appendChild(details);
+      item.appendChild(openBtn);
+      item.appendChild(dismissBtn);
+      list.appendChild(item);
+    });
+  }
+
+  const footer = document.createElement('div');
+  footer.className = 'inline-dialog-actions';
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Close';
+  closeBtn.onclick = () => overlay.remove();
+  footer.appendChild(closeBtn);
+
+  dialog.appendChild(heading);
+  dialog.appendChild(list);
+  dialog.appendChild(footer);
+  overlay.appendChild(dialog);
+
+  render();
+  document.body.appendChild(overlay);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      overlay.remove();
+    }
+  });
+}
+
+/**
+ * Visitor's request to borrow a book from a shared library. `onSend(fields)` sends it
+ * (and may throw with a readable message); `limits` are the longest values allowed.
+ */
+export function openBorrowRequestDialog({ book, limits, onSend, container = document.body }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'inline-overlay fixed';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'inline-dialog';
+
+  const title = document.createElement('h3');
+  title.textContent = `Ask to borrow "${book.title || 'Untitled'}"`;
+
+  const intro = document.createElement('p');
+  intro.className = 'inline-dialog-hint';
+  intro.textContent = book.shareStatus === 'available'
+    ? 'The owner will see your request and get back to you.'
+    : 'This book is out right now - the owner can put you on the waiting list.';
+
+  const form = document.createElement('div');
+  form.innerHTML = `
+    <div class="inline-dialog-row">
+      <label for="request-name">Your name:</label>
+      <input type="text" id="request-name" maxlength="${limits.name}" />
+    </div>
+    <div class="inline-dialog-row">
+      <label for="request-contact">How to reach you (optional):</label>
+      <input type="text" id="request-contact" maxlength="${limits.contact}" placeholder="Email or phone" />
+    </div>
+    <div class="inline-dialog-row">
+      <label for="request-message">Message (optional):</label>
+      <textarea id="request-message" rows="3" maxlength="${limits.message}"></textarea>
+    </div>
+  `;
+  const input = (id) => form.querySelector(`#request-${id}`);
+
+  const errorBox = document.createElement('div');
+  errorBox.className = 'inline-dialog-error hidden';
+
+  const actions = document.createElement('div');
+  actions.className = 'inline-dialog-actions';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = () => overlay.remove();
+
+  const sendBtn = document.createElement('button');
+  sendBtn.className = 'primary';
+  sendBtn.textContent = 'Send Request';
+  sendBtn.onclick = async () => {
+    sendBtn.disabled = true;
+    try {
+      await onSend({
+        name: input('name').value,
+        contact: input('contact').value,
+        message: input('message').value
+      });
+      overlay.remove();
+    } catch (error) {
+      errorBox.textContent = error.message;
+      errorBox.classList.remove('hidden');
+      sendBtn.disabled = false;
+    }
+  };
+
+  actions.appendChild(cancelBtn);
+  actions.appendChild(sendBtn);
+
+  dialog.appendChild(title);
+  dialog.appendChild(intro);
+  dialog.appendChild(form);
+  dialog.appendChild(errorBox);
+  dialog.appendChild(actions);
+  overlay.appendChild(dialog);
+  container.appendChild(overlay);
+
+  setTimeout(() => input('name').focus(), 100);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      overlay.remove();
+    }
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * Work-level identity: different editions (hardcover, paperback, ...) of the same book.
+ * Copies belong to the same work when they share an Open Library work key, or - when a
+ * key is missing - when their normalized titles and first authors match closely.
+ */
+
+import { getBookAuthors } from './authors.js';
+
+// Titles at least this similar (Dice coefficient on letter pairs) count as the same work
+const TITLE_SIMILARITY_THRESHOLD = 0.9;
+const EDITION_WORDS = /\b(anniversary|deluxe|special|collector'?s|illustrated|annotated|limited|revised|expanded|movie tie-in|tie-in|unabridged|abridged|\d+(st|nd|rd|th))\s+(edition|ed\.?)\b/g;
+
+/** Lowercase title without subtitles, bracketed notes, edition labels, articles or punctuation */
+export function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/\s*[([][^)\]]*[)\]]/g, '')
+    .replace(/\s*[:;]\s.*$/, '')
+    .replace(EDITION_WORDS, '')
+    .replace(/^(the|a|an)\s+/, '')
+    .replace(/&/g, 'and')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function letterPairs(text) {
+  const pairs = [];
+  const compact = text.replace(/\s+/g, ' ');
+  for (let i = 0; i < compact.length - 1; i++) pairs.push(compact.slice(i, i + 2));
+  return pairs;
+}
+
+/** Similarity of two titles from 0 (unrelated) to 1 (same after normalization) */
+export function titleSimilarity(a, b) {
+  const x = normalizeTitle(a);
+  const y = normalizeTitle(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const pairsX = letterPairs(x);
+  const pairsY = letterPairs(y);
+  if (!pairsX.length || !pairsY.length) return 0;
+  const counts = new Map();
+  pairsX.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let shared = 0;
+  pairsY.forEach(pair => {
+    const n = counts.get(pair) || 0;
+    if (n > 0) {
+      shared++;
+      counts.set(pair, n - 1);
+    }
+  });
+  return (2 * shared) / (pairsX.length + pairsY.length);
+}
+
+/** Surname-level key for the first author ('' when unknown) */
+export function authorKey(book) {
+  const first = getBookAuthors(book)[0];
+  return first ? first.sortName.split(',')[0].trim().toLowerCase() : '';
+}
+
+/** True when two copies look like editions of the same work */
+export function isSameWork(a, b) {
+  if (a.workKey && b.workKey) return a.workKey === b.workKey;
+  if (a.seriesNumber != null && b.seriesNumber != null && Number(a.seriesNumber) !== Number(b.seriesNumber)) return false;
+  const authorA = authorKey(a);
+  if (!authorA || authorA !== authorKey(b)) return false;
+  return titleSimilarity(a.title, b.title) >= TITLE_SIMILARITY_THRESHOLD;
+}
+
+// Copy shown on the shelf for a work: prefer one with a cover, then the lowest id
+function pickPrimary(copies) {
+  return [...copies].sort((a, b) => {
+    const coverA = a.coverUrl ? 0 : 1;
+    const coverB = b.coverUrl ? 0 : 1;
+    if (coverA !== coverB) return coverA - coverB;
+    return String(a.id || a.isbn).localeCompare(String(b.id || b.isbn));
+  })[0];
+}
+
+/**
+ * Group books into works. Returns [{ key, primary, copies }] in first-seen order.
+ * Only books by the same author are compared, so this stays cheap for large libraries.
+ */
+export function groupWorks(books = []) {
+  const parent = books.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  // Work key carried by each group, so fuzzy matches never join two different OL works
+  const groupKey = books.map(book => book.workKey || null);
+  const union = (i, j) => {
+    const a = find(i);
+    const b = find(j);
+    if (a === b) return;
+    if (groupKey[a] && groupKey[b] && groupKey[a] !== groupKey[b]) return;
+    parent[b] = a;
+    groupKey[a] = groupKey[a] || groupKey[b];
+  };
+
+  const byWorkKey = new Map();
+  const byAuthor = new Map();
+  books.forEach((book, i) => {
+    if (book.workKey) {
+      if (byWorkKey.has(book.workKey)) union(byWorkKey.get(book.workKey), i);
+      else byWorkKey.set(book.workKey, i);
+    }
+    const key = authorKey(book);
+    if (key) {
+      if (!byAuthor.has(key)) byAuthor.set(key, []);
+      byAuthor.get(key).push(i);
+    }
+  });
+
+  byAuthor.forEach(indexes => {
+    for (let x = 0; x < indexes.length; x++) {
+      for (let y = x + 1; y < indexes.length; y++) {
+        const i = indexes[x];
+        const j = indexes[y];
+        if (find(i) !== find(j) && isSameWork(books[i], books[j])) union(i, j);
+      }
+    }
+  });
+
+  const groups = new Map();
+  books.forEach((book, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(book);
+  });
+
+  return Array.from(groups.values()).map(copies => {
+    const primary = pickPrimary(copies);
+    return {
+      key: primary.workKey || `${authorKey(primary)}|${normalizeTitle(primary.title)}`,
+      primary,
+      copies
+    };
+  });
+}
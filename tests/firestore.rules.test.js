@@ -0,0 +1,207 @@
+/**
+ * Security rules for share links (firestore.rules, shares/{shareId}), run against the
+ * Firestore emulator: `npm run test:rules`.
+ */
+
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, collection, setDoc, getDoc, getDocs, updateDoc, deleteDoc, addDoc, query, where } from 'firebase/firestore';
+
+const SHARE_ID = 'share123';
+const OWNER = 'alice';
+const OTHER = 'bob';
+
+const book = { id: 'book-1', title: 'Fourth Wing', author: 'Rebecca Yarros', shareStatus: 'available', waiting: 0 };
+const request = { bookId: 'book-1', bookTitle: 'Fourth Wing', name: 'Sam', createdAt: '2026-10-19T12:00:00.000Z' };
+
+let testEnv;
+
+const asOwner = () => testEnv.authenticatedContext(OWNER).firestore();
+const asOther = () => testEnv.authenticatedContext(OTHER).firestore();
+const asVisitor = () => testEnv.unauthenticatedContext().firestore();
+
+// Write test data without going through the rules
+function seed(write) {
+  return testEnv.withSecurityRulesDisabled(context => write(context.firestore()));
+}
+
+function seedShare({ enabled = true } = {}) {
+  return seed(async db => {
+    await setDoc(doc(db, 'shares', SHARE_ID), { ownerUid: OWNER, enabled, updatedAt: '2026-10-19T12:00:00.000Z' });
+    await setDoc(doc(db, 'shares', SHARE_ID, 'books', book.id), book);
+  });
+}
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-library-buddy',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+  });
+});
+
+beforeEach(() => testEnv.clearFirestore());
+
+after(() => testEnv.cleanup());
+
+describe('shares/{shareId}', () => {
+  const share = (ownerUid, enabled = true) => ({ ownerUid, enabled, updatedAt: '2026-10-19T12:00:00.000Z' });
+
+  test('the owner can create, update and delete their share', async () => {
+    const ref = doc(asOwner(), 'shares', SHARE_ID);
+    await assertSucceeds(setDoc(ref, share(OWNER)));
+    await assertSucceeds(setDoc(ref, share(OWNER, false)));
+    await assertSucceeds(deleteDoc(ref));
+  });
+
+  test('nobody can create a share on behalf of someone else', async () => {
+    await assertFails(setDoc(doc(asOther(), 'shares', SHARE_ID), share(OWNER)));
+    await assertFails(setDoc(doc(asVisitor(), 'shares', SHARE_ID), share(OWNER)));
+  });
+
+  test('a share only holds ownerUid, enabled and updatedAt', async () => {
+    await assertFails(setDoc(doc(asOwner(), 'shares', SHARE_ID), { ...share(OWNER), title: 'My books' }));
+    await assertFails(setDoc(doc(asOwner(), 'shares', SHARE_ID), { ...share(OWNER), enabled: 'yes' }));
+  });
+
+  test('a non-owner cannot update or delete a share', async () => {
+    await seedShare();
+    await assertFails(updateDoc(doc(asOther(), 'shares', SHARE_ID), { enabled: false }));
+    await assertFails(deleteDoc(doc(asOther(), 'shares', SHARE_ID)));
+    await assertFails(deleteDoc(doc(asVisitor(), 'shares', SHARE_ID)));
+  });
+
+  test('the owner cannot hand a share over to someone else', async () => {
+    await seedShare();
+    await assertFails(updateDoc(doc(asOwner(), 'shares', SHARE_ID), { ownerUid: OTHER }));
+  });
+
+  test('visitors can open an enabled share but not a disabled one', async () => {
+    await seedShare();
+    await assertSucceeds(getDoc(doc(asVisitor(), 'shares', SHARE_ID)));
+    await seedShare({ enabled: false });
+    await assertFails(getDoc(doc(asVisitor(), 'shares', SHARE_ID)));
+    await assertSucceeds(getDoc(doc(asOwner(), 'shares', SHARE_ID)));
+  });
+
+  test('shares cannot be listed, so a share id cannot be discovered', async () => {
+    await seedShare();
+    await assertFails(getDocs(collection(asVisitor(), 'shares')));
+    await assertFails(getDocs(query(collection(asVisitor(), 'shares'), where('enabled', '==', true))));
+    await assertFails(getDocs(collection(asOther(), 'shares')));
+    await assertFails(getDocs(query(collection(asOwner(), 'shares'), where('ownerUid', '==', OWNER))));
+  });
+});
+
+describe('shares/{shareId}/books', () => {
+  test('visitors can browse books while sharing is enabled', async () => {
+    await seedShare();
+    await assertSucceeds(getDocs(collection(asVisitor(), 'shares', SHARE_ID, 'books')));
+    await assertSucceeds(getDoc(doc(asVisitor(), 'shares', SHARE_ID, 'books', book.id)));
+  });
+
+  test('visitors are denied once sharing is disabled; the owner still has access', async () => {
+    await seedShare();
+    await assertSucceeds(updateDoc(doc(asOwner(), 'shares', SHARE_ID), { enabled: false }));
+    await assertFails(getDocs(collection(asVisitor(), 'shares', SHARE_ID, 'books')));
+    await assertFails(getDoc(doc(asOther(), 'shares', SHARE_ID, 'books', book.id)));
+    await assertSucceeds(getDocs(collection(asOwner(), 'shares', SHARE_ID, 'books')));
+  });
+
+  test('only the owner can publish or unpublish books', async () => {
+    await seedShare();
+    const next = { ...book, id: 'book-2' };
+    await assertFails(setDoc(doc(asOther(), 'shares', SHARE_ID, 'books', 'book-2'), next));
+    await assertFails(setDoc(doc(asVisitor(), 'shares', SHARE_ID, 'books', 'book-2'), next));
+    await assertFails(deleteDoc(doc(asVisitor(), 'shares', SHARE_ID, 'books', book.id)));
+    await assertSucceeds(setDoc(doc(asOwner(), 'shares', SHARE_ID, 'books', 'book-2'), next));
+    await assertSucceeds(deleteDoc(doc(asOwner(), 'shares', SHARE_ID, 'books', 'book-2')));
+  });
+
+  test('published books reject fields outside the public list', async () => {
+    await seedShare();
+    const ref = doc(asOwner(), 'shares', SHARE_ID, 'books', book.id);
+    await assertFails(setDoc(ref, { ...book, borrowers: [{ name: 'Sam', date: '2026-10-01' }] }));
+    await assertFails(setDoc(ref, { ...book, notes: 'Signed copy' }));
+    await assertFails(setDoc(ref, { ...book, holds: [{ name: 'Jo' }] }));
+    await assertSucceeds(setDoc(ref, { ...book, series: 'The Empyrean', seriesNumber: 1 }));
+  });
+
+  test('published books need a known status and their own id', async () => {
+    await seedShare();
+    const ref = doc(asOwner(), 'shares', SHARE_ID, 'books', book.id);
+    await assertFails(setDoc(ref, { ...book, shareStatus: 'with Sam' }));
+    await assertFails(setDoc(ref, { ...book, id: 'book-9' }));
+  });
+});
+
+describe('shares/{shareId}/requests', () => {
+  const requests = (db) => collection(db, 'shares', SHARE_ID, 'requests');
+
+  test('visitors can send a request while sharing is enabled', async () => {
+    await seedShare();
+    await assertSucceeds(addDoc(requests(asVisitor()), request));
+    await assertSucceeds(addDoc(requests(asOther()), { ...request, contact: 'sam@example.com', message: 'Could I borrow it next week?' }));
+  });
+
+  test('requests are refused once sharing is disabled', async () => {
+    await seedShare({ enabled: false });
+    await assertFails(addDoc(requests(asVisitor()), request));
+  });
+
+  test('the required keys must be present', async () => {
+    await seedShare();
+    for (const key of ['bookId', 'bookTitle', 'name', 'createdAt']) {
+      const { [key]: _omitted, ...incomplete } = request;
+      await assertFails(addDoc(requests(asVisitor()), incomplete));
+    }
+  });
+
+  test('only the allowed keys may be sent', async () => {
+    await seedShare();
+    await assertFails(addDoc(requests(asVisitor()), { ...request, status: 'approved' }));
+    await assertFails(addDoc(requests(asVisitor()), { ...request, borrowerId: 'sam' }));
+  });
+
+  test('name, contact, message and title lengths are limited', async () => {
+    await seedShare();
+    const send = (fields) => addDoc(requests(asVisitor()), { ...request, ...fields });
+    await assertSucceeds(send({ name: 'n'.repeat(60) }));
+    await assertFails(send({ name: 'n'.repeat(61) }));
+    await assertFails(send({ name: '' }));
+    await assertSucceeds(send({ contact: 'c'.repeat(100) }));
+    await assertFails(send({ contact: 'c'.repeat(101) }));
+    await assertSucceeds(send({ message: 'm'.repeat(500) }));
+    await assertFails(send({ message: 'm'.repeat(501) }));
+    await assertSucceeds(send({ bookTitle: 't'.repeat(200) }));
+    await assertFails(send({ bookTitle: 't'.repeat(201) }));
+  });
+
+  test('fields must have the right types', async () => {
+    await seedShare();
+    const send = (fields) => addDoc(requests(asVisitor()), { ...request, ...fields });
+    await assertFails(send({ name: 42 }));
+    await assertFails(send({ contact: { email: 'sam@example.com' } }));
+    await assertFails(send({ createdAt: 1760875200000 }));
+  });
+
+  test('the requested book must be published', async () => {
+    await seedShare();
+    await assertFails(addDoc(requests(asVisitor()), { ...request, bookId: 'not-shared' }));
+  });
+
+  test('only the owner can read or delete requests', async () => {
+    await seedShare();
+    await seed(db => setDoc(doc(db, 'shares', SHARE_ID, 'requests', 'r1'), request));
+
+    await assertFails(getDocs(requests(asVisitor())));
+    await assertFails(getDocs(requests(asOther())));
+    await assertFails(getDoc(doc(asOther(), 'shares', SHARE_ID, 'requests', 'r1')));
+    await assertFails(deleteDoc(doc(asVisitor(), 'shares', SHARE_ID, 'requests', 'r1')));
+    await assertFails(deleteDoc(doc(asOther(), 'shares', SHARE_ID, 'requests', 'r1')));
+    await assertFails(updateDoc(doc(asVisitor(), 'shares', SHARE_ID, 'requests', 'r1'), { name: 'Someone else' }));
+
+    await assertSucceeds(getDocs(requests(asOwner())));
+    await assertSucceeds(deleteDoc(doc(asOwner(), 'shares', SHARE_ID, 'requests', 'r1')));
+  });
+});
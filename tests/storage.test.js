@@ -0,0 +1,97 @@
+/**
+ * storage.js against the IndexedDB adapter, without Firebase: `npm test`.
+ * fake-indexeddb provides the IndexedDB globals Node lacks.
+ */
+
+import 'fake-indexeddb/auto';
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { storage, events, setStorageAdapter } from '../src/js/storage.js';
+import { createLocalAdapter } from '../src/js/adapters/localAdapter.js';
+
+const fourthWing = { id: '9781649374042', title: 'Fourth Wing', author: 'Rebecca Yarros' };
+const ironFlame = { id: '9781649374172', title: 'Iron Flame', author: 'Rebecca Yarros' };
+
+let adapter;
+let namespace = 0;
+
+beforeEach(() => {
+  // A fresh database per test so nothing leaks between them
+  adapter = createLocalAdapter(`test-${++namespace}`);
+  setStorageAdapter(adapter);
+});
+
+afterEach(async () => {
+  setStorageAdapter(null);
+  await adapter.destroy();
+});
+
+describe('storage with the local adapter', () => {
+  test('starts empty', async () => {
+    assert.deepEqual(await storage.getBooks(), []);
+    assert.equal(await storage.getBook(fourthWing.id), null);
+  });
+
+  test('addBook stores the book and getBook/getBooks return it', async () => {
+    await storage.addBook(fourthWing);
+    await storage.addBook(ironFlame);
+
+    const saved = await storage.getBook(fourthWing.id);
+    assert.equal(saved.title, 'Fourth Wing');
+    assert.ok(saved.updatedAt, 'books are stamped with updatedAt');
+
+    const titles = (await storage.getBooks()).map(book => book.title).sort();
+    assert.deepEqual(titles, ['Fourth Wing', 'Iron Flame']);
+  });
+
+  test('addBook falls back to the isbn as id', async () => {
+    await storage.addBook({ isbn: '9780593099322', title: 'Dune' });
+    assert.equal((await storage.getBook('9780593099322')).title, 'Dune');
+  });
+
+  test('addBook rejects a book without an id or isbn', async () => {
+    await assert.rejects(storage.addBook({ title: 'Untitled' }), /id or isbn/);
+  });
+
+  test('updateBook merges fields into the saved book', async () => {
+    await storage.addBook({ ...fourthWing, genre: 'Fantasy' });
+    await storage.updateBook(fourthWing.id, { notes: 'Signed copy' });
+
+    const saved = await storage.getBook(fourthWing.id);
+    assert.equal(saved.notes, 'Signed copy');
+    assert.equal(saved.genre, 'Fantasy');
+    assert.equal(saved.title, 'Fourth Wing');
+  });
+
+  test('removeBook deletes only that book', async () => {
+    await storage.addBook(fourthWing);
+    await storage.addBook(ironFlame);
+    await storage.removeBook(fourthWing.id);
+
+    assert.equal(await storage.getBook(fourthWing.id), null);
+    assert.deepEqual((await storage.getBooks()).map(book => book.id), [ironFlame.id]);
+  });
+
+  test('clear removes every book', async () => {
+    await storage.addBook(fourthWing);
+    await storage.addBook(ironFlame);
+    await storage.clear();
+
+    assert.deepEqual(await storage.getBooks(), []);
+  });
+
+  test('writes emit books:changed', async () => {
+    let changes = 0;
+    const onChange = () => changes++;
+    events.on('books:changed', onChange);
+    try {
+      await storage.addBook(fourthWing);
+      await storage.updateBook(fourthWing.id, { notes: 'Signed copy' });
+      await storage.removeBook(fourthWing.id);
+      await storage.clear();
+    } finally {
+      events.off('books:changed', onChange);
+    }
+    assert.equal(changes, 4);
+  });
+});
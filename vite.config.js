@@ -1,8 +1,15 @@
+import { readFileSync } from 'node:fs';
 import { defineConfig } from 'vite';
 
+const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf-8'));
+
 export default defineConfig({
   base: '/library-buddy/', // GitHub Pages repo path
   publicDir: 'public',
+  define: {
+    // Recorded in library exports
+    'import.meta.env.VITE_APP_VERSION': JSON.stringify(version)
+  },
   build: {
     outDir: 'dist',
     emptyOutDir: true